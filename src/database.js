@@ -22,6 +22,27 @@ const createTables = async () => {
       );
     `);
 
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS organizations (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        display_name VARCHAR(100),
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS organization_members (
+        org_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'maintainer', 'viewer')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (org_id, user_id)
+      );
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS models (
         id SERIAL PRIMARY KEY,
@@ -30,7 +51,9 @@ const createTables = async () => {
         task_type VARCHAR(20) NOT NULL CHECK (task_type IN ('detect', 'obb', 'pose')),
         zoom_level INTEGER DEFAULT 19 CHECK (zoom_level BETWEEN 8 AND 21),
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        visibility VARCHAR(10) DEFAULT 'private' CHECK (visibility IN ('private', 'members', 'public')),
+        org_id INTEGER REFERENCES organizations(id) ON DELETE RESTRICT,
+        visibility VARCHAR(10) DEFAULT 'private' CHECK (visibility IN ('private', 'org', 'members', 'public')),
+        download_count INTEGER NOT NULL DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
@@ -40,8 +63,8 @@ const createTables = async () => {
       CREATE TABLE IF NOT EXISTS model_versions (
         id SERIAL PRIMARY KEY,
         model_id INTEGER REFERENCES models(id) ON DELETE CASCADE,
-        version VARCHAR(20) NOT NULL,
-        file_path VARCHAR(255) NOT NULL,
+        version VARCHAR(64) NOT NULL,
+        file_path VARCHAR(255),
         file_size BIGINT,
         metadata JSONB,
         is_active BOOLEAN DEFAULT true,
@@ -49,9 +72,52 @@ const createTables = async () => {
       );
     `);
 
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS model_collaborators (
+        model_id INTEGER NOT NULL REFERENCES models(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(10) NOT NULL DEFAULT 'read' CHECK (role IN ('read', 'write')),
+        granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (model_id, user_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        token_prefix VARCHAR(12) NOT NULL,
+        scopes TEXT[] NOT NULL DEFAULT '{read}',
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash CHAR(64) NOT NULL,
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_models_task_type ON models(task_type);
       CREATE INDEX IF NOT EXISTS idx_model_versions_active ON model_versions(is_active);
+      CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+      CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_model_collaborators_user_id ON model_collaborators(user_id);
+      CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id);
     `);
 
     // Add zoom_level column if it doesn't exist (migration)
@@ -141,6 +207,394 @@ const createTables = async () => {
       console.error('Migration error for invite token columns:', err);
     }
 
+    // Enforce unique semantic versions per model (migration)
+    try {
+      await client.query(`
+        ALTER TABLE model_versions ALTER COLUMN version TYPE VARCHAR(64);
+      `);
+      // The active (or else most recent) row of a duplicated version keeps its name;
+      // the others get the row id as build metadata so no version or file is lost
+      const renamed = await client.query(`
+        UPDATE model_versions v
+        SET version = d.version || CASE WHEN d.version LIKE '%+%' THEN '.' ELSE '+' END || 'dup.' || d.id
+        FROM (
+          SELECT a.id, a.version FROM model_versions a
+          WHERE EXISTS (
+            SELECT 1 FROM model_versions b
+            WHERE b.model_id = a.model_id AND b.version = a.version
+              AND (a.is_active, a.created_at, a.id) < (b.is_active, b.created_at, b.id)
+          )
+        ) d
+        WHERE v.id = d.id
+        RETURNING v.model_id, d.version AS old_version, v.version;
+      `);
+      for (const row of renamed.rows) {
+        console.log(`Migration: renamed duplicate version ${row.old_version} of model ${row.model_id} to ${row.version}`);
+      }
+      await client.query(`DROP INDEX IF EXISTS idx_model_versions_model_version;`);
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_model_versions_model_id_version ON model_versions(model_id, version);
+      `);
+      console.log('Migration: unique model version index added/verified');
+    } catch (err) {
+      console.error('Migration error for unique model versions:', err);
+    }
+
+    // Search and filter support for the model listing (migration).
+    // The indexed expressions must match those in utils/modelSearch.js.
+    try {
+      await client.query(`
+        ALTER TABLE models ADD COLUMN IF NOT EXISTS download_count INTEGER NOT NULL DEFAULT 0;
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_models_search ON models
+        USING GIN (to_tsvector('english', coalesce(name, '') || ' ' || coalesce(description, '')));
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_model_versions_class_search ON model_versions
+        USING GIN (to_tsvector('english', coalesce(metadata->'class_list', '[]'::jsonb)));
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_model_versions_metadata ON model_versions USING GIN (metadata jsonb_path_ops);
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_models_zoom_level ON models(zoom_level);
+        CREATE INDEX IF NOT EXISTS idx_models_updated_at ON models(updated_at);
+        CREATE INDEX IF NOT EXISTS idx_models_download_count ON models(download_count);
+        CREATE INDEX IF NOT EXISTS idx_model_versions_model_active ON model_versions(model_id) WHERE is_active = true;
+      `);
+      console.log('Migration: search indexes added/verified');
+    } catch (err) {
+      console.error('Migration error for search indexes:', err);
+    }
+
+    // Organization-owned models (migration). A model is owned by exactly one
+    // user or organization; organization models survive their creator leaving.
+    try {
+      await client.query(`
+        ALTER TABLE models ADD COLUMN IF NOT EXISTS org_id INTEGER REFERENCES organizations(id) ON DELETE RESTRICT;
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_models_org_id ON models(org_id);
+      `);
+      await client.query(`ALTER TABLE models DROP CONSTRAINT IF EXISTS models_visibility_check;`);
+      await client.query(`
+        ALTER TABLE models ADD CONSTRAINT models_visibility_check
+        CHECK (visibility IN ('private', 'org', 'members', 'public'));
+      `);
+      await client.query(`ALTER TABLE models DROP CONSTRAINT IF EXISTS models_owner_check;`);
+      await client.query(`
+        ALTER TABLE models ADD CONSTRAINT models_owner_check
+        CHECK ((user_id IS NULL) <> (org_id IS NULL) AND (visibility <> 'org' OR org_id IS NOT NULL));
+      `);
+      console.log('Migration: organization ownership added/verified');
+    } catch (err) {
+      console.error('Migration error for organization ownership:', err);
+    }
+
+    // Administration: user roles, suspension and invite tracking (migration)
+    try {
+      await client.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(10) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin'));
+      `);
+      await client.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP DEFAULT NULL;
+      `);
+      await client.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_users_invited_by ON users(invited_by);
+      `);
+      console.log('Migration: user role columns added/verified');
+    } catch (err) {
+      console.error('Migration error for user role columns:', err);
+    }
+
+    // Account management: email verification and single-use tokens (migration)
+    try {
+      await client.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP DEFAULT NULL;
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS account_tokens (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+          token_hash VARCHAR(64) UNIQUE NOT NULL,
+          email VARCHAR(100),
+          expires_at TIMESTAMP NOT NULL,
+          used_at TIMESTAMP DEFAULT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_account_tokens_user_id ON account_tokens(user_id);
+      `);
+      console.log('Migration: account token table added/verified');
+    } catch (err) {
+      console.error('Migration error for account tokens:', err);
+    }
+
+    // Invites: dedicated table with quotas and redemptions, replacing users.invite_token (migration)
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS invites (
+          id SERIAL PRIMARY KEY,
+          code VARCHAR(32) UNIQUE NOT NULL,
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+          use_count INTEGER NOT NULL DEFAULT 0,
+          expires_at TIMESTAMP,
+          email VARCHAR(100),
+          org_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+          org_role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (org_role IN ('owner', 'maintainer', 'viewer')),
+          revoked_at TIMESTAMP DEFAULT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS invite_redemptions (
+          id SERIAL PRIMARY KEY,
+          invite_id INTEGER NOT NULL REFERENCES invites(id) ON DELETE CASCADE,
+          user_id INTEGER UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_invites_created_by ON invites(created_by);
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_invite_redemptions_invite_id ON invite_redemptions(invite_id);
+      `);
+
+      // Carry over per-user invite links; they keep their old behaviour (unlimited uses until expiry)
+      await client.query(`
+        INSERT INTO invites (code, created_by, max_uses, expires_at)
+        SELECT invite_token, id, NULL, invite_token_expires
+        FROM users
+        WHERE invite_token IS NOT NULL
+        ON CONFLICT (code) DO NOTHING;
+      `);
+      await client.query(`
+        UPDATE users SET invite_token = NULL, invite_token_expires = NULL WHERE invite_token IS NOT NULL;
+      `);
+      console.log('Migration: invite tables added/verified');
+    } catch (err) {
+      console.error('Migration error for invites:', err);
+    }
+
+    // Editable model details: tags, license and a change log of edits (migration)
+    try {
+      await client.query(`
+        ALTER TABLE models ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+      `);
+      await client.query(`
+        ALTER TABLE models ADD COLUMN IF NOT EXISTS license VARCHAR(100) DEFAULT NULL;
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_models_tags ON models USING GIN (tags);
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS model_changes (
+          id SERIAL PRIMARY KEY,
+          model_id INTEGER NOT NULL REFERENCES models(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          changes JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_model_changes_model ON model_changes(model_id, created_at DESC);
+      `);
+      console.log('Migration: model tags, license and change log added/verified');
+    } catch (err) {
+      console.error('Migration error for model change log:', err);
+    }
+
+    // Class-name index of model versions (migration). Backfilled from the stored
+    // class_list; the normalization must match utils/classIndex.js.
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS model_classes (
+          version_id INTEGER NOT NULL REFERENCES model_versions(id) ON DELETE CASCADE,
+          name VARCHAR(100) NOT NULL,
+          PRIMARY KEY (version_id, name)
+        );
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_model_classes_name ON model_classes(name);
+      `);
+      await client.query(`
+        INSERT INTO model_classes (version_id, name)
+        SELECT DISTINCT mv.id, left(lower(regexp_replace(trim(c.name), '\\s+', ' ', 'g')), 100)
+        FROM model_versions mv
+        CROSS JOIN LATERAL jsonb_array_elements_text(
+          CASE WHEN jsonb_typeof(mv.metadata->'class_list') = 'array' THEN mv.metadata->'class_list' ELSE '[]'::jsonb END
+        ) AS c(name)
+        WHERE trim(c.name) <> ''
+        ON CONFLICT DO NOTHING;
+      `);
+      console.log('Migration: model class index added/verified');
+    } catch (err) {
+      console.error('Migration error for model class index:', err);
+    }
+
+    // Download and view statistics (migration). One row per client, model,
+    // version and day; see utils/modelStats.js.
+    try {
+      await client.query(`
+        ALTER TABLE models ADD COLUMN IF NOT EXISTS view_count INTEGER NOT NULL DEFAULT 0;
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS model_events (
+          id SERIAL PRIMARY KEY,
+          model_id INTEGER NOT NULL REFERENCES models(id) ON DELETE CASCADE,
+          version_id INTEGER REFERENCES model_versions(id) ON DELETE CASCADE,
+          event VARCHAR(10) NOT NULL CHECK (event IN ('download', 'view')),
+          client_hash VARCHAR(64) NOT NULL,
+          day DATE NOT NULL DEFAULT CURRENT_DATE
+        );
+      `);
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_model_events_unique
+        ON model_events(model_id, coalesce(version_id, 0), event, client_hash, day);
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_model_events_model_day ON model_events(model_id, day);
+      `);
+      console.log('Migration: model statistics added/verified');
+    } catch (err) {
+      console.error('Migration error for model statistics:', err);
+    }
+
+    // Stars and threaded comments (migration). star_count is kept in step with
+    // model_stars so listings can sort by it.
+    try {
+      await client.query(`
+        ALTER TABLE models ADD COLUMN IF NOT EXISTS star_count INTEGER NOT NULL DEFAULT 0;
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS model_stars (
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          model_id INTEGER NOT NULL REFERENCES models(id) ON DELETE CASCADE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, model_id)
+        );
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS model_comments (
+          id SERIAL PRIMARY KEY,
+          model_id INTEGER NOT NULL REFERENCES models(id) ON DELETE CASCADE,
+          parent_id INTEGER REFERENCES model_comments(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          body TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          edited_at TIMESTAMP,
+          deleted_at TIMESTAMP
+        );
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_model_stars_model ON model_stars(model_id);
+        CREATE INDEX IF NOT EXISTS idx_models_star_count ON models(star_count);
+        CREATE INDEX IF NOT EXISTS idx_model_comments_model ON model_comments(model_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_model_comments_parent ON model_comments(parent_id);
+      `);
+      console.log('Migration: stars and comments added/verified');
+    } catch (err) {
+      console.error('Migration error for stars and comments:', err);
+    }
+
+    // Content-addressed file storage (migration). Versions list their files in
+    // model_files; the contents live once per SHA-256 in blobs. Existing
+    // version directories are imported at startup (see utils/modelFiles.js),
+    // after which model_versions.file_path is NULL.
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS blobs (
+          sha256 CHAR(64) PRIMARY KEY,
+          size BIGINT NOT NULL,
+          ref_count INTEGER NOT NULL DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_referenced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS model_files (
+          version_id INTEGER NOT NULL REFERENCES model_versions(id) ON DELETE CASCADE,
+          filename VARCHAR(255) NOT NULL,
+          sha256 CHAR(64) NOT NULL REFERENCES blobs(sha256),
+          size BIGINT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (version_id, filename)
+        );
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_model_files_sha256 ON model_files(sha256);
+        CREATE INDEX IF NOT EXISTS idx_blobs_unreferenced ON blobs(sha256) WHERE ref_count <= 0;
+      `);
+      // A trigger rather than application code, so that manifests removed by
+      // cascading deletes (models, accounts) release their blobs too
+      await client.query(`
+        CREATE OR REPLACE FUNCTION model_files_ref_count() RETURNS trigger AS $$
+        BEGIN
+          IF TG_OP = 'INSERT' THEN
+            UPDATE blobs SET ref_count = ref_count + 1 WHERE sha256 = NEW.sha256;
+          ELSE
+            UPDATE blobs SET ref_count = ref_count - 1 WHERE sha256 = OLD.sha256;
+          END IF;
+          RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql;
+      `);
+      await client.query(`
+        DROP TRIGGER IF EXISTS model_files_ref_count ON model_files;
+        CREATE TRIGGER model_files_ref_count AFTER INSERT OR DELETE ON model_files
+        FOR EACH ROW EXECUTE FUNCTION model_files_ref_count();
+      `);
+      await client.query(`
+        ALTER TABLE model_versions ALTER COLUMN file_path DROP NOT NULL;
+      `);
+      console.log('Migration: content-addressed file storage added/verified');
+    } catch (err) {
+      console.error('Migration error for content-addressed file storage:', err);
+    }
+
+    // Resumable uploads (migration). A session collects the files of one
+    // version in chunks; the version is only created once they are complete.
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS upload_sessions (
+          id UUID PRIMARY KEY,
+          model_id INTEGER NOT NULL REFERENCES models(id) ON DELETE CASCADE,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          version VARCHAR(64),
+          bump VARCHAR(10),
+          created_date VARCHAR(100),
+          status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'completing')),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL
+        );
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS upload_session_files (
+          session_id UUID NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+          filename VARCHAR(255) NOT NULL,
+          size BIGINT NOT NULL,
+          sha256 CHAR(64),
+          received BIGINT NOT NULL DEFAULT 0,
+          PRIMARY KEY (session_id, filename)
+        );
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON upload_sessions(expires_at);
+        CREATE INDEX IF NOT EXISTS idx_upload_sessions_model ON upload_sessions(model_id);
+      `);
+      console.log('Migration: upload sessions added/verified');
+    } catch (err) {
+      console.error('Migration error for upload sessions:', err);
+    }
+
     console.log('Database tables created successfully');
   } catch (err) {
     console.error('Error creating tables:', err);
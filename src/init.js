@@ -1,13 +1,132 @@
-const { createTables } = require('./database');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { pool, createTables } = require('./database');
+const { importLegacyFiles, collectGarbage, migrateBlobs, reconcileFiles } = require('./utils/modelFiles');
+const { createStorage } = require('./utils/storage');
+const { cleanupExpiredUploads } = require('./utils/uploadSessions');
+
+/**
+ * Make sure an administrator account exists. An existing user is promoted;
+ * otherwise the account is created, with a generated password when none is
+ * given (printed once so it can be changed after the first login). A
+ * suspension made through the admin API is left in place.
+ *
+ * @param {{ username: string, email?: string, password?: string }} admin
+ * @returns {Promise<{ id: number, username: string, created: boolean }>}
+ */
+const bootstrapAdmin = async ({ username, email, password }) => {
+  const existing = await pool.query(
+    "UPDATE users SET role = 'admin', updated_at = CURRENT_TIMESTAMP WHERE username = $1 RETURNING id, username, suspended_at",
+    [username]
+  );
+
+  if (existing.rows.length > 0) {
+    const { suspended_at: suspendedAt, ...user } = existing.rows[0];
+    console.log(`Admin bootstrap: promoted existing user ${username}${suspendedAt ? ', who stays suspended' : ''}`);
+    return { ...user, created: false };
+  }
+
+  if (!email) {
+    throw new Error(`User ${username} does not exist; an email is required to create it`);
+  }
+
+  let initialPassword = password;
+  if (!initialPassword) {
+    initialPassword = crypto.randomBytes(12).toString('base64url');
+    console.log(`Admin bootstrap: generated password for ${username}: ${initialPassword}`);
+  }
+
+  const passwordHash = await bcrypt.hash(initialPassword, 10);
+  const result = await pool.query(
+    "INSERT INTO users (username, email, password_hash, role) VALUES ($1, $2, $3, 'admin') RETURNING id, username",
+    [username, email, passwordHash]
+  );
+
+  console.log(`Admin bootstrap: created admin user ${username}`);
+  return { ...result.rows[0], created: true };
+};
 
 const initializeDatabase = async () => {
   console.log('Initializing database...');
   await createTables();
+
+  if (process.env.ADMIN_USERNAME) {
+    try {
+      await bootstrapAdmin({
+        username: process.env.ADMIN_USERNAME,
+        email: process.env.ADMIN_EMAIL,
+        password: process.env.ADMIN_PASSWORD
+      });
+    } catch (err) {
+      console.error('Admin bootstrap error:', err);
+    }
+  }
+
+  // Move files of versions stored before the blob store into it, then drop
+  // blobs left unreferenced by deletes that failed to clean up
+  try {
+    const imported = await importLegacyFiles();
+    const collected = await collectGarbage();
+    console.log(`File storage: imported ${imported} legacy version directories, removed ${collected} unreferenced blobs`);
+  } catch (err) {
+    console.error('File storage maintenance error:', err);
+  }
+
+  try {
+    const expired = await cleanupExpiredUploads();
+    console.log(`Uploads: removed ${expired} expired upload sessions`);
+  } catch (err) {
+    console.error('Upload cleanup error:', err);
+  }
+
+  // Clean up after uploads and deletes interrupted by a crash
+  try {
+    const { stagingDirs, modelDirs, emptyVersions, activated, blobs, missingBlobs } = await reconcileFiles();
+    console.log(`Reconcile: removed ${stagingDirs} staging and ${modelDirs} model directories and ${blobs} unreferenced stored blobs; activated ${activated} versions; ${emptyVersions} versions without files, ${missingBlobs} blobs missing`);
+  } catch (err) {
+    console.error('Reconcile error:', err);
+  }
+
   console.log('Database initialization complete');
 };
 
 if (require.main === module) {
-  initializeDatabase().catch(console.error);
+  require('dotenv').config();
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'create-admin') {
+    const [username, email, password] = args;
+    if (!username) {
+      console.error('Usage: node src/init.js create-admin <username> [email] [password]');
+      process.exit(1);
+    }
+
+    createTables()
+      .then(() => bootstrapAdmin({ username, email, password }))
+      .then(() => pool.end())
+      .catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+      });
+  } else if (command === 'migrate-storage') {
+    const [from, to, option] = args;
+    if (!from || !to || from === to || (option && option !== '--delete')) {
+      console.error('Usage: node src/init.js migrate-storage <from> <to> [--delete]   (drivers: local, s3)');
+      process.exit(1);
+    }
+
+    migrateBlobs(createStorage(from), createStorage(to), { remove: option === '--delete' })
+      .then(({ copied, skipped, failed }) => {
+        console.log(`Storage migration: ${copied} blobs copied, ${skipped} already present, ${failed} failed`);
+        return pool.end().then(() => process.exit(failed > 0 ? 1 : 0));
+      })
+      .catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+      });
+  } else {
+    initializeDatabase().catch(console.error);
+  }
 }
 
-module.exports = { initializeDatabase };
\ No newline at end of file
+module.exports = { initializeDatabase, bootstrapAdmin };
@@ -1,37 +1,120 @@
-const jwt = require('jsonwebtoken');
+const { pool } = require('../database');
+const { hashApiToken, isApiToken, scopesInclude } = require('../utils/apiTokens');
+const { verifyAccessToken } = require('../utils/sessions');
 
-const authenticateToken = (req, res, next) => {
+const getBearerToken = (req) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Helper function to resolve a personal access token to its user, recording its use
+const verifyApiToken = async (token) => {
+  const result = await pool.query(`
+    UPDATE api_tokens t SET last_used_at = CURRENT_TIMESTAMP
+    FROM users u
+    WHERE t.token_hash = $1 AND t.user_id = u.id AND u.suspended_at IS NULL
+      AND (t.expires_at IS NULL OR t.expires_at > NOW())
+    RETURNING t.id, t.scopes, u.id as user_id, u.username
+  `, [hashApiToken(token)]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { id, scopes, user_id: userId, username } = result.rows[0];
+  return { userId, username, scopes, tokenId: id };
+};
+
+// Helper function to resolve a bearer token (session JWT or personal access
+// token) to the request user, or null when it is invalid, expired or revoked
+const resolveUser = async (token) => {
+  if (isApiToken(token)) {
+    return verifyApiToken(token);
+  }
+
+  return verifyAccessToken(token);
+};
+
+const authenticateToken = async (req, res, next) => {
+  const token = getBearerToken(req);
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+  let user;
+  try {
+    user = await resolveUser(token);
+  } catch (err) {
+    console.error('Authentication error:', err);
+    return res.status(500).json({ error: 'Failed to authenticate' });
+  }
+
+  if (!user) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  req.user = user;
+  next();
 };
 
-const optionalAuth = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
 
   if (token) {
-    jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
-      if (!err) {
+    try {
+      const user = await resolveUser(token);
+      if (user) {
         req.user = user;
       }
-    });
+    } catch (err) {
+      console.error('Authentication error:', err);
+    }
   }
   next();
 };
 
+// Restrict a route to personal access tokens carrying the given scope.
+// Session (JWT) logins are not scoped and always pass.
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (req.user && req.user.scopes && !scopesInclude(req.user.scopes, scope)) {
+      return res.status(403).json({ error: `Token lacks the required scope: ${scope}` });
+    }
+    next();
+  };
+
+  // Read by the OpenAPI generator (utils/openapi.js)
+  middleware.scope = scope;
+  return middleware;
+};
+
+// Restrict a route to administrators. Must run after authenticateToken; the
+// role is read from the database so revoking it takes effect immediately.
+const requireAdmin = async (req, res, next) => {
+  if (req.user.scopes && !scopesInclude(req.user.scopes, 'admin')) {
+    return res.status(403).json({ error: 'Token lacks the required scope: admin' });
+  }
+
+  let isAdmin;
+  try {
+    const result = await pool.query('SELECT role FROM users WHERE id = $1', [req.user.userId]);
+    isAdmin = result.rows.length > 0 && result.rows[0].role === 'admin';
+  } catch (err) {
+    console.error('Authorization error:', err);
+    return res.status(500).json({ error: 'Failed to authorize' });
+  }
+
+  if (!isAdmin) {
+    return res.status(403).json({ error: 'Administrator access required' });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
-};
\ No newline at end of file
+  optionalAuth,
+  requireScope,
+  requireAdmin
+};
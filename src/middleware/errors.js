@@ -0,0 +1,70 @@
+// Every error response has the same envelope:
+//
+//   { "error": "Human readable message", "code": "machine_readable_code", "details": [...] }
+//
+// details is only present for validation errors and lists one entry per field:
+// { location, field, code, message }.
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  416: 'range_not_satisfiable',
+  422: 'unprocessable_entity',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
+
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+
+// Helper function to build one entry of a validation error's details
+const fieldError = (location, field, message, code = 'invalid') => ({ location, field, code, message });
+
+const sendValidationError = (res, details, error = 'Invalid request') => res.status(400).json({
+  error,
+  code: 'validation_failed',
+  details
+});
+
+// Routes answer errors with res.status(...).json({ error }); fill in the code
+// from the status so clients can rely on it without every route naming one
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      return json({ error: body.error, code: codeForStatus(res.statusCode), ...body });
+    }
+    return json(body);
+  };
+  next();
+};
+
+// Final error handler: malformed requests are the client's fault, anything else is ours
+const errorHandler = (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_json' });
+  }
+
+  if (err.type === 'entity.too.large' || err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: 'Request is too large', code: 'payload_too_large' });
+  }
+
+  // Other multer errors (unexpected field, too many files, ...)
+  if (err.name === 'MulterError') {
+    return res.status(400).json({ error: err.message, code: 'invalid_upload' });
+  }
+
+  console.error(err.stack);
+  res.status(500).json({ error: 'Something went wrong!', code: 'internal_error' });
+};
+
+module.exports = {
+  codeForStatus,
+  fieldError,
+  sendValidationError,
+  errorEnvelope,
+  errorHandler
+};
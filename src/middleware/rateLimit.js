@@ -0,0 +1,137 @@
+const { getRateLimitStore } = require('../utils/rateLimitStore');
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// Budgets, configurable through the environment
+const AUTH_LIMIT = {
+  max: envNumber('RATE_LIMIT_AUTH_MAX', 20),
+  windowMs: envNumber('RATE_LIMIT_AUTH_WINDOW_MINUTES', 15) * 60 * 1000
+};
+
+const DOWNLOAD_LIMIT = {
+  max: envNumber('RATE_LIMIT_DOWNLOAD_MAX', 20),
+  windowMs: envNumber('RATE_LIMIT_DOWNLOAD_WINDOW_MINUTES', 15) * 60 * 1000
+};
+
+const LOGIN_LOCKOUT = {
+  threshold: envNumber('LOGIN_LOCKOUT_THRESHOLD', 5),
+  baseMs: envNumber('LOGIN_LOCKOUT_BASE_SECONDS', 60) * 1000,
+  maxMs: envNumber('LOGIN_LOCKOUT_MAX_MINUTES', 60) * 60 * 1000,
+  // Failed attempts are forgotten after a day without further failures
+  memoryMs: 24 * 60 * 60 * 1000
+};
+
+const retryAfterSeconds = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+const tooManyRequests = (res, resetAt, error = 'Too many requests, please try again later') => {
+  const retryAfter = retryAfterSeconds(resetAt);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retry_after: retryAfter });
+};
+
+// Keys: the account when the request is authenticated, the client IP otherwise
+const clientKey = (req) => (req.user ? `user:${req.user.userId}` : `ip:${req.ip}`);
+const ipKey = (req) => `ip:${req.ip}`;
+
+/**
+ * Limit how often a client can call a group of routes. Routes sharing a name
+ * share a budget.
+ *
+ * @param {{ name: string, max: number, windowMs: number, key?: Function }} options
+ *   key(req) picks who is counted (default: the client IP); returning null skips the limit
+ */
+const rateLimit = ({ name, max, windowMs, key = ipKey }) => async (req, res, next) => {
+  if (!isEnabled()) return next();
+
+  const subject = key(req);
+  if (!subject) return next();
+
+  let counter;
+  try {
+    counter = await getRateLimitStore().increment(`${name}:${subject}`, windowMs);
+  } catch (err) {
+    // A broken store should not take the API down with it
+    console.error('Rate limit store error:', err);
+    return next();
+  }
+
+  res.set('RateLimit-Limit', String(max));
+  res.set('RateLimit-Remaining', String(Math.max(0, max - counter.count)));
+
+  if (counter.count > max) {
+    return tooManyRequests(res, counter.resetAt);
+  }
+
+  next();
+};
+
+const authRateLimit = rateLimit({ name: 'auth', ...AUTH_LIMIT });
+
+// Must run after optionalAuth/authenticateToken so logged-in users get their own budget
+const downloadRateLimit = rateLimit({ name: 'download', ...DOWNLOAD_LIMIT, key: clientKey });
+
+const lockoutKey = (username) => `login-lock:${String(username).toLowerCase()}`;
+const failureKey = (username) => `login-failures:${String(username).toLowerCase()}`;
+
+// Rejects logins for an account that is locked after repeated failures
+const checkLoginLockout = async (req, res, next) => {
+  const { username } = req.body;
+  if (!isEnabled() || !username) return next();
+
+  try {
+    const lock = await getRateLimitStore().get(lockoutKey(username));
+    if (lock) {
+      return tooManyRequests(res, lock.resetAt, 'Too many failed login attempts, please try again later');
+    }
+  } catch (err) {
+    console.error('Rate limit store error:', err);
+  }
+
+  next();
+};
+
+/**
+ * Count a failed login. From the threshold on, every further failure locks
+ * the account for twice as long as the previous one, up to the maximum.
+ */
+const recordLoginFailure = async (username) => {
+  if (!isEnabled()) return;
+
+  try {
+    const store = getRateLimitStore();
+    const failures = await store.increment(failureKey(username), LOGIN_LOCKOUT.memoryMs);
+
+    if (failures.count >= LOGIN_LOCKOUT.threshold) {
+      const lockMs = Math.min(
+        LOGIN_LOCKOUT.baseMs * 2 ** (failures.count - LOGIN_LOCKOUT.threshold),
+        LOGIN_LOCKOUT.maxMs
+      );
+      await store.reset(lockoutKey(username));
+      await store.increment(lockoutKey(username), lockMs);
+    }
+  } catch (err) {
+    console.error('Rate limit store error:', err);
+  }
+};
+
+const clearLoginFailures = async (username) => {
+  try {
+    await getRateLimitStore().reset(failureKey(username));
+  } catch (err) {
+    console.error('Rate limit store error:', err);
+  }
+};
+
+module.exports = {
+  rateLimit,
+  authRateLimit,
+  downloadRateLimit,
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,199 @@
+const { sendValidationError } = require('./errors');
+
+// Request schemas use a small subset of JSON Schema, so they can also be
+// published as API documentation:
+//
+//   type                    string, integer, number, boolean, array or object
+//   nullable                also accept null
+//   enum, pattern, format   format: 'email' or 'date'
+//   minimum, maximum, minLength, maxLength, minItems, maxItems
+//   items, properties, required
+//   x-case-insensitive      compare enum and pattern ignoring case
+//
+// A route schema has optional params, query, headers and body parts. Path,
+// query and header values arrive as strings; they are checked as if converted
+// to the declared type but are left unchanged on the request. Header names are
+// lowercase. Bodies are JSON unless the schema names another contentType.
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  date: /^\d{4}-\d{2}-\d{2}$/
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// Helper function to read a string from a path or query string as the declared type
+const coerce = (schema, value) => {
+  if (typeof value !== 'string') return value;
+
+  if ((schema.type === 'integer' && /^-?\d+$/.test(value)) ||
+      (schema.type === 'number' && value.trim() !== '' && !Number.isNaN(Number(value)))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Check a value against a schema.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} field - dotted path used in error details
+ * @param {string} location - params, query or body
+ * @param {boolean} fromString - the value comes from a path or query string
+ * @returns {Array<{ location: string, field: string, code: string, message: string }>}
+ */
+const checkValue = (schema, value, field, location, fromString = false) => {
+  const errors = [];
+  const fail = (code, message) => errors.push({ location, field, code, message: `${field} ${message}` });
+
+  if (value === null && schema.nullable) return errors;
+
+  const candidate = fromString ? coerce(schema, value) : value;
+
+  if (schema.type && !matchesType(schema.type, candidate)) {
+    fail('type', `must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+    return errors;
+  }
+
+  const ignoreCase = schema['x-case-insensitive'];
+
+  if (schema.enum) {
+    const same = (option) => (ignoreCase && typeof candidate === 'string' && typeof option === 'string'
+      ? option.toLowerCase() === candidate.toLowerCase()
+      : option === candidate);
+    if (!schema.enum.some(same)) {
+      fail('enum', `must be one of ${schema.enum.join(', ')}`);
+    }
+  }
+
+  if (typeof candidate === 'number') {
+    if (schema.minimum !== undefined && candidate < schema.minimum) {
+      fail('minimum', `must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && candidate > schema.maximum) {
+      fail('maximum', `must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof candidate === 'string') {
+    if (schema.minLength !== undefined && candidate.length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && candidate.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, ignoreCase ? 'i' : '').test(candidate)) {
+      fail('pattern', schema.description ? `must be ${schema.description}` : `must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(candidate)) {
+      fail('format', `must be a valid ${schema.format}`);
+    }
+  }
+
+  if (Array.isArray(candidate)) {
+    if (schema.minItems !== undefined && candidate.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && candidate.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      candidate.forEach((item, index) => {
+        errors.push(...checkValue(schema.items, item, `${field}[${index}]`, location));
+      });
+    }
+  }
+
+  if (typeOf(candidate) === 'object' && (schema.properties || schema.required)) {
+    errors.push(...checkObject(schema, candidate, location, fromString, `${field}.`));
+  }
+
+  return errors;
+};
+
+const checkObject = (schema, object, location, fromString = false, prefix = '') => {
+  const errors = [];
+
+  for (const name of schema.required || []) {
+    if (object[name] === undefined || object[name] === null || object[name] === '') {
+      errors.push({ location, field: `${prefix}${name}`, code: 'required', message: `${prefix}${name} is required` });
+    }
+  }
+
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    const value = object[name];
+    // Missing values are the business of `required`; empty strings from forms count as missing
+    if (value === undefined || (value === '' && (fromString || (schema.required || []).includes(name)))) continue;
+    errors.push(...checkValue(propertySchema, value, `${prefix}${name}`, location, fromString));
+  }
+
+  return errors;
+};
+
+/**
+ * Check a request against a route schema.
+ *
+ * @param {{ params?: Object, query?: Object, body?: Object }} schema
+ * @param {Object} req
+ * @returns {Array} field-level errors, empty when the request is valid
+ */
+const validateRequest = (schema, req) => {
+  const errors = [];
+
+  for (const location of ['params', 'query', 'headers']) {
+    if (schema[location]) {
+      errors.push(...checkObject(schema[location], req[location] || {}, location, true));
+    }
+  }
+
+  if (schema.body) {
+    const body = req.body === undefined ? {} : req.body;
+    if (typeOf(body) !== 'object') {
+      errors.push({ location: 'body', field: 'body', code: 'type', message: 'body must be a JSON object' });
+    } else {
+      // Multipart form fields are strings, like query parameters
+      errors.push(...checkObject(schema.body, body, 'body', Boolean(req.is && req.is('multipart/form-data'))));
+    }
+  }
+
+  return errors;
+};
+
+// Route middleware: rejects the request with a 400 validation error envelope.
+// Multipart bodies are parsed after this runs, so for schemas marked multipart
+// the route checks the body itself with validateRequest. Bodies of other
+// content types (e.g. binary uploads) are left to the route.
+const validate = (schema) => {
+  const checked = schema.multipart || schema.contentType ? { ...schema, body: undefined } : schema;
+
+  const middleware = (req, res, next) => {
+    const errors = validateRequest(checked, req);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    next();
+  };
+
+  // Read by the OpenAPI generator (utils/openapi.js)
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = {
+  validate,
+  validateRequest
+};
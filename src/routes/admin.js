@@ -0,0 +1,315 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { pool } = require('../database');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { fieldError, sendValidationError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin');
+const { parsePagination, pageLink } = require('../utils/pagination');
+const { removeModelFiles } = require('../utils/modelFiles');
+const { findSoleOwnerships } = require('../utils/organizations');
+const { revokeAllSessions } = require('../utils/sessions');
+const { inviteStatus } = require('../utils/invites');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * Change a user in a transaction that first locks the admins who can still
+ * log in, so the last one cannot be demoted, suspended or deleted, even by
+ * concurrent requests each removing one of the last two.
+ *
+ * @param {number|string} userId
+ * @param {Function} change - async (client, user, activeAdmins) resolving to
+ *   { status, body }; the transaction is committed for statuses below 400
+ * @returns {Promise<{ status: number, body: Object }>} 404 for unknown users
+ */
+const changeUser = async (userId, change) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const admins = await client.query(
+      "SELECT id FROM users WHERE role = 'admin' AND suspended_at IS NULL ORDER BY id FOR UPDATE"
+    );
+    const userResult = await client.query(
+      'SELECT id, username, role, suspended_at FROM users WHERE id = $1',
+      [userId]
+    );
+
+    const user = userResult.rows[0];
+    const outcome = user
+      ? await change(client, user, admins.rows.length)
+      : { status: 404, body: { error: 'User not found' } };
+
+    await client.query(outcome.status < 400 ? 'COMMIT' : 'ROLLBACK');
+    return outcome;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Helper function to tell whether a change takes away one of the admins that can still log in
+const isLastActiveAdmin = (user, activeAdmins) => user.role === 'admin' && !user.suspended_at && activeAdmins <= 1;
+
+router.get('/users', validate(schemas.listUsers), async (req, res) => {
+  const { errors, pagination } = parsePagination(req.query);
+  if (pagination.cursor) {
+    errors.push(fieldError('query', 'cursor', 'cursor is not supported for this listing'));
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, 'Invalid query parameters');
+  }
+
+  try {
+    const { page, limit } = pagination;
+    const [itemsResult, countResult] = await Promise.all([
+      pool.query(`
+        SELECT u.id, u.username, u.email, u.role, u.suspended_at, u.created_at,
+               inviter.username as invited_by,
+               (SELECT COUNT(*) FROM models m WHERE m.user_id = u.id)::int as model_count
+        FROM users u
+        LEFT JOIN users inviter ON inviter.id = u.invited_by
+        ORDER BY u.created_at DESC, u.id DESC
+        LIMIT $1 OFFSET $2
+      `, [limit, (page - 1) * limit]),
+      pool.query('SELECT COUNT(*) AS total FROM users')
+    ]);
+
+    const total = parseInt(countResult.rows[0].total, 10);
+    res.json({
+      items: itemsResult.rows,
+      total,
+      page,
+      limit,
+      next: page * limit < total ? pageLink(req, { limit, page: page + 1 }) : null,
+      prev: page > 1 ? pageLink(req, { limit, page: page - 1 }) : null
+    });
+  } catch (err) {
+    console.error('Error fetching users:', err);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+router.post('/users/:id/suspend', validate(schemas.suspendUser), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (Number(id) === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot suspend your own account' });
+    }
+
+    const { status, body } = await changeUser(id, async (client, user, activeAdmins) => {
+      if (isLastActiveAdmin(user, activeAdmins)) {
+        return { status: 400, body: { error: 'Cannot suspend the last administrator' } };
+      }
+
+      const result = await client.query(`
+        UPDATE users SET suspended_at = COALESCE(suspended_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, username, role, suspended_at
+      `, [user.id]);
+      return { status: 200, body: result.rows[0] };
+    });
+
+    if (status === 200) {
+      await revokeAllSessions(body.id);
+    }
+
+    res.status(status).json(body);
+  } catch (err) {
+    console.error('Error suspending user:', err);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+router.post('/users/:id/unsuspend', validate(schemas.unsuspendUser), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE users SET suspended_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, username, role, suspended_at
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error unsuspending user:', err);
+    res.status(500).json({ error: 'Failed to unsuspend user' });
+  }
+});
+
+router.patch('/users/:id/role', validate(schemas.setRole), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const { status, body } = await changeUser(id, async (client, user, activeAdmins) => {
+      if (role !== 'admin' && isLastActiveAdmin(user, activeAdmins)) {
+        return { status: 400, body: { error: 'Cannot demote the last administrator' } };
+      }
+
+      const result = await client.query(`
+        UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING id, username, role, suspended_at
+      `, [role, user.id]);
+      return { status: 200, body: result.rows[0] };
+    });
+
+    res.status(status).json(body);
+  } catch (err) {
+    console.error('Error updating user role:', err);
+    res.status(500).json({ error: 'Failed to update user role' });
+  }
+});
+
+router.post('/users/:id/password', validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const result = await pool.query(`
+      UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id
+    `, [passwordHash, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Existing logins were made with the old password
+    await revokeAllSessions(result.rows[0].id);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (err) {
+    console.error('Error resetting password:', err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+router.delete('/users/:id', validate(schemas.removeUser), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (Number(id) === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    let modelIds = [];
+    const { status, body } = await changeUser(id, async (client, user, activeAdmins) => {
+      if (isLastActiveAdmin(user, activeAdmins)) {
+        return { status: 400, body: { error: 'Cannot delete the last administrator' } };
+      }
+
+      // Organizations must keep an owner, as when users delete their own account
+      const soleOwnerships = await findSoleOwnerships(user.id, client);
+      if (soleOwnerships.length > 0) {
+        return {
+          status: 409,
+          body: {
+            error: 'The user is the last owner of these organizations; add another owner or delete them first',
+            organizations: soleOwnerships
+          }
+        };
+      }
+
+      // Personal models are removed with the user; organization models stay with the organization
+      const models = await client.query('SELECT id FROM models WHERE user_id = $1', [user.id]);
+      await client.query('DELETE FROM users WHERE id = $1', [user.id]);
+
+      modelIds = models.rows.map(model => model.id);
+      return { status: 200, body: { message: 'User deleted successfully', deleted_models: modelIds.length } };
+    });
+
+    // Files are removed once the rows are gone for good
+    if (status === 200) {
+      for (const modelId of modelIds) {
+        await removeModelFiles(modelId);
+      }
+    }
+
+    res.status(status).json(body);
+  } catch (err) {
+    console.error('Error deleting user:', err);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+router.patch('/models/:id/visibility', validate(schemas.setModelVisibility), async (req, res) => {
+  try {
+    const { visibility } = req.body;
+
+    const result = await pool.query(`
+      UPDATE models SET visibility = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND ($1 <> 'org' OR org_id IS NOT NULL)
+      RETURNING *
+    `, [visibility, req.params.id]);
+
+    if (result.rows.length === 0) {
+      if (visibility === 'org') {
+        return res.status(404).json({ error: 'Model not found or not owned by an organization' });
+      }
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating model visibility:', err);
+    res.status(500).json({ error: 'Failed to update model visibility' });
+  }
+});
+
+router.delete('/models/:id', validate(schemas.removeModel), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query('DELETE FROM models WHERE id = $1 RETURNING id', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    await removeModelFiles(id);
+
+    res.json({ message: 'Model deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting model:', err);
+    res.status(500).json({ error: 'Failed to delete model' });
+  }
+});
+
+router.get('/invites', validate(schemas.listInvites), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT i.id, i.code, i.max_uses, i.use_count, i.expires_at, i.email, i.revoked_at, i.created_at,
+             i.org_role, o.name as org, creator.username as created_by,
+             COALESCE(
+               json_agg(json_build_object('user_id', u.id, 'username', u.username, 'redeemed_at', r.redeemed_at)
+                        ORDER BY r.redeemed_at) FILTER (WHERE r.id IS NOT NULL),
+               '[]'
+             ) as redemptions
+      FROM invites i
+      LEFT JOIN users creator ON creator.id = i.created_by
+      LEFT JOIN organizations o ON o.id = i.org_id
+      LEFT JOIN invite_redemptions r ON r.invite_id = i.id
+      LEFT JOIN users u ON u.id = r.user_id
+      GROUP BY i.id, o.name, creator.username
+      ORDER BY i.created_at DESC
+    `);
+
+    res.json(result.rows.map(invite => ({ ...invite, status: inviteStatus(invite) })));
+  } catch (err) {
+    console.error('Error fetching invite usage:', err);
+    res.status(500).json({ error: 'Failed to fetch invite usage' });
+  }
+});
+
+module.exports = router;
@@ -1,46 +1,76 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const { pool } = require('../database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireScope } = require('../middleware/auth');
+const {
+  authRateLimit,
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../middleware/rateLimit');
+const {
+  createSession,
+  rotateSession,
+  sessionIdFromRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const {
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../utils/accountTokens');
+const { sendMail } = require('../utils/mailer');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const {
+  DEFAULT_INVITE_MAX_USES,
+  DEFAULT_INVITE_TTL_DAYS,
+  USABLE_INVITE_CONDITION,
+  generateInviteCode,
+  inviteUrl,
+  inviteStatus,
+  findUsableInvite,
+  redeemInvite
+} = require('../utils/invites');
 
 const router = express.Router();
 
-router.post('/register', async (req, res) => {
+// Helper function to tell whether registering needs an invite
+// (DISABLE_REGISTRATION_WITHOUT_LINK, or the older DISABLE_REGISTRATION)
+const isRegistrationDisabled = () => process.env.DISABLE_REGISTRATION_WITHOUT_LINK === 'true' ||
+  process.env.DISABLE_REGISTRATION === 'true';
+
+router.get('/registration-enabled', validate(schemas.registrationEnabled), (req, res) => {
+  res.json({ enabled: !isRegistrationDisabled() });
+});
+
+router.post('/register', authRateLimit, validate(schemas.register), async (req, res) => {
   const { username, email, password, token } = req.body;
-  
-  let isInviteTokenValid = false;
-  let inviteUserId = null;
-  
+
+  let invite = null;
+
   if (token) {
     try {
-      const inviteTokenResult = await pool.query(
-        'SELECT id FROM users WHERE invite_token = $1 AND invite_token_expires > NOW()',
-        [token]
-      );
-      
-      if (inviteTokenResult.rows.length > 0) {
-        isInviteTokenValid = true;
-        inviteUserId = inviteTokenResult.rows[0].id;
-      }
+      invite = await findUsableInvite(token);
     } catch (err) {
       console.error('Invite token validation error:', err);
     }
-  }
-  
-  // Check new variable first, fall back to old for backward compatibility
-  const registrationDisabled = process.env.DISABLE_REGISTRATION_WITHOUT_LINK === 'true' || 
-                                process.env.DISABLE_REGISTRATION === 'true';
-  
-  if (registrationDisabled && !isInviteTokenValid) {
-    return res.status(403).json({ error: 'Registration is disabled' });
+
+    if (!invite) {
+      return res.status(400).json({ error: 'Invalid, expired or used up invite' });
+    }
+
+    if (invite.email && (!email || invite.email.toLowerCase() !== email.toLowerCase())) {
+      return res.status(403).json({ error: 'This invite is for a different email address' });
+    }
   }
 
-  if (!username || !email || !password) {
-    return res.status(400).json({ error: 'Username, email, and password are required' });
+  if (isRegistrationDisabled() && !invite) {
+    return res.status(403).json({ error: 'Registration is disabled' });
   }
 
+  let user;
   try {
     const existingUser = await pool.query(
       'SELECT id FROM users WHERE username = $1 OR email = $2',
@@ -54,43 +84,62 @@ router.post('/register', async (req, res) => {
     const saltRounds = 10;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
-    const result = await pool.query(
-      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email',
-      [username, email, passwordHash]
-    );
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
 
-    const user = result.rows[0];
-    const authToken = jwt.sign(
-      { userId: user.id, username: user.username },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '7d' }
-    );
+      const result = await client.query(
+        'INSERT INTO users (username, email, password_hash, invited_by) VALUES ($1, $2, $3, $4) RETURNING id, username, email',
+        [username, email, passwordHash, invite ? invite.created_by : null]
+      );
+      user = result.rows[0];
 
+      if (invite && !(await redeemInvite(client, invite, user.id))) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Invalid, expired or used up invite' });
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const tokens = await createSession(user, req);
+
+    // The account is usable right away; a mail failure must not fail the registration
+    try {
+      await sendVerificationEmail(req, user, user.email);
+    } catch (err) {
+      console.error('Verification email error:', err);
+    }
 
     res.status(201).json({
       user: { id: user.id, username: user.username, email: user.email },
-      token: authToken
+      ...tokens
     });
   } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Username or email already exists' });
+    }
     console.error('Registration error:', err);
     res.status(500).json({ error: 'Registration failed' });
   }
 });
 
-router.post('/login', async (req, res) => {
+router.post('/login', authRateLimit, validate(schemas.login), checkLoginLockout, async (req, res) => {
   const { username, password } = req.body;
 
-  if (!username || !password) {
-    return res.status(400).json({ error: 'Username and password are required' });
-  }
-
   try {
     const result = await pool.query(
-      'SELECT id, username, email, password_hash FROM users WHERE username = $1',
+      'SELECT id, username, email, password_hash, suspended_at FROM users WHERE username = $1',
       [username]
     );
 
     if (result.rows.length === 0) {
+      await recordLoginFailure(username);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -98,18 +147,21 @@ router.post('/login', async (req, res) => {
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
     if (!isValidPassword) {
+      await recordLoginFailure(username);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user.id, username: user.username },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '7d' }
-    );
+    await clearLoginFailures(username);
+
+    if (user.suspended_at) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
+    const tokens = await createSession(user, req);
 
     res.json({
       user: { id: user.id, username: user.username, email: user.email },
-      token
+      ...tokens
     });
   } catch (err) {
     console.error('Login error:', err);
@@ -117,37 +169,301 @@ router.post('/login', async (req, res) => {
   }
 });
 
-router.post('/generate-invite-token', authenticateToken, async (req, res) => {
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+  const { refresh_token } = req.body;
+
   try {
-    const userId = req.user.userId;
-    
-    const existingUser = await pool.query(
-      'SELECT invite_token FROM users WHERE id = $1',
-      [userId]
+    const tokens = await rotateSession(refresh_token);
+
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(tokens);
+  } catch (err) {
+    console.error('Token refresh error:', err);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Ends the current session, identified by the access token or the refresh token
+router.post('/logout', optionalAuth, validate(schemas.logout), async (req, res) => {
+  try {
+    let sessionId = req.user && req.user.sid;
+
+    if (!sessionId && req.body.refresh_token) {
+      sessionId = await sessionIdFromRefreshToken(req.body.refresh_token);
+    }
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'A session access token or refresh_token is required' });
+    }
+
+    await revokeSession(sessionId);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+router.post('/logout-all', authenticateToken, requireScope('admin'), validate(schemas.logoutAll), async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user.userId);
+    res.json({ message: 'Logged out of all sessions', revoked: result.rowCount });
+  } catch (err) {
+    console.error('Logout-all error:', err);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Always answers the same way so the endpoint cannot be used to probe for accounts
+router.post('/forgot-password', authRateLimit, validate(schemas.forgotPassword), async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const result = await pool.query(
+      'SELECT id, username, email FROM users WHERE email = $1 AND suspended_at IS NULL',
+      [email]
     );
-    
-    if (existingUser.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    if (existingUser.rows[0].invite_token) {
-      return res.json({
-        token: existingUser.rows[0].invite_token,
-        url: `${req.protocol}://${req.get('host')}/register?token=${existingUser.rows[0].invite_token}`
+
+    // Sent in the background: how long mailing takes, or whether it fails,
+    // must not tell apart known addresses either
+    if (result.rows.length > 0) {
+      sendPasswordResetEmail(req, result.rows[0]).catch((err) => {
+        console.error('Password reset email error:', err);
       });
     }
-    
-    const inviteToken = crypto.randomBytes(8).toString('hex');
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    
+
+    res.json({ message: 'If an account uses this email, a password reset link has been sent' });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ error: 'Failed to send password reset email' });
+  }
+});
+
+router.post('/reset-password', authRateLimit, validate(schemas.resetPassword), async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    const resetToken = await consumeAccountToken(token, 'password_reset');
+
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
     await pool.query(
-      'UPDATE users SET invite_token = $1, invite_token_expires = $2 WHERE id = $3',
-      [inviteToken, expiresAt, userId]
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, resetToken.user_id]
     );
-    
+
+    // Whoever knew the old password should not stay logged in
+    await revokeAllSessions(resetToken.user_id);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    const verification = await consumeAccountToken(token, 'email_verification');
+
+    if (!verification) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    // The token only verifies the address it was sent to
+    const result = await pool.query(`
+      UPDATE users SET email_verified_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND email = $2
+      RETURNING email, email_verified_at
+    `, [verification.user_id, verification.email]);
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'The email address has changed since this link was sent' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Verify email error:', err);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Helper function to create an invite owned by the current user
+const createInvite = async (req, { maxUses, expiresAt, email = null, orgId = null, orgRole = 'viewer' }) => {
+  const result = await pool.query(`
+    INSERT INTO invites (code, created_by, max_uses, expires_at, email, org_id, org_role)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [generateInviteCode(), req.user.userId, maxUses, expiresAt, email, orgId, orgRole]);
+
+  return result.rows[0];
+};
+
+const defaultInviteExpiry = () => new Date(Date.now() + DEFAULT_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+router.post('/invites', authenticateToken, requireScope('admin'), validate(schemas.createInvite), async (req, res) => {
+  try {
+    const {
+      max_uses = DEFAULT_INVITE_MAX_USES,
+      expires_in_days = DEFAULT_INVITE_TTL_DAYS,
+      email = null,
+      org = null,
+      org_role = 'viewer'
+    } = req.body;
+
+    // Like adding members directly, inviting into an organization is up to its owners
+    let orgId = null;
+    if (org) {
+      const membership = await pool.query(`
+        SELECT o.id FROM organizations o
+        JOIN organization_members om ON om.org_id = o.id
+        WHERE o.name = $1 AND om.user_id = $2 AND om.role = 'owner'
+      `, [org, req.user.userId]);
+
+      if (membership.rows.length === 0) {
+        return res.status(404).json({ error: 'Organization not found or unauthorized' });
+      }
+      orgId = membership.rows[0].id;
+    }
+
+    const invite = await createInvite(req, {
+      maxUses: max_uses,
+      expiresAt: new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000),
+      email,
+      orgId,
+      orgRole: org_role
+    });
+    const url = inviteUrl(req, invite.code);
+
+    if (email) {
+      try {
+        await sendMail({
+          to: email,
+          subject: `${req.user.username} invited you to OSMSAT Model Server`,
+          text: `${req.user.username} invited you to create an account${org ? ` and join ${org}` : ''}:\n\n${url}\n\n` +
+            `The invite expires on ${invite.expires_at.toISOString().slice(0, 10)}.`
+        });
+      } catch (err) {
+        console.error('Invite email error:', err);
+      }
+    }
+
+    res.status(201).json({ ...invite, org, url, status: inviteStatus(invite) });
+  } catch (err) {
+    console.error('Error creating invite:', err);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// The caller's invites with their redemptions, plus the tree of accounts that
+// registered through the caller's invites and, in turn, through theirs
+router.get('/invites', authenticateToken, requireScope('admin'), validate(schemas.listInvites), async (req, res) => {
+  try {
+    const [invitesResult, treeResult] = await Promise.all([
+      pool.query(`
+        SELECT i.*, o.name as org,
+               COALESCE(
+                 json_agg(json_build_object('user_id', u.id, 'username', u.username, 'redeemed_at', r.redeemed_at)
+                          ORDER BY r.redeemed_at) FILTER (WHERE r.id IS NOT NULL),
+                 '[]'
+               ) as redemptions
+        FROM invites i
+        LEFT JOIN organizations o ON o.id = i.org_id
+        LEFT JOIN invite_redemptions r ON r.invite_id = i.id
+        LEFT JOIN users u ON u.id = r.user_id
+        WHERE i.created_by = $1
+        GROUP BY i.id, o.name
+        ORDER BY i.created_at DESC
+      `, [req.user.userId]),
+      pool.query(`
+        WITH RECURSIVE tree AS (
+          SELECT id, username, invited_by, created_at, 1 as depth
+          FROM users WHERE invited_by = $1
+          UNION ALL
+          SELECT u.id, u.username, u.invited_by, u.created_at, tree.depth + 1
+          FROM users u
+          JOIN tree ON u.invited_by = tree.id
+          WHERE tree.depth < 10
+        )
+        SELECT id, username, invited_by, created_at FROM tree ORDER BY created_at
+      `, [req.user.userId])
+    ]);
+
+    const nodes = new Map(treeResult.rows.map(row => [row.id, {
+      id: row.id,
+      username: row.username,
+      created_at: row.created_at,
+      invited: []
+    }]));
+    const tree = [];
+    for (const row of treeResult.rows) {
+      const parent = nodes.get(row.invited_by);
+      (parent ? parent.invited : tree).push(nodes.get(row.id));
+    }
+
     res.json({
-      token: inviteToken,
-      url: `${req.protocol}://${req.get('host')}/register?token=${inviteToken}`
+      invites: invitesResult.rows.map(invite => ({
+        ...invite,
+        url: inviteUrl(req, invite.code),
+        status: inviteStatus(invite)
+      })),
+      tree
+    });
+  } catch (err) {
+    console.error('Error fetching invites:', err);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+router.delete('/invites/:id', authenticateToken, requireScope('admin'), validate(schemas.revokeInvite), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE invites SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND created_by = $2
+      RETURNING *
+    `, [req.params.id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ ...result.rows[0], status: 'revoked' });
+  } catch (err) {
+    console.error('Error revoking invite:', err);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// Quick invite link used by the web interface: reuses the caller's latest
+// usable plain invite (no email or organization) or creates one with defaults
+router.post('/generate-invite-token', authenticateToken, requireScope('admin'), validate(schemas.generateInviteToken), async (req, res) => {
+  try {
+    const existing = await pool.query(`
+      SELECT * FROM invites
+      WHERE created_by = $1 AND email IS NULL AND org_id IS NULL AND ${USABLE_INVITE_CONDITION}
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [req.user.userId]);
+
+    const invite = existing.rows[0] || await createInvite(req, {
+      maxUses: DEFAULT_INVITE_MAX_USES,
+      expiresAt: defaultInviteExpiry()
+    });
+
+    res.json({
+      token: invite.code,
+      url: inviteUrl(req, invite.code),
+      max_uses: invite.max_uses,
+      use_count: invite.use_count,
+      expires_at: invite.expires_at
     });
   } catch (err) {
     console.error('Generate invite token error:', err);
@@ -155,21 +471,25 @@ router.post('/generate-invite-token', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/reset-invite-token', authenticateToken, async (req, res) => {
+// Revokes the caller's plain invites and starts a fresh one
+router.post('/reset-invite-token', authenticateToken, requireScope('admin'), validate(schemas.resetInviteToken), async (req, res) => {
   try {
-    const userId = req.user.userId;
-    
-    const inviteToken = crypto.randomBytes(8).toString('hex');
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    
-    await pool.query(
-      'UPDATE users SET invite_token = $1, invite_token_expires = $2 WHERE id = $3',
-      [inviteToken, expiresAt, userId]
-    );
-    
+    await pool.query(`
+      UPDATE invites SET revoked_at = CURRENT_TIMESTAMP
+      WHERE created_by = $1 AND email IS NULL AND org_id IS NULL AND revoked_at IS NULL
+    `, [req.user.userId]);
+
+    const invite = await createInvite(req, {
+      maxUses: DEFAULT_INVITE_MAX_USES,
+      expiresAt: defaultInviteExpiry()
+    });
+
     res.json({
-      token: inviteToken,
-      url: `${req.protocol}://${req.get('host')}/register?token=${inviteToken}`
+      token: invite.code,
+      url: inviteUrl(req, invite.code),
+      max_uses: invite.max_uses,
+      use_count: invite.use_count,
+      expires_at: invite.expires_at
     });
   } catch (err) {
     console.error('Reset invite token error:', err);
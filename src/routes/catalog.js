@@ -0,0 +1,82 @@
+const express = require('express');
+const { pool } = require('../database');
+const { optionalAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/catalog');
+const { buildAccessCondition } = require('../utils/modelAccess');
+const { normalizeTag } = require('../utils/tags');
+const { normalizeClassName } = require('../utils/classIndex');
+
+const router = express.Router();
+
+const DEFAULT_CATALOG_LIMIT = 50;
+
+// Get the tags of visible models with their model counts
+router.get('/tags', optionalAuth, validate(schemas.tags), async (req, res) => {
+  try {
+    const params = [];
+    const conditions = [buildAccessCondition(req.user, params, 'm')];
+
+    const q = req.query.q ? normalizeTag(req.query.q) : '';
+    if (q) {
+      params.push(q);
+      conditions.push(`strpos(t.tag, $${params.length}) > 0`);
+    }
+
+    params.push(Number(req.query.limit) || DEFAULT_CATALOG_LIMIT);
+
+    const result = await pool.query(`
+      SELECT t.tag as name, COUNT(*)::int as model_count
+      FROM models m
+      CROSS JOIN LATERAL unnest(m.tags) AS t(tag)
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY t.tag
+      ORDER BY model_count DESC, name
+      LIMIT $${params.length}
+    `, params);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching tags:', err);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Get the class names of the active versions of visible models with their model counts
+router.get('/classes', optionalAuth, validate(schemas.classes), async (req, res) => {
+  try {
+    const params = [];
+    const conditions = [buildAccessCondition(req.user, params, 'm')];
+
+    const q = req.query.q ? normalizeClassName(req.query.q) : '';
+    if (q) {
+      params.push(q);
+      conditions.push(`strpos(mc.name, $${params.length}) > 0`);
+    }
+
+    if (req.query.task_type) {
+      params.push(req.query.task_type);
+      conditions.push(`m.task_type = $${params.length}`);
+    }
+
+    params.push(Number(req.query.limit) || DEFAULT_CATALOG_LIMIT);
+
+    const result = await pool.query(`
+      SELECT mc.name, COUNT(DISTINCT m.id)::int as model_count
+      FROM models m
+      JOIN model_versions mv ON m.id = mv.model_id AND mv.is_active = true
+      JOIN model_classes mc ON mc.version_id = mv.id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY mc.name
+      ORDER BY model_count DESC, mc.name
+      LIMIT $${params.length}
+    `, params);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching classes:', err);
+    res.status(500).json({ error: 'Failed to fetch classes' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/docs');
+const { buildOpenApiSpec } = require('../utils/openapi');
+
+const router = express.Router();
+
+// Built on first request, once all routers are mounted
+let spec = null;
+
+router.get('/openapi.json', validate(schemas.openapi), (req, res) => {
+  try {
+    if (!spec) {
+      spec = buildOpenApiSpec(require('./index'));
+    }
+    res.json(spec);
+  } catch (err) {
+    console.error('Error building OpenAPI document:', err);
+    res.status(500).json({ error: 'Failed to build API description' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,12 @@
+// The API routers and where they are mounted. server.js mounts them and the
+// OpenAPI document (GET /api/openapi.json) is generated from the same list.
+module.exports = [
+  { path: '/api/auth', router: require('./auth') },
+  { path: '/api/models', router: require('./models') },
+  { path: '/api/models', router: require('./uploads') },
+  { path: '/api/users', router: require('./users') },
+  { path: '/api/orgs', router: require('./orgs') },
+  { path: '/api/admin', router: require('./admin') },
+  { path: '/api', router: require('./catalog') },
+  { path: '/api', router: require('./docs') }
+];
@@ -1,22 +1,53 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const fs = require('fs').promises;
-const crypto = require('crypto');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
 const { v4: uuidv4 } = require('uuid');
-const YAML = require('yamljs');
 const archiver = require('archiver');
 const { pool } = require('../database');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireScope } = require('../middleware/auth');
+const { downloadRateLimit } = require('../middleware/rateLimit');
+const { fieldError, sendValidationError } = require('../middleware/errors');
+const { validate, validateRequest } = require('../middleware/validate');
+const schemas = require('../schemas/models');
+const { normalizeVersion, sortVersionsDesc } = require('../utils/versions');
+const { processMetadata } = require('../utils/metadata');
+const { canPublishVersion, publishVersion } = require('../utils/modelUpload');
+const { MODEL_FILES_DESCRIPTION, normalizeModelFilename } = require('../utils/tfjsModel');
+const { normalizeTags } = require('../utils/tags');
+const { EDITABLE_MODEL_FIELDS, diffModel, recordModelChange } = require('../utils/modelChanges');
+const { parsePagination, pageLink } = require('../utils/pagination');
+const { listModels } = require('../utils/modelListing');
+const { recordModelEvent } = require('../utils/modelStats');
+const { getStorage } = require('../utils/storage');
+const { COMMENT_FIELDS, buildCommentTree, notifyModelOwners } = require('../utils/modelComments');
+const {
+  ORG_MANAGER_ROLES,
+  buildAccessCondition,
+  buildWriteCondition,
+  buildManageCondition
+} = require('../utils/modelAccess');
+const {
+  getStagingDir,
+  getBlobKey,
+  getVersionFiles,
+  findVersionFile,
+  removeModelFiles
+} = require('../utils/modelFiles');
 
 const router = express.Router();
 
+const DEFAULT_STATS_DAYS = 30;
+
+// Files are staged per request and only moved into the blob store by the
+// transaction creating the version, so a failed upload leaves nothing behind.
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const modelId = req.params.id;
-    const uploadPath = path.join(__dirname, '../../uploads/models', modelId);
-    fs.mkdir(uploadPath, { recursive: true }).then(() => {
-      cb(null, uploadPath);
+    req.uploadId = req.uploadId || uuidv4();
+    const stagingPath = getStagingDir(req.uploadId);
+    fs.mkdir(stagingPath, { recursive: true }).then(() => {
+      cb(null, stagingPath);
     }).catch(cb);
   },
   filename: (req, file, cb) => {
@@ -24,143 +55,201 @@ const storage = multer.diskStorage({
   }
 });
 
+// Only files of a TF.js model are staged, under their normalized names; the
+// route reports the others
+const fileFilter = (req, file, cb) => {
+  const filename = normalizeModelFilename(file.originalname);
+  if (!filename) {
+    req.rejectedFiles = [...(req.rejectedFiles || []), file.originalname];
+    return cb(null, false);
+  }
+  file.originalname = filename;
+  cb(null, true);
+};
+
 const upload = multer({
   storage,
+  fileFilter,
   limits: { fileSize: 100 * 1024 * 1024 }
 });
 
-// Helper function to calculate MD5 hash of model files
-const calculateModelHash = async (files) => {
-  const hash = crypto.createHash('md5');
-
-  // Sort files for consistent hashing
-  const sortedFiles = files.sort((a, b) => a.originalname.localeCompare(b.originalname));
-
-  for (const file of sortedFiles) {
-    const fileContent = await fs.readFile(file.path);
-    hash.update(file.originalname); // Include filename in hash
-    hash.update(fileContent);
+// Helper middleware to refuse uploads to models the user cannot write to,
+// before multer writes anything to disk
+const requirePublishAccess = async (req, res, next) => {
+  try {
+    if (!(await canPublishVersion(req.user, req.params.id))) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
+    }
+    next();
+  } catch (err) {
+    console.error('Error checking model access:', err);
+    res.status(500).json({ error: 'Failed to upload model' });
   }
+};
 
-  return hash.digest('hex');
+// Helper middleware to stage the uploaded files, discarding them when the
+// request fails before the route takes over (e.g. a file is too large)
+const stageFiles = (req, res, next) => {
+  upload.array('files')(req, res, (err) => {
+    if (err && req.uploadId) {
+      fs.rm(getStagingDir(req.uploadId), { recursive: true, force: true })
+        .catch(() => {})
+        .then(() => next(err));
+      return;
+    }
+    next(err);
+  });
 };
 
-// Helper function to format image size display
-const formatImageSize = (imgsz) => {
-  if (!imgsz || !Array.isArray(imgsz) || imgsz.length < 2) return null;
+// Helper function to look up a model and one of its versions (the active one
+// when no version is given), applying the visibility rules for the requester
+const findAccessibleVersion = async (req, version) => {
+  const params = [req.params.id];
+  const accessCondition = buildAccessCondition(req.user, params, 'm');
+
+  let versionCondition = 'mv.is_active = true';
+  if (version) {
+    params.push(version);
+    versionCondition = `mv.version = $${params.length}`;
+  }
+
+  const result = await pool.query(`
+    SELECT m.id, m.name, m.visibility, mv.id as version_id, mv.version
+    FROM models m
+    LEFT JOIN model_versions mv ON m.id = mv.model_id AND ${versionCondition}
+    WHERE m.id = $1 AND ${accessCondition}
+    ORDER BY mv.created_at DESC
+    LIMIT 1
+  `, params);
 
-  const [width, height] = imgsz;
-  return width === height ? width.toString() : `${width}x${height}`;
+  return result.rows[0] || null;
 };
 
-// Helper function to process and enhance metadata
-const processMetadata = (metadata) => {
-  const processed = { ...metadata };
+// Files of a pinned version never change; those of the active version have to
+// be revalidated, since another version may be activated
+const PINNED_CACHE_CONTROL = 'max-age=31536000, immutable';
+const ACTIVE_CACHE_CONTROL = 'no-cache';
 
-  // Calculate the number of classes and class list
-  if (processed.names) {
-    processed.num_classes = Object.keys(processed.names).length;
-    processed.class_list = Object.values(processed.names);
+// Helper function to check an If-None-Match header against a strong ETag
+const matchesETag = (header, etag) => header.split(',').some((tag) => {
+  const value = tag.trim();
+  return value === '*' || value.replace(/^W\//, '') === etag;
+});
+
+// Helper function to send a file of a version's manifest: a redirect when the
+// storage backend serves downloads itself, otherwise streamed from the backend.
+// The blob's SHA-256 is the file's strong ETag, for conditional and range requests.
+const sendStoredFile = async (req, res, file, { pinned = false, visibility } = {}) => {
+  const key = getBlobKey(file.sha256);
+  const size = Number(file.size);
+  const etag = `"${file.sha256}"`;
+  // Shared caches may only keep files everyone can download
+  const cacheControl = `${visibility === 'public' ? 'public' : 'private'}, ${pinned ? PINNED_CACHE_CONTROL : ACTIVE_CACHE_CONTROL}`;
+
+  const ifNoneMatch = req.get('if-none-match');
+  if (ifNoneMatch && matchesETag(ifNoneMatch, etag)) {
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', cacheControl);
+    return res.status(304).end();
   }
 
-  // Format image size display
-  if (processed.imgsz) {
-    processed.image_size_display = formatImageSize(processed.imgsz);
+  const url = await getStorage().downloadUrl(key, { filename: file.filename });
+  if (url) {
+    return res.redirect(url);
   }
 
-  // Determine precision from the half-precision flag
-  if (processed.args.half !== undefined) {
-    processed.precision = processed.args.half ? 'FP16' : 'FP32';
+  // A single byte range, unless If-Range names another version of the file.
+  // Malformed and multiple ranges get the whole file.
+  let range = null;
+  const ifRange = req.get('if-range');
+  if (req.get('range') && (!ifRange || ifRange === etag)) {
+    const ranges = req.range(size);
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      [range] = ranges;
+    }
   }
 
-  // Determine quantization from int8 flag
-  if (processed.args.int8 !== undefined) {
-    processed.quantization = processed.args.int8 ? 'INT8' : 'None';
+  let stream = null;
+  if (req.method !== 'HEAD') {
+    try {
+      stream = await getStorage().open(key, range ? { start: range.start, end: range.end } : {});
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      console.error(`Blob ${file.sha256} of ${file.filename} is missing from storage`);
+      return res.status(404).json({ error: `File ${file.filename} not found` });
+    }
   }
 
-  // Set the model format (hardcoded to TF.js for now)
-  processed.model_format = processed.model_format || 'TF.js';
+  res.attachment(file.filename);
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', cacheControl);
+  res.setHeader('Accept-Ranges', 'bytes');
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.setHeader('Content-Length', size);
+  }
 
-  return processed;
+  if (!stream) {
+    return res.end();
+  }
+  // pipeline closes the file or storage connection when the client goes away
+  try {
+    await pipeline(stream, res);
+  } catch (err) {
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Error sending model file:', err);
+      res.destroy(err);
+    }
+  }
 };
 
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validate(schemas.list), async (req, res) => {
   try {
-    const { task_type, page = 1, limit = 20 } = req.query;
-    const offset = (page - 1) * limit;
-
-    let query = `
-      SELECT 
-        m.id, m.name, m.description, m.task_type, m.zoom_level, m.visibility, m.created_at,
-        u.username as owner,
-        mv.version, mv.file_size, mv.metadata
-      FROM models m
-      JOIN users u ON m.user_id = u.id
-      LEFT JOIN model_versions mv ON m.id = mv.model_id AND mv.is_active = true
-      WHERE m.visibility = 'public'
-    `;
-
+    // Authenticated users can see public + members + their own private models
     const params = [];
-    if (req.user) {
-      // Authenticated users can see public + members + their own private models
-      query = `
-        SELECT 
-          m.id, m.name, m.description, m.task_type, m.zoom_level, m.visibility, m.created_at,
-          u.username as owner,
-          mv.version, mv.file_size, mv.metadata
-        FROM models m
-        JOIN users u ON m.user_id = u.id
-        LEFT JOIN model_versions mv ON m.id = mv.model_id AND mv.is_active = true
-        WHERE (m.visibility IN ('public', 'members') OR m.user_id = $${params.length + 1})
-      `;
-      params.push(req.user.userId);
-    }
+    const condition = buildAccessCondition(req.user, params, 'm');
 
-    if (task_type) {
-      query += ` AND m.task_type = $${params.length + 1}`;
-      params.push(task_type);
+    const { errors, page } = await listModels(req, { condition, params });
+    if (errors) {
+      return sendValidationError(res, errors, 'Invalid query parameters');
     }
 
-    query += ` ORDER BY m.created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-    params.push(limit, offset);
-
-    const result = await pool.query(query, params);
-
-    // Process metadata for each model
-    const modelsWithProcessedMetadata = result.rows.map(model => ({
-      ...model,
-      metadata: model.metadata ? processMetadata(model.metadata) : {}
-    }));
-
-    res.json(modelsWithProcessedMetadata);
+    res.json(page);
   } catch (err) {
     console.error('Error fetching models:', err);
     res.status(500).json({ error: 'Failed to fetch models' });
   }
 });
 
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/:id', optionalAuth, validate(schemas.get), async (req, res) => {
   try {
     const { id } = req.params;
-    let accessCondition;
     const params = [id];
-    
+    const accessCondition = buildAccessCondition(req.user, params, 'm');
+
+    // Whether the caller starred the model; always false for anonymous callers
+    let starred = 'false';
     if (req.user) {
-      // Authenticated users can access 'public', 'members', and/or their own private models
-      accessCondition = `(m.visibility IN ('public', 'members') OR m.user_id = $2)`;
       params.push(req.user.userId);
-    } else {
-      // Anonymous users can only access public models
-      accessCondition = `m.visibility = 'public'`;
+      starred = `EXISTS (SELECT 1 FROM model_stars s WHERE s.model_id = m.id AND s.user_id = $${params.length})`;
     }
     
     const query = `
       SELECT 
-        m.id, m.name, m.description, m.task_type, m.zoom_level, m.visibility, m.created_at,
-        u.username as owner,
-        mv.version, mv.file_size, mv.metadata
+        m.id, m.name, m.description, m.task_type, m.zoom_level, m.visibility, m.tags, m.license,
+        m.download_count, m.view_count, m.star_count, ${starred} as starred, m.created_at, m.updated_at,
+        coalesce(u.username, o.name) as owner, o.name as org,
+        mv.id as version_id, mv.version, mv.file_size, mv.metadata
       FROM models m
-      JOIN users u ON m.user_id = u.id
+      LEFT JOIN users u ON m.user_id = u.id
+      LEFT JOIN organizations o ON m.org_id = o.id
       LEFT JOIN model_versions mv ON m.id = mv.model_id AND mv.is_active = true
       WHERE m.id = $1 AND ${accessCondition}
     `;
@@ -171,8 +260,10 @@ router.get('/:id', optionalAuth, async (req, res) => {
       return res.status(404).json({ error: 'Model not found' });
     }
 
+    const { version_id, ...model } = result.rows[0];
+    await recordModelEvent(req, 'view', model.id, version_id);
+
     // Process metadata for the model
-    const model = result.rows[0];
     const processedModel = {
       ...model,
       metadata: model.metadata ? processMetadata(model.metadata) : {}
@@ -185,29 +276,94 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-router.post('/', authenticateToken, async (req, res) => {
+// Download and view statistics. Statistics of private models are only shown
+// to those who manage them, not to everyone they are shared with.
+router.get('/:id/stats', optionalAuth, validate(schemas.stats), async (req, res) => {
   try {
-    const { name, description, task_type, zoom_level = 19, visibility = 'private' } = req.body;
+    const { id } = req.params;
+    const days = Number(req.query.days) || DEFAULT_STATS_DAYS;
 
-    if (!name || !task_type) {
-      return res.status(400).json({ error: 'Name and task_type are required' });
+    const params = [id];
+    let statsCondition = `m.visibility <> 'private' AND ${buildAccessCondition(req.user, params, 'm')}`;
+    if (req.user) {
+      statsCondition = `((${statsCondition}) OR ${buildManageCondition(req.user, params, 'm')})`;
     }
 
-    if (!['detect', 'obb', 'pose'].includes(task_type)) {
-      return res.status(400).json({ error: 'Invalid task_type' });
+    const modelResult = await pool.query(`
+      SELECT m.id, m.download_count, m.view_count
+      FROM models m
+      WHERE m.id = $1 AND ${statsCondition}
+    `, params);
+
+    if (modelResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
     }
 
-    if (zoom_level < 8 || zoom_level > 21) {
-      return res.status(400).json({ error: 'Zoom level must be between 8 and 21' });
+    const model = modelResult.rows[0];
+
+    const seriesQuery = pool.query(`
+      SELECT to_char(d, 'YYYY-MM-DD') as date,
+        COUNT(e.id) FILTER (WHERE e.event = 'download')::int as downloads,
+        COUNT(e.id) FILTER (WHERE e.event = 'view')::int as views
+      FROM generate_series(CURRENT_DATE - ($2::int - 1), CURRENT_DATE, interval '1 day') AS d
+      LEFT JOIN model_events e ON e.model_id = $1 AND e.day = d::date
+      GROUP BY d
+      ORDER BY d
+    `, [model.id, days]);
+
+    const versionsQuery = pool.query(`
+      SELECT mv.version, COUNT(e.id) FILTER (WHERE e.event = 'download')::int as downloads
+      FROM model_versions mv
+      LEFT JOIN model_events e ON e.version_id = mv.id
+      WHERE mv.model_id = $1
+      GROUP BY mv.id
+      ORDER BY mv.created_at DESC
+    `, [model.id]);
+
+    const [seriesResult, versionsResult] = await Promise.all([seriesQuery, versionsQuery]);
+
+    res.json({
+      model_id: model.id,
+      totals: { downloads: model.download_count, views: model.view_count },
+      versions: versionsResult.rows,
+      days,
+      series: seriesResult.rows
+    });
+  } catch (err) {
+    console.error('Error fetching model statistics:', err);
+    res.status(500).json({ error: 'Failed to fetch model statistics' });
+  }
+});
+
+router.post('/', authenticateToken, requireScope('upload'), validate(schemas.create), async (req, res) => {
+  try {
+    const { name, description, task_type, zoom_level = 19, visibility = 'private', org, tags = [], license = null } = req.body;
+
+    if (visibility === 'org' && !org) {
+      return res.status(400).json({ error: 'org visibility requires the model to be owned by an organization' });
     }
 
-    if (!['private', 'members', 'public'].includes(visibility)) {
-      return res.status(400).json({ error: 'Invalid visibility. Must be private, members, or public' });
+    // Models are owned either by the creating user or by an organization they maintain
+    let userId = req.user.userId;
+    let orgId = null;
+    if (org) {
+      const membership = await pool.query(`
+        SELECT o.id FROM organizations o
+        JOIN organization_members om ON om.org_id = o.id
+        WHERE o.name = $1 AND om.user_id = $2 AND om.role = ANY($3)
+      `, [org, req.user.userId, ORG_MANAGER_ROLES]);
+
+      if (membership.rows.length === 0) {
+        return res.status(404).json({ error: 'Organization not found or unauthorized' });
+      }
+
+      userId = null;
+      orgId = membership.rows[0].id;
     }
 
     const result = await pool.query(
-      'INSERT INTO models (name, description, task_type, zoom_level, user_id, visibility) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-      [name, description, task_type, zoom_level, req.user.userId, visibility]
+      'INSERT INTO models (name, description, task_type, zoom_level, user_id, org_id, visibility, tags, license) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
+      [name, description, task_type, zoom_level, userId, orgId, visibility, normalizeTags(tags), license]
     );
 
     res.status(201).json(result.rows[0]);
@@ -217,88 +373,178 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/:id/upload', authenticateToken, upload.array('files'), async (req, res) => {
+// Edit model details; the owner, write collaborators and organization
+// maintainers can do this, and every effective change is logged
+router.patch('/:id', authenticateToken, requireScope('upload'), validate(schemas.update), async (req, res) => {
+  const { id } = req.params;
+
+  const updates = {};
+  for (const field of EDITABLE_MODEL_FIELDS) {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  }
+  if (updates.tags) {
+    updates.tags = normalizeTags(updates.tags);
+  }
+
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const { version = '1.0.0', created_date } = req.body;
+    await client.query('BEGIN');
 
-    const modelCheck = await pool.query(
-      'SELECT id FROM models WHERE id = $1 AND user_id = $2',
-      [id, req.user.userId]
+    const params = [id];
+    const writeCondition = buildWriteCondition(req.user, params, 'm');
+    const current = await client.query(
+      `SELECT m.* FROM models m WHERE m.id = $1 AND ${writeCondition} FOR UPDATE OF m`,
+      params
     );
 
-    if (modelCheck.rows.length === 0) {
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Model not found or unauthorized' });
     }
 
-    const uploadPath = path.join(__dirname, '../../uploads/models', id);
-    await fs.mkdir(uploadPath, { recursive: true });
-
-    let totalSize = 0;
-    let metadata = {};
+    const changes = diffModel(current.rows[0], updates);
+    const fields = Object.keys(changes);
 
-    for (const file of req.files) {
-      totalSize += file.size;
-      
-      if (file.originalname === 'metadata.yaml') {
-        const yamlContent = await fs.readFile(file.path, 'utf8');
-        metadata = YAML.parse(yamlContent);
-      }
+    // Nothing to change: no log entry and no updated_at bump
+    if (fields.length === 0) {
+      await client.query('ROLLBACK');
+      return res.json(current.rows[0]);
     }
 
-    // Calculate MD5 hash of all uploaded files
-    const modelHash = await calculateModelHash(req.files);
+    // Column names come from EDITABLE_MODEL_FIELDS, never from the request
+    const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+    const result = await client.query(`
+      UPDATE models SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${fields.length + 1}
+      RETURNING *
+    `, [...fields.map(field => updates[field]), id]);
 
-    // Add form-provided created_date to metadata if provided
-    if (created_date) {
-      metadata.form_created_date = created_date;
-    }
+    await recordModelChange(client, id, req.user.userId, changes);
 
-    // Add hash and format to metadata
-    metadata.model_hash = modelHash;
-    metadata.model_format = metadata.model_format || 'TF.js';
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating model:', err);
+    res.status(500).json({ error: 'Failed to update model' });
+  } finally {
+    client.release();
+  }
+});
 
-    // Process metadata to add calculated fields
-    metadata = processMetadata(metadata);
+// Anyone who can see a model can see how it changed
+router.get('/:id/changes', optionalAuth, validate(schemas.listChanges), async (req, res) => {
+  const { errors, pagination } = parsePagination(req.query);
+  if (pagination.cursor) {
+    errors.push(fieldError('query', 'cursor', 'cursor is not supported for this listing'));
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, 'Invalid query parameters');
+  }
 
-    await pool.query(
-      'UPDATE model_versions SET is_active = false WHERE model_id = $1',
-      [id]
-    );
+  try {
+    const { id } = req.params;
+    const { page, limit } = pagination;
 
-    const result = await pool.query(
-      'INSERT INTO model_versions (model_id, version, file_path, file_size, metadata) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [id, version, uploadPath, totalSize, metadata]
+    const params = [id];
+    const accessCondition = buildAccessCondition(req.user, params, 'm');
+    const modelCheck = await pool.query(
+      `SELECT m.id FROM models m WHERE m.id = $1 AND ${accessCondition}`,
+      params
     );
 
+    if (modelCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
+    }
+
+    const [itemsResult, countResult] = await Promise.all([
+      pool.query(`
+        SELECT c.id, u.username, c.changes, c.created_at
+        FROM model_changes c
+        LEFT JOIN users u ON u.id = c.user_id
+        WHERE c.model_id = $1
+        ORDER BY c.created_at DESC, c.id DESC
+        LIMIT $2 OFFSET $3
+      `, [id, limit, (page - 1) * limit]),
+      pool.query('SELECT COUNT(*)::int AS total FROM model_changes WHERE model_id = $1', [id])
+    ]);
+
+    const { total } = countResult.rows[0];
     res.json({
-      message: 'Model uploaded successfully',
-      version: result.rows[0]
+      items: itemsResult.rows,
+      total,
+      page,
+      limit,
+      next: page * limit < total ? pageLink(req, { limit, page: page + 1 }) : null,
+      prev: page > 1 ? pageLink(req, { limit, page: page - 1 }) : null
     });
+  } catch (err) {
+    console.error('Error fetching model changes:', err);
+    res.status(500).json({ error: 'Failed to fetch model changes' });
+  }
+});
+
+router.post('/:id/upload', authenticateToken, requireScope('upload'), validate(schemas.upload), requirePublishAccess, stageFiles, async (req, res) => {
+  const stagingPath = req.uploadId ? getStagingDir(req.uploadId) : null;
+
+  try {
+    const { id } = req.params;
+    const { bump, created_date } = req.body;
+
+    // Form fields are only parsed by multer, so they are checked here where
+    // the staged files still get cleaned up
+    const errors = validateRequest({ body: schemas.upload.body }, req);
+    for (const name of req.rejectedFiles || []) {
+      errors.push(fieldError('body', 'files', `files must be ${MODEL_FILES_DESCRIPTION}; got ${JSON.stringify(name)}`));
+    }
+    const names = (req.files || []).map(file => file.originalname);
+    if (new Set(names).size !== names.length) {
+      errors.push(fieldError('body', 'files', 'files must have unique names'));
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (req.body.version && bump) {
+      return res.status(400).json({ error: 'Provide either version or bump, not both' });
+    }
+
+    // Versions are semantic versions
+    let version = null;
+    if (!bump) {
+      version = normalizeVersion(req.body.version || '1.0.0');
+      if (!version) {
+        return res.status(400).json({ error: 'version must be a valid semantic version (e.g. 1.2.0)' });
+      }
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const { status, body } = await publishVersion(id, { version, bump, createdDate: created_date }, req.files);
+    res.status(status).json(body);
   } catch (err) {
     console.error('Error uploading model:', err);
     res.status(500).json({ error: 'Failed to upload model' });
+  } finally {
+    // Discard whatever is left in the staging area (e.g. rejected uploads)
+    if (stagingPath) {
+      await fs.rm(stagingPath, { recursive: true, force: true }).catch(() => {});
+    }
   }
 });
 
-router.get('/:id/files', optionalAuth, async (req, res) => {
+router.get('/:id/versions', optionalAuth, validate(schemas.listVersions), async (req, res) => {
   try {
     const { id } = req.params;
-
-    let accessCondition;
     const params = [id];
-    
-    if (req.user) {
-      // Authenticated users can access 'public', 'members', and/or their own private models
-      accessCondition = `(visibility IN ('public', 'members') OR user_id = $2)`;
-      params.push(req.user.userId);
-    } else {
-      // Anonymous users can only access public models
-      accessCondition = `visibility = 'public'`;
-    }
-    
+    const accessCondition = buildAccessCondition(req.user, params, 'm');
+
     const modelCheck = await pool.query(
-      `SELECT id FROM models WHERE id = $1 AND ${accessCondition}`,
+      `SELECT m.id FROM models m WHERE m.id = $1 AND ${accessCondition}`,
       params
     );
 
@@ -306,14 +552,114 @@ router.get('/:id/files', optionalAuth, async (req, res) => {
       return res.status(404).json({ error: 'Model not found or unauthorized' });
     }
 
-    const uploadPath = path.join(__dirname, '../../uploads/models', id);
-    
-    try {
-      const files = await fs.readdir(uploadPath);
-      res.json(files);
-    } catch (err) {
-      res.json([]);
+    const result = await pool.query(`
+      SELECT id, version, file_size, metadata, is_active, created_at
+      FROM model_versions
+      WHERE model_id = $1
+    `, [id]);
+
+    res.json(sortVersionsDesc(result.rows).map(version => ({
+      ...version,
+      metadata: version.metadata ? processMetadata(version.metadata) : {}
+    })));
+  } catch (err) {
+    console.error('Error fetching model versions:', err);
+    res.status(500).json({ error: 'Failed to fetch model versions' });
+  }
+});
+
+router.get('/:id/versions/:version', optionalAuth, validate(schemas.getVersion), async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const params = [id, version];
+    const accessCondition = buildAccessCondition(req.user, params, 'm');
+
+    const result = await pool.query(`
+      SELECT 
+        mv.id, mv.version, mv.file_size, mv.metadata, mv.is_active, mv.created_at,
+        m.id as model_id, m.name
+      FROM model_versions mv
+      JOIN models m ON m.id = mv.model_id
+      WHERE m.id = $1 AND mv.version = $2 AND ${accessCondition}
+      ORDER BY mv.created_at DESC
+      LIMIT 1
+    `, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Version not found or unauthorized' });
+    }
+
+    const modelVersion = result.rows[0];
+    const files = (await getVersionFiles(modelVersion.id)).map(file => file.filename);
+
+    res.json({
+      ...modelVersion,
+      metadata: modelVersion.metadata ? processMetadata(modelVersion.metadata) : {},
+      files
+    });
+  } catch (err) {
+    console.error('Error fetching model version:', err);
+    res.status(500).json({ error: 'Failed to fetch model version' });
+  }
+});
+
+// Roll back (or forward) by making an existing version the active one
+router.post('/:id/versions/:version/activate', authenticateToken, requireScope('upload'), validate(schemas.activateVersion), async (req, res) => {
+  try {
+    const { id, version } = req.params;
+
+    const params = [id, version];
+    const writeCondition = buildWriteCondition(req.user, params, 'm');
+    const versionCheck = await pool.query(`
+      SELECT mv.id
+      FROM model_versions mv
+      JOIN models m ON m.id = mv.model_id
+      WHERE m.id = $1 AND mv.version = $2 AND ${writeCondition}
+      ORDER BY mv.created_at DESC
+      LIMIT 1
+    `, params);
+
+    if (versionCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Version not found or unauthorized' });
+    }
+
+    // A single statement keeps exactly one version active at all times
+    const result = await pool.query(`
+      UPDATE model_versions SET is_active = (id = $2)
+      WHERE model_id = $1
+      RETURNING id, version, file_size, metadata, is_active, created_at
+    `, [id, versionCheck.rows[0].id]);
+
+    await pool.query(
+      'UPDATE models SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [id]
+    );
+
+    res.json({
+      message: `Version ${version} activated`,
+      version: result.rows.find(row => row.is_active)
+    });
+  } catch (err) {
+    console.error('Error activating model version:', err);
+    res.status(500).json({ error: 'Failed to activate model version' });
+  }
+});
+
+router.get(['/:id/files', '/:id/versions/:version/files'], optionalAuth, validate(schemas.files), async (req, res) => {
+  try {
+    const model = await findAccessibleVersion(req, req.params.version);
+
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
     }
+
+    if (req.params.version && !model.version_id) {
+      return res.status(404).json({ error: `Version ${req.params.version} not found` });
+    }
+
+    // Models without any version have no files yet
+    const files = model.version_id ? await getVersionFiles(model.version_id) : [];
+    res.json(files.map(file => file.filename));
   } catch (err) {
     console.error('Error getting file list:', err);
     res.status(500).json({ error: 'Failed to get file list' });
@@ -321,40 +667,30 @@ router.get('/:id/files', optionalAuth, async (req, res) => {
 });
 
 
-router.get('/:id/download/:filename', optionalAuth, async (req, res) => {
+router.get(['/:id/download/:filename', '/:id/versions/:version/download/:filename'], optionalAuth, validate(schemas.download), async (req, res) => {
   try {
-    const { id, filename } = req.params;
+    const { filename } = req.params;
+    const model = await findAccessibleVersion(req, req.params.version);
 
-    let accessCondition;
-    const params = [id];
-    
-    if (req.user) {
-      // Authenticated users can access 'public', 'members', and/or their own private models
-      accessCondition = `(visibility IN ('public', 'members') OR user_id = $2)`;
-      params.push(req.user.userId);
-    } else {
-      // Anonymous users can only access public models
-      accessCondition = `visibility = 'public'`;
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
     }
-    
-    const modelCheck = await pool.query(
-      `SELECT id FROM models WHERE id = $1 AND ${accessCondition}`,
-      params
-    );
 
-    if (modelCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Model not found or unauthorized' });
+    if (req.params.version && !model.version_id) {
+      return res.status(404).json({ error: `Version ${req.params.version} not found` });
     }
 
-    const filePath = path.join(__dirname, '../../uploads/models', id, filename);
-    
-    // Check if the file exists before trying to download
-    try {
-      await fs.access(filePath);
-      res.download(filePath);
-    } catch (fileErr) {
+    // Only files in the version's manifest can be downloaded
+    const file = model.version_id ? await findVersionFile(model.version_id, filename) : null;
+    if (!file) {
       return res.status(404).json({ error: `File ${filename} not found` });
     }
+
+    // Loading a model always starts with model.json, so count that as one download
+    if (filename === 'model.json') {
+      await recordModelEvent(req, 'download', model.id, model.version_id);
+    }
+    await sendStoredFile(req, res, file, { pinned: Boolean(req.params.version), visibility: model.visibility });
   } catch (err) {
     console.error('Error downloading file:', err);
     res.status(500).json({ error: 'Failed to download file' });
@@ -362,24 +698,172 @@ router.get('/:id/download/:filename', optionalAuth, async (req, res) => {
 });
 
 // Bulk download all model files as ZIP archive
-router.get('/:id/download-all', optionalAuth, async (req, res) => {
+router.get(['/:id/download-all', '/:id/versions/:version/download-all'], optionalAuth, validate(schemas.downloadAll), downloadRateLimit, async (req, res) => {
   try {
     const { id } = req.params;
+    const model = await findAccessibleVersion(req, req.params.version);
+
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
+    }
+
+    if (req.params.version && !model.version_id) {
+      return res.status(404).json({ error: `Version ${req.params.version} not found` });
+    }
+
+    const modelName = model.name || `model-${id}`;
+    // Download the files of the version's manifest
+    const files = model.version_id ? await getVersionFiles(model.version_id) : [];
+    if (files.length === 0) {
+      return res.status(404).json({ error: 'No files available for download' });
+    }
 
-    let accessCondition;
+    await recordModelEvent(req, 'download', model.id, model.version_id);
+
+    // Set response headers for ZIP download
+    const baseName = req.params.version ? `${modelName}-${model.version}` : modelName;
+    const zipFilename = `${baseName.replace(/[^a-zA-Z0-9-_]/g, '_')}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
+
+    // Create a ZIP archive
+    const archive = archiver('zip', {
+      zlib: { level: 9 } // Best compression
+    });
+
+    // Handle archive errors
+    archive.on('error', (err) => {
+      console.error('Archive error:', err);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to create archive' });
+      }
+    });
+
+    // Stop reading blobs when the client goes away before the archive is complete
+    const aborted = new AbortController();
+    let current = null;
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        aborted.abort();
+        if (current) current.destroy();
+        archive.abort();
+      }
+    });
+
+    // Pipe archive to response
+    archive.pipe(res);
+
+    // Add files under their manifest names, opening each blob once the previous entry is written
+    for (const file of files) {
+      try {
+        current = await getStorage().open(getBlobKey(file.sha256));
+      } catch (fileErr) {
+        console.warn(`Skipping missing file: ${file.filename}`);
+        continue;
+      }
+      if (aborted.signal.aborted) {
+        current.destroy();
+        return;
+      }
+      const written = once(archive, 'entry', { signal: aborted.signal });
+      archive.append(current, { name: file.filename });
+      await written;
+      current = null;
+    }
+
+    // Finalize the archive
+    await archive.finalize();
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      return;
+    }
+    console.error('Error creating bulk download:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to create bulk download' });
+    }
+  }
+});
+
+// Star a model the user can see; starring twice is harmless
+router.post('/:id/star', authenticateToken, requireScope('upload'), validate(schemas.star), async (req, res) => {
+  try {
+    const { id } = req.params;
     const params = [id];
-    
-    if (req.user) {
-      // Authenticated users can access 'public', 'members', and/or their own private models
-      accessCondition = `(visibility IN ('public', 'members') OR user_id = $2)`;
-      params.push(req.user.userId);
-    } else {
-      // Anonymous users can only access public models
-      accessCondition = `visibility = 'public'`;
+    const accessCondition = buildAccessCondition(req.user, params, 'm');
+    params.push(req.user.userId);
+
+    const result = await pool.query(`
+      WITH visible AS (
+        SELECT m.id FROM models m WHERE m.id = $1 AND ${accessCondition}
+      ), added AS (
+        INSERT INTO model_stars (user_id, model_id)
+        SELECT $${params.length}, id FROM visible
+        ON CONFLICT DO NOTHING
+        RETURNING model_id
+      )
+      UPDATE models SET star_count = star_count + (SELECT COUNT(*) FROM added)::int
+      WHERE id IN (SELECT id FROM visible)
+      RETURNING star_count
+    `, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
     }
-    
+
+    res.json({ starred: true, star_count: result.rows[0].star_count });
+  } catch (err) {
+    console.error('Error starring model:', err);
+    res.status(500).json({ error: 'Failed to star model' });
+  }
+});
+
+// Remove a star; also works for models that are no longer visible to the user
+router.delete('/:id/star', authenticateToken, requireScope('upload'), validate(schemas.unstar), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const params = [id, req.user.userId];
+    const accessCondition = buildAccessCondition(req.user, params, 'm');
+
+    const result = await pool.query(`
+      WITH removed AS (
+        DELETE FROM model_stars WHERE model_id = $1 AND user_id = $2
+        RETURNING model_id
+      )
+      UPDATE models m SET star_count = star_count - (SELECT COUNT(*) FROM removed)::int
+      WHERE m.id = $1 AND (${accessCondition} OR EXISTS (SELECT 1 FROM removed))
+      RETURNING star_count
+    `, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
+    }
+
+    res.json({ starred: false, star_count: result.rows[0].star_count });
+  } catch (err) {
+    console.error('Error unstarring model:', err);
+    res.status(500).json({ error: 'Failed to unstar model' });
+  }
+});
+
+// Comments of a model, as threads. Threads are paged by their first comment;
+// each comes with all of its replies.
+router.get('/:id/comments', optionalAuth, validate(schemas.listComments), async (req, res) => {
+  const { errors, pagination } = parsePagination(req.query);
+  if (pagination.cursor) {
+    errors.push(fieldError('query', 'cursor', 'cursor is not supported for this listing'));
+  }
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, 'Invalid query parameters');
+  }
+
+  try {
+    const { id } = req.params;
+    const { page, limit } = pagination;
+
+    const params = [id];
+    const accessCondition = buildAccessCondition(req.user, params, 'm');
     const modelCheck = await pool.query(
-      `SELECT id, name FROM models WHERE id = $1 AND ${accessCondition}`,
+      `SELECT m.id FROM models m WHERE m.id = $1 AND ${accessCondition}`,
       params
     );
 
@@ -387,78 +871,257 @@ router.get('/:id/download-all', optionalAuth, async (req, res) => {
       return res.status(404).json({ error: 'Model not found or unauthorized' });
     }
 
-    const modelName = modelCheck.rows[0].name || `model-${id}`;
-    const uploadPath = path.join(__dirname, '../../uploads/models', id);
-    
-    // Check if the directory exists and get files
-    try {
-      const files = await fs.readdir(uploadPath);
-      
-      if (files.length === 0) {
-        return res.status(404).json({ error: 'No files available for download' });
-      }
+    const [threadsResult, countResult] = await Promise.all([
+      pool.query(`
+        WITH RECURSIVE roots AS (
+          SELECT id FROM model_comments
+          WHERE model_id = $1 AND parent_id IS NULL
+          ORDER BY created_at, id
+          LIMIT $2 OFFSET $3
+        ), thread AS (
+          SELECT id FROM roots
+          UNION ALL
+          SELECT r.id FROM model_comments r JOIN thread t ON r.parent_id = t.id
+        )
+        SELECT ${COMMENT_FIELDS}
+        FROM model_comments c
+        LEFT JOIN users u ON u.id = c.user_id
+        WHERE c.id IN (SELECT id FROM thread)
+        ORDER BY c.created_at, c.id
+      `, [id, limit, (page - 1) * limit]),
+      pool.query(
+        'SELECT COUNT(*)::int AS total FROM model_comments WHERE model_id = $1 AND parent_id IS NULL',
+        [id]
+      )
+    ]);
+
+    const { total } = countResult.rows[0];
+    res.json({
+      items: buildCommentTree(threadsResult.rows),
+      total,
+      page,
+      limit,
+      next: page * limit < total ? pageLink(req, { limit, page: page + 1 }) : null,
+      prev: page > 1 ? pageLink(req, { limit, page: page - 1 }) : null
+    });
+  } catch (err) {
+    console.error('Error fetching comments:', err);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
 
-      // Set response headers for ZIP download
-      const zipFilename = `${modelName.replace(/[^a-zA-Z0-9-_]/g, '_')}.zip`;
-      res.setHeader('Content-Type', 'application/zip');
-      res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
-
-      // Create a ZIP archive
-      const archive = archiver('zip', {
-        zlib: { level: 9 } // Best compression
-      });
-
-      // Handle archive errors
-      archive.on('error', (err) => {
-        console.error('Archive error:', err);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Failed to create archive' });
-        }
-      });
-
-      // Pipe archive to response
-      archive.pipe(res);
-
-      // Add files to an archive
-      for (const filename of files) {
-        const filePath = path.join(uploadPath, filename);
-        try {
-          await fs.access(filePath);
-          archive.file(filePath, { name: filename });
-        } catch (fileErr) {
-          console.warn(`Skipping missing file: ${filename}`);
-        }
+// Comment on a model the user can see, or reply to a comment; the owner is notified
+router.post('/:id/comments', authenticateToken, requireScope('upload'), validate(schemas.addComment), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { body, parent_id = null } = req.body;
+
+    const params = [id];
+    const accessCondition = buildAccessCondition(req.user, params, 'm');
+    const modelCheck = await pool.query(
+      `SELECT m.id, m.name FROM models m WHERE m.id = $1 AND ${accessCondition}`,
+      params
+    );
+
+    if (modelCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
+    }
+
+    if (parent_id) {
+      const parent = await pool.query(
+        'SELECT id FROM model_comments WHERE id = $1 AND model_id = $2 AND deleted_at IS NULL',
+        [parent_id, id]
+      );
+      if (parent.rows.length === 0) {
+        return res.status(404).json({ error: 'Comment to reply to not found' });
       }
+    }
 
-      // Finalize the archive
-      await archive.finalize();
+    const result = await pool.query(`
+      INSERT INTO model_comments (model_id, parent_id, user_id, body)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, parent_id, user_id, body, created_at, edited_at, deleted_at
+    `, [id, parent_id, req.user.userId, body]);
 
-    } catch (dirErr) {
-      return res.status(404).json({ error: 'Model files not found' });
+    const comment = { ...result.rows[0], username: req.user.username };
+    await notifyModelOwners(modelCheck.rows[0], comment, req.user);
+
+    res.status(201).json(comment);
+  } catch (err) {
+    console.error('Error adding comment:', err);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+// Authors can edit their comments
+router.patch('/:id/comments/:commentId', authenticateToken, requireScope('upload'), validate(schemas.editComment), async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const result = await pool.query(`
+      UPDATE model_comments SET body = $1, edited_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND model_id = $3 AND user_id = $4 AND deleted_at IS NULL
+      RETURNING id, parent_id, user_id, body, created_at, edited_at, deleted_at
+    `, [req.body.body, commentId, id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found or unauthorized' });
     }
+
+    res.json({ ...result.rows[0], username: req.user.username });
   } catch (err) {
-    console.error('Error creating bulk download:', err);
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'Failed to create bulk download' });
+    console.error('Error editing comment:', err);
+    res.status(500).json({ error: 'Failed to edit comment' });
+  }
+});
+
+// Authors can delete their comments, and those who manage a model can delete
+// any comment on it. Replies stay; the deleted comment only loses its text.
+router.delete('/:id/comments/:commentId', authenticateToken, requireScope('upload'), validate(schemas.deleteComment), async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const params = [commentId, id, req.user.userId];
+    const manageCondition = buildManageCondition(req.user, params, 'm');
+    const result = await pool.query(`
+      UPDATE model_comments c SET body = '', deleted_at = CURRENT_TIMESTAMP
+      FROM models m
+      WHERE c.id = $1 AND c.model_id = $2 AND m.id = c.model_id AND c.deleted_at IS NULL
+        AND (c.user_id = $3 OR ${manageCondition})
+      RETURNING c.id
+    `, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found or unauthorized' });
     }
+
+    res.json({ message: 'Comment deleted' });
+  } catch (err) {
+    console.error('Error deleting comment:', err);
+    res.status(500).json({ error: 'Failed to delete comment' });
   }
 });
 
-router.patch('/:id/visibility', authenticateToken, async (req, res) => {
+// Owners and collaborators can see who a model is shared with
+router.get('/:id/collaborators', authenticateToken, validate(schemas.listCollaborators), async (req, res) => {
   try {
     const { id } = req.params;
-    const { visibility } = req.body;
 
-    if (!visibility || !['private', 'members', 'public'].includes(visibility)) {
-      return res.status(400).json({ error: 'visibility must be private, members, or public' });
+    const params = [id];
+    const manageCondition = buildManageCondition(req.user, params, 'm');
+    params.push(req.user.userId);
+    const modelCheck = await pool.query(`
+      SELECT m.id FROM models m
+      WHERE m.id = $1 AND (${manageCondition} OR EXISTS (
+        SELECT 1 FROM model_collaborators c WHERE c.model_id = m.id AND c.user_id = $${params.length}
+      ))
+    `, params);
+
+    if (modelCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
     }
 
-    const result = await pool.query(
-      'UPDATE models SET visibility = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3 RETURNING *',
-      [visibility, id, req.user.userId]
+    const result = await pool.query(`
+      SELECT c.user_id, u.username, c.role, c.created_at
+      FROM model_collaborators c
+      JOIN users u ON u.id = c.user_id
+      WHERE c.model_id = $1
+      ORDER BY u.username
+    `, [id]);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching collaborators:', err);
+    res.status(500).json({ error: 'Failed to fetch collaborators' });
+  }
+});
+
+// Share a model with a user, or change their role
+router.post('/:id/collaborators', authenticateToken, requireScope('upload'), validate(schemas.addCollaborator), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username, role = 'read' } = req.body;
+
+    const params = [id];
+    const manageCondition = buildManageCondition(req.user, params, 'm');
+    const modelCheck = await pool.query(
+      `SELECT m.id, m.user_id FROM models m WHERE m.id = $1 AND ${manageCondition}`,
+      params
     );
 
+    if (modelCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
+    }
+
+    const userResult = await pool.query('SELECT id, username FROM users WHERE username = $1', [username]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const collaborator = userResult.rows[0];
+    if (collaborator.id === modelCheck.rows[0].user_id) {
+      return res.status(400).json({ error: 'The owner cannot be added as a collaborator' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO model_collaborators (model_id, user_id, role, granted_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (model_id, user_id) DO UPDATE SET role = EXCLUDED.role
+      RETURNING user_id, role, created_at
+    `, [id, collaborator.id, role, req.user.userId]);
+
+    res.status(201).json({ ...result.rows[0], username: collaborator.username });
+  } catch (err) {
+    console.error('Error adding collaborator:', err);
+    res.status(500).json({ error: 'Failed to add collaborator' });
+  }
+});
+
+// The owner can remove anyone; collaborators can remove themselves
+router.delete('/:id/collaborators/:userId', authenticateToken, requireScope('upload'), validate(schemas.removeCollaborator), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const params = [id, userId];
+    const manageCondition = buildManageCondition(req.user, params, 'm');
+    params.push(req.user.userId);
+
+    const result = await pool.query(`
+      DELETE FROM model_collaborators c
+      USING models m
+      WHERE c.model_id = m.id AND m.id = $1 AND c.user_id = $2
+        AND (${manageCondition} OR c.user_id = $${params.length})
+      RETURNING c.user_id
+    `, params);
+
     if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Collaborator not found or unauthorized' });
+    }
+
+    res.json({ message: 'Collaborator removed' });
+  } catch (err) {
+    console.error('Error removing collaborator:', err);
+    res.status(500).json({ error: 'Failed to remove collaborator' });
+  }
+});
+
+router.patch('/:id/visibility', authenticateToken, requireScope('upload'), validate(schemas.setVisibility), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { visibility } = req.body;
+
+    const params = [visibility, id];
+    const manageCondition = buildManageCondition(req.user, params, 'models');
+    const result = await pool.query(`
+      UPDATE models SET visibility = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND ${manageCondition} AND ($1 <> 'org' OR org_id IS NOT NULL)
+      RETURNING *
+    `, params);
+
+    if (result.rows.length === 0) {
+      if (visibility === 'org') {
+        return res.status(404).json({ error: 'Model not found, unauthorized, or not owned by an organization' });
+      }
       return res.status(404).json({ error: 'Model not found or unauthorized' });
     }
 
@@ -469,30 +1132,26 @@ router.patch('/:id/visibility', authenticateToken, async (req, res) => {
   }
 });
 
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireScope('admin'), validate(schemas.remove), async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check if model exists and user is owner
+    // Check if model exists and user is its owner (or an owner of its organization)
+    const params = [id];
+    const manageCondition = buildManageCondition(req.user, params, 'm', ['owner']);
     const modelCheck = await pool.query(
-      'SELECT id FROM models WHERE id = $1 AND user_id = $2',
-      [id, req.user.userId]
+      `SELECT m.id FROM models m WHERE m.id = $1 AND ${manageCondition}`,
+      params
     );
 
     if (modelCheck.rows.length === 0) {
       return res.status(404).json({ error: 'Model not found or unauthorized' });
     }
 
-    // Delete model files
-    const uploadPath = path.join(__dirname, '../../uploads/models', id);
-    try {
-      await fs.rm(uploadPath, { recursive: true });
-    } catch (err) {
-      console.log('Could not delete model files:', err.message);
-    }
-
-    // Delete the model from the database (cascade will handle model_versions)
+    // Delete the model from the database (cascade will handle model_versions
+    // and their manifests), then the blobs no other model shares
     await pool.query('DELETE FROM models WHERE id = $1', [id]);
+    await removeModelFiles(id);
 
     res.json({ message: 'Model deleted successfully' });
   } catch (err) {
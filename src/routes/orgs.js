@@ -0,0 +1,334 @@
+const express = require('express');
+const { pool } = require('../database');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { ORG_MANAGER_ROLES, buildAccessCondition, buildManageCondition } = require('../utils/modelAccess');
+const { listModels } = require('../utils/modelListing');
+const { sendValidationError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/orgs');
+
+const router = express.Router();
+
+// Helper function to look up an organization with the requesting user's role in it.
+// Non-members get null, so organizations stay invisible to outsiders.
+const findMembership = async (orgName, userId) => {
+  const result = await pool.query(`
+    SELECT o.id, o.name, o.display_name, o.description, o.created_at, o.updated_at, om.role
+    FROM organizations o
+    JOIN organization_members om ON om.org_id = o.id
+    WHERE o.name = $1 AND om.user_id = $2
+  `, [orgName, userId]);
+
+  return result.rows[0] || null;
+};
+
+// Helper function to count the owners of an organization, so the last one cannot leave
+const countOwners = async (orgId) => {
+  const result = await pool.query(
+    "SELECT COUNT(*)::int as owners FROM organization_members WHERE org_id = $1 AND role = 'owner'",
+    [orgId]
+  );
+  return result.rows[0].owners;
+};
+
+router.get('/', authenticateToken, validate(schemas.list), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT o.id, o.name, o.display_name, o.description, o.created_at, om.role
+      FROM organizations o
+      JOIN organization_members om ON om.org_id = o.id
+      WHERE om.user_id = $1
+      ORDER BY o.name
+    `, [req.user.userId]);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching organizations:', err);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+router.post('/', authenticateToken, requireScope('admin'), validate(schemas.create), async (req, res) => {
+  const { name, display_name, description } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'INSERT INTO organizations (name, display_name, description) VALUES ($1, $2, $3) RETURNING *',
+      [name, display_name || name, description]
+    );
+    const org = result.rows[0];
+
+    // The creator becomes the first owner
+    await client.query(
+      "INSERT INTO organization_members (org_id, user_id, role) VALUES ($1, $2, 'owner')",
+      [org.id, req.user.userId]
+    );
+
+    await client.query('COMMIT');
+    res.status(201).json({ ...org, role: 'owner' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Organization name already exists' });
+    }
+    console.error('Error creating organization:', err);
+    res.status(500).json({ error: 'Failed to create organization' });
+  } finally {
+    client.release();
+  }
+});
+
+router.get('/:name', authenticateToken, validate(schemas.get), async (req, res) => {
+  try {
+    const org = await findMembership(req.params.name, req.user.userId);
+
+    if (!org) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    res.json(org);
+  } catch (err) {
+    console.error('Error fetching organization:', err);
+    res.status(500).json({ error: 'Failed to fetch organization' });
+  }
+});
+
+router.patch('/:name', authenticateToken, requireScope('admin'), validate(schemas.update), async (req, res) => {
+  try {
+    const { display_name, description } = req.body;
+    const org = await findMembership(req.params.name, req.user.userId);
+
+    if (!org || org.role !== 'owner') {
+      return res.status(404).json({ error: 'Organization not found or unauthorized' });
+    }
+
+    const result = await pool.query(`
+      UPDATE organizations
+      SET display_name = COALESCE($1, display_name), description = COALESCE($2, description), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `, [display_name, description, org.id]);
+
+    res.json({ ...result.rows[0], role: org.role });
+  } catch (err) {
+    console.error('Error updating organization:', err);
+    res.status(500).json({ error: 'Failed to update organization' });
+  }
+});
+
+router.delete('/:name', authenticateToken, requireScope('admin'), validate(schemas.remove), async (req, res) => {
+  try {
+    const org = await findMembership(req.params.name, req.user.userId);
+
+    if (!org || org.role !== 'owner') {
+      return res.status(404).json({ error: 'Organization not found or unauthorized' });
+    }
+
+    const models = await pool.query('SELECT COUNT(*)::int as count FROM models WHERE org_id = $1', [org.id]);
+    if (models.rows[0].count > 0) {
+      return res.status(409).json({ error: 'Transfer or delete the organization\'s models first' });
+    }
+
+    await pool.query('DELETE FROM organizations WHERE id = $1', [org.id]);
+    res.json({ message: 'Organization deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting organization:', err);
+    res.status(500).json({ error: 'Failed to delete organization' });
+  }
+});
+
+router.get('/:name/members', authenticateToken, validate(schemas.listMembers), async (req, res) => {
+  try {
+    const org = await findMembership(req.params.name, req.user.userId);
+
+    if (!org) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT om.user_id, u.username, om.role, om.created_at
+      FROM organization_members om
+      JOIN users u ON u.id = om.user_id
+      WHERE om.org_id = $1
+      ORDER BY u.username
+    `, [org.id]);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching organization members:', err);
+    res.status(500).json({ error: 'Failed to fetch organization members' });
+  }
+});
+
+// Add a member, or change the role of an existing one
+router.post('/:name/members', authenticateToken, requireScope('admin'), validate(schemas.addMember), async (req, res) => {
+  try {
+    const { username, role = 'viewer' } = req.body;
+
+    const org = await findMembership(req.params.name, req.user.userId);
+
+    if (!org || org.role !== 'owner') {
+      return res.status(404).json({ error: 'Organization not found or unauthorized' });
+    }
+
+    const userResult = await pool.query('SELECT id, username FROM users WHERE username = $1', [username]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const member = userResult.rows[0];
+
+    if (member.id === req.user.userId && role !== 'owner' && await countOwners(org.id) === 1) {
+      return res.status(409).json({ error: 'An organization needs at least one owner' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO organization_members (org_id, user_id, role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (org_id, user_id) DO UPDATE SET role = EXCLUDED.role
+      RETURNING user_id, role, created_at
+    `, [org.id, member.id, role]);
+
+    res.status(201).json({ ...result.rows[0], username: member.username });
+  } catch (err) {
+    console.error('Error adding organization member:', err);
+    res.status(500).json({ error: 'Failed to add organization member' });
+  }
+});
+
+// Owners can remove anyone; members can leave on their own
+router.delete('/:name/members/:userId', authenticateToken, requireScope('admin'), validate(schemas.removeMember), async (req, res) => {
+  try {
+    const memberId = Number(req.params.userId);
+    const org = await findMembership(req.params.name, req.user.userId);
+
+    if (!org || (org.role !== 'owner' && memberId !== req.user.userId)) {
+      return res.status(404).json({ error: 'Organization not found or unauthorized' });
+    }
+
+    const memberResult = await pool.query(
+      'SELECT role FROM organization_members WHERE org_id = $1 AND user_id = $2',
+      [org.id, memberId]
+    );
+
+    if (memberResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (memberResult.rows[0].role === 'owner' && await countOwners(org.id) === 1) {
+      return res.status(409).json({ error: 'An organization needs at least one owner' });
+    }
+
+    await pool.query(
+      'DELETE FROM organization_members WHERE org_id = $1 AND user_id = $2',
+      [org.id, memberId]
+    );
+
+    res.json({ message: 'Member removed' });
+  } catch (err) {
+    console.error('Error removing organization member:', err);
+    res.status(500).json({ error: 'Failed to remove organization member' });
+  }
+});
+
+router.get('/:name/models', authenticateToken, validate(schemas.listModels), async (req, res) => {
+  try {
+    const org = await findMembership(req.params.name, req.user.userId);
+
+    if (!org) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const params = [org.id];
+    const accessCondition = buildAccessCondition(req.user, params, 'm');
+    const { errors, page } = await listModels(req, {
+      condition: `m.org_id = $1 AND ${accessCondition}`,
+      params
+    });
+
+    if (errors) {
+      return sendValidationError(res, errors, 'Invalid query parameters');
+    }
+
+    res.json(page);
+  } catch (err) {
+    console.error('Error fetching organization models:', err);
+    res.status(500).json({ error: 'Failed to fetch organization models' });
+  }
+});
+
+// Move a model into the organization. Requires ownership of the model (or of
+// its current organization) and a maintainer role in the target organization.
+router.post('/:name/models/:modelId', authenticateToken, requireScope('admin'), validate(schemas.adoptModel), async (req, res) => {
+  try {
+    const org = await findMembership(req.params.name, req.user.userId);
+
+    if (!org || !ORG_MANAGER_ROLES.includes(org.role)) {
+      return res.status(404).json({ error: 'Organization not found or unauthorized' });
+    }
+
+    const params = [req.params.modelId, org.id];
+    const manageCondition = buildManageCondition(req.user, params, 'models', ['owner']);
+    const result = await pool.query(`
+      UPDATE models SET org_id = $2, user_id = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND ${manageCondition}
+      RETURNING *
+    `, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error transferring model to organization:', err);
+    res.status(500).json({ error: 'Failed to transfer model' });
+  }
+});
+
+// Move a model out of the organization to one of its members. Requires the owner role.
+router.post('/:name/models/:modelId/transfer', authenticateToken, requireScope('admin'), validate(schemas.transferModel), async (req, res) => {
+  try {
+    const { username } = req.body;
+
+    const org = await findMembership(req.params.name, req.user.userId);
+
+    if (!org || org.role !== 'owner') {
+      return res.status(404).json({ error: 'Organization not found or unauthorized' });
+    }
+
+    const memberResult = await pool.query(`
+      SELECT u.id FROM users u
+      JOIN organization_members om ON om.user_id = u.id
+      WHERE u.username = $1 AND om.org_id = $2
+    `, [username, org.id]);
+
+    if (memberResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User is not a member of the organization' });
+    }
+
+    // 'org' visibility has no meaning for personal models
+    const result = await pool.query(`
+      UPDATE models
+      SET user_id = $1, org_id = NULL, updated_at = CURRENT_TIMESTAMP,
+          visibility = CASE WHEN visibility = 'org' THEN 'private' ELSE visibility END
+      WHERE id = $2 AND org_id = $3
+      RETURNING *
+    `, [memberResult.rows[0].id, req.params.modelId, org.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error transferring model from organization:', err);
+    res.status(500).json({ error: 'Failed to transfer model' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { fieldError, sendValidationError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/uploads');
+const { normalizeVersion } = require('../utils/versions');
+const { getStagingDir, hashFile } = require('../utils/modelFiles');
+const { canPublishVersion, publishVersion } = require('../utils/modelUpload');
+const { MODEL_FILES_DESCRIPTION, normalizeModelFilename } = require('../utils/tfjsModel');
+const {
+  MAX_CHUNK_SIZE,
+  getSessionFilePath,
+  parseUploadChecksum,
+  createUploadSession,
+  getUploadSession,
+  receiveChunk,
+  appendChunk,
+  removeUploadSession,
+  cleanupExpiredUploads
+} = require('../utils/uploadSessions');
+
+// Resumable uploads of model versions (see utils/uploadSessions.js)
+const router = express.Router();
+
+router.post('/:id/uploads', authenticateToken, requireScope('upload'), validate(schemas.create), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bump, created_date, files } = req.body;
+
+    if (req.body.version && bump) {
+      return res.status(400).json({ error: 'Provide either version or bump, not both' });
+    }
+
+    let version = null;
+    if (!bump) {
+      version = normalizeVersion(req.body.version || '1.0.0');
+      if (!version) {
+        return res.status(400).json({ error: 'version must be a valid semantic version (e.g. 1.2.0)' });
+      }
+    }
+
+    const errors = [];
+    const names = files.map((file, index) => {
+      const filename = normalizeModelFilename(file.name);
+      if (!filename) {
+        errors.push(fieldError('body', `files[${index}].name`, `files[${index}].name must be ${MODEL_FILES_DESCRIPTION}`));
+      }
+      return filename;
+    });
+    if (errors.length === 0 && new Set(names).size !== names.length) {
+      errors.push(fieldError('body', 'files', 'files must have unique names'));
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (!(await canPublishVersion(req.user, id))) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
+    }
+
+    // Refuse up front what completing would refuse anyway
+    if (version) {
+      const versionCheck = await pool.query(
+        'SELECT id FROM model_versions WHERE model_id = $1 AND version = $2',
+        [id, version]
+      );
+      if (versionCheck.rows.length > 0) {
+        return res.status(409).json({ error: `Version ${version} already exists` });
+      }
+    }
+
+    // Sessions are cleaned up as new ones start, so abandoned ones cannot pile up
+    try {
+      await cleanupExpiredUploads();
+    } catch (err) {
+      console.error('Error removing expired uploads:', err);
+    }
+
+    const session = await createUploadSession(
+      { modelId: id, userId: req.user.userId, version, bump, createdDate: created_date },
+      files.map((file, index) => ({ ...file, name: names[index] }))
+    );
+    res.status(201).json(session);
+  } catch (err) {
+    console.error('Error creating upload:', err);
+    res.status(500).json({ error: 'Failed to create upload' });
+  }
+});
+
+router.get('/:id/uploads/:uploadId', authenticateToken, requireScope('upload'), validate(schemas.get), async (req, res) => {
+  try {
+    const { id, uploadId } = req.params;
+    const session = await getUploadSession(uploadId, id, req.user.userId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    res.json(session);
+  } catch (err) {
+    console.error('Error fetching upload:', err);
+    res.status(500).json({ error: 'Failed to fetch upload' });
+  }
+});
+
+router.put('/:id/uploads/:uploadId/files/:filename', authenticateToken, requireScope('upload'), validate(schemas.putChunk), async (req, res) => {
+  const { id, uploadId, filename } = req.params;
+  const chunkPath = path.join(getStagingDir(uploadId), `chunk-${uuidv4()}`);
+
+  try {
+    const session = await getUploadSession(uploadId, id, req.user.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    const file = session.files.find(entry => entry.filename === filename);
+    if (!file) {
+      return res.status(404).json({ error: `File ${filename} is not part of this upload` });
+    }
+
+    // Tell clients that lost track where to continue, before they send the chunk
+    const offset = Number(req.get('upload-offset'));
+    if (offset !== file.received) {
+      res.setHeader('Upload-Offset', file.received);
+      return res.status(409).json({ error: 'Upload-Offset does not match the received size', offset: file.received });
+    }
+
+    const limit = Math.min(MAX_CHUNK_SIZE, file.size - offset);
+    const declaredLength = req.get('content-length');
+    if (declaredLength !== undefined && Number(declaredLength) > limit) {
+      return res.status(413).json({ error: `Chunk must be at most ${limit} bytes` });
+    }
+
+    let chunk;
+    try {
+      chunk = await receiveChunk(req, chunkPath, limit);
+    } catch (err) {
+      if (err.code === 'CHUNK_TOO_LARGE') {
+        return res.status(413).json({ error: `Chunk must be at most ${limit} bytes` });
+      }
+      throw err;
+    }
+
+    if (chunk.size === 0 && file.size > 0) {
+      return res.status(400).json({ error: 'Chunk is empty' });
+    }
+
+    if (chunk.sha256 !== parseUploadChecksum(req.get('upload-checksum'))) {
+      return res.status(422).json({ error: 'Chunk does not match Upload-Checksum' });
+    }
+
+    const result = await appendChunk(uploadId, filename, offset, { path: chunkPath, size: chunk.size });
+    if (!result) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+    res.setHeader('Upload-Offset', result.received);
+    if (result.conflict) {
+      return res.status(409).json({ error: 'Upload-Offset does not match the received size', offset: result.received });
+    }
+
+    res.json({ filename, size: file.size, received: result.received });
+  } catch (err) {
+    console.error('Error receiving upload chunk:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to receive chunk' });
+    }
+  } finally {
+    await fs.rm(chunkPath, { force: true }).catch(() => {});
+  }
+});
+
+router.post('/:id/uploads/:uploadId/complete', authenticateToken, requireScope('upload'), validate(schemas.complete), async (req, res) => {
+  const { id, uploadId } = req.params;
+  let claimed = false;
+
+  try {
+    const session = await getUploadSession(uploadId, id, req.user.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    // Collaborators may have lost write access since the upload started
+    if (!(await canPublishVersion(req.user, id))) {
+      return res.status(404).json({ error: 'Model not found or unauthorized' });
+    }
+
+    const missing = session.files.filter(file => file.received < file.size);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Upload is incomplete',
+        files: missing.map(({ filename, size, received }) => ({ filename, size, received }))
+      });
+    }
+
+    // Only one request may turn the session into a version
+    const claim = await pool.query(
+      "UPDATE upload_sessions SET status = 'completing' WHERE id = $1 AND status = 'open' RETURNING id",
+      [uploadId]
+    );
+    if (claim.rows.length === 0) {
+      return res.status(409).json({ error: 'Upload is already being completed' });
+    }
+    claimed = true;
+
+    const files = session.files.map(file => ({
+      originalname: file.filename,
+      path: getSessionFilePath(uploadId, file.filename),
+      size: file.size
+    }));
+
+    // Whole-file checksums declared when the upload started
+    const mismatched = [];
+    for (const [index, file] of session.files.entries()) {
+      if (file.sha256 && (await hashFile(files[index].path)).sha256 !== file.sha256) {
+        mismatched.push(file.filename);
+      }
+    }
+
+    let result;
+    if (mismatched.length > 0) {
+      result = { status: 422, body: { error: 'Uploaded files do not match their checksums', files: mismatched } };
+    } else {
+      result = await publishVersion(id, {
+        version: session.version,
+        bump: session.bump,
+        createdDate: session.created_date
+      }, files);
+    }
+
+    // Finished either way: the files cannot change any more
+    await removeUploadSession(uploadId);
+    claimed = false;
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error('Error completing upload:', err);
+    // Let the client retry after unexpected errors
+    if (claimed) {
+      await pool.query("UPDATE upload_sessions SET status = 'open' WHERE id = $1", [uploadId]).catch(() => {});
+    }
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
+
+router.delete('/:id/uploads/:uploadId', authenticateToken, requireScope('upload'), validate(schemas.cancel), async (req, res) => {
+  try {
+    const { id, uploadId } = req.params;
+    const result = await pool.query(
+      "DELETE FROM upload_sessions WHERE id = $1 AND model_id = $2 AND user_id = $3 AND status = 'open' RETURNING id",
+      [uploadId, id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    await fs.rm(getStagingDir(uploadId), { recursive: true, force: true });
+    res.json({ message: 'Upload cancelled' });
+  } catch (err) {
+    console.error('Error cancelling upload:', err);
+    res.status(500).json({ error: 'Failed to cancel upload' });
+  }
+});
+
+module.exports = router;
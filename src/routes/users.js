@@ -1,13 +1,24 @@
 const express = require('express');
+const bcrypt = require('bcrypt');
 const { pool } = require('../database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { sendValidationError } = require('../middleware/errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/users');
+const { generateApiToken, hashApiToken } = require('../utils/apiTokens');
+const { listModels } = require('../utils/modelListing');
+const { buildAccessCondition } = require('../utils/modelAccess');
+const { sendVerificationEmail } = require('../utils/accountTokens');
+const { removeModelFiles } = require('../utils/modelFiles');
+const { findSoleOwnerships } = require('../utils/organizations');
+const { revokeAllSessions } = require('../utils/sessions');
 
 const router = express.Router();
 
-router.get('/me', authenticateToken, async (req, res) => {
+router.get('/me', authenticateToken, validate(schemas.me), async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, username, email, created_at FROM users WHERE id = $1',
+      'SELECT id, username, email, email_verified_at, role, created_at FROM users WHERE id = $1',
       [req.user.userId]
     );
 
@@ -22,23 +33,239 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/me/models', authenticateToken, async (req, res) => {
+// Helper function to check a user's current password before sensitive changes
+const checkPassword = async (userId, password) => {
+  if (!password) return false;
+  const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  return result.rows.length > 0 && bcrypt.compare(password, result.rows[0].password_hash);
+};
+
+router.patch('/me', authenticateToken, requireScope('admin'), validate(schemas.update), async (req, res) => {
   try {
+    const { username, email, current_password } = req.body;
+
+    if (username === undefined && email === undefined) {
+      return res.status(400).json({ error: 'Nothing to update: provide username and/or email' });
+    }
+
+    const current = await pool.query('SELECT email FROM users WHERE id = $1', [req.user.userId]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const emailChanged = email !== undefined && email !== current.rows[0].email;
+
+    // Moving the account to another address is as sensitive as a password change
+    if (emailChanged && !(await checkPassword(req.user.userId, current_password))) {
+      return res.status(403).json({ error: 'current_password is required to change the email address' });
+    }
+
     const result = await pool.query(`
-      SELECT 
-        m.id, m.name, m.description, m.task_type, m.zoom_level, m.visibility, m.created_at,
-        mv.version, mv.file_size, mv.metadata
-      FROM models m
-      LEFT JOIN model_versions mv ON m.id = mv.model_id AND mv.is_active = true
-      WHERE m.user_id = $1
-      ORDER BY m.created_at DESC
-    `, [req.user.userId]);
+      UPDATE users SET
+        username = COALESCE($1, username),
+        email = COALESCE($2, email),
+        email_verified_at = CASE WHEN $3 THEN NULL ELSE email_verified_at END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING id, username, email, email_verified_at, role, created_at
+    `, [username === undefined ? null : username, emailChanged ? email : null, emailChanged, req.user.userId]);
 
-    res.json(result.rows);
+    const user = result.rows[0];
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(req, user, user.email);
+      } catch (err) {
+        console.error('Verification email error:', err);
+      }
+    }
+
+    res.json(user);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Username or email already exists' });
+    }
+    console.error('Error updating user:', err);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+router.post('/me/password', authenticateToken, requireScope('admin'), validate(schemas.changePassword), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!(await checkPassword(req.user.userId, current_password))) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordHash = await bcrypt.hash(new_password, 10);
+    await pool.query(
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, req.user.userId]
+    );
+
+    // Log out everywhere else; the session making the change stays valid
+    await revokeAllSessions(req.user.userId, req.user.sid || null);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (err) {
+    console.error('Error changing password:', err);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+router.post('/me/verify-email', authenticateToken, requireScope('admin'), validate(schemas.sendVerification), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, username, email, email_verified_at FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    await sendVerificationEmail(req, user, user.email);
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    console.error('Error sending verification email:', err);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Deletes the account and its personal models. Models owned by organizations
+// stay with the organization; an organization's last owner has to hand over
+// ownership (or delete the organization) first.
+router.delete('/me', authenticateToken, requireScope('admin'), validate(schemas.remove), async (req, res) => {
+  try {
+    if (!(await checkPassword(req.user.userId, req.body.password))) {
+      return res.status(403).json({ error: 'password is required to delete the account' });
+    }
+
+    const soleOwnerships = await findSoleOwnerships(req.user.userId);
+
+    if (soleOwnerships.length > 0) {
+      return res.status(409).json({
+        error: 'You are the last owner of these organizations; add another owner or delete them first',
+        organizations: soleOwnerships
+      });
+    }
+
+    const models = await pool.query('SELECT id FROM models WHERE user_id = $1', [req.user.userId]);
+
+    await pool.query('DELETE FROM users WHERE id = $1', [req.user.userId]);
+
+    for (const model of models.rows) {
+      await removeModelFiles(model.id);
+    }
+
+    res.json({ message: 'Account deleted successfully', deleted_models: models.rows.length });
+  } catch (err) {
+    console.error('Error deleting account:', err);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+router.get('/me/models', authenticateToken, validate(schemas.listModels), async (req, res) => {
+  try {
+    const { errors, page } = await listModels(req, {
+      condition: 'm.user_id = $1',
+      params: [req.user.userId]
+    });
+
+    if (errors) {
+      return sendValidationError(res, errors, 'Invalid query parameters');
+    }
+
+    res.json(page);
   } catch (err) {
     console.error('Error fetching user models:', err);
     res.status(500).json({ error: 'Failed to fetch user models' });
   }
 });
 
+// Models the user starred and can still see
+router.get('/me/stars', authenticateToken, validate(schemas.listStars), async (req, res) => {
+  try {
+    const params = [req.user.userId];
+    const accessCondition = buildAccessCondition(req.user, params, 'm');
+
+    const { errors, page } = await listModels(req, {
+      condition: `EXISTS (SELECT 1 FROM model_stars s WHERE s.model_id = m.id AND s.user_id = $1) AND ${accessCondition}`,
+      params
+    });
+
+    if (errors) {
+      return sendValidationError(res, errors, 'Invalid query parameters');
+    }
+
+    res.json(page);
+  } catch (err) {
+    console.error('Error fetching starred models:', err);
+    res.status(500).json({ error: 'Failed to fetch starred models' });
+  }
+});
+
+router.get('/me/tokens', authenticateToken, requireScope('admin'), validate(schemas.listTokens), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, token_prefix, scopes, expires_at, last_used_at, created_at
+      FROM api_tokens
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `, [req.user.userId]);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching API tokens:', err);
+    res.status(500).json({ error: 'Failed to fetch API tokens' });
+  }
+});
+
+router.post('/me/tokens', authenticateToken, requireScope('admin'), validate(schemas.createToken), async (req, res) => {
+  try {
+    const { name, scopes = ['read'], expires_in_days } = req.body;
+
+    const expiresAt = expires_in_days
+      ? new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000)
+      : null;
+
+    // Only the hash is stored; the token itself is shown once in this response
+    const token = generateApiToken();
+    const result = await pool.query(`
+      INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, name, token_prefix, scopes, expires_at, last_used_at, created_at
+    `, [req.user.userId, name, hashApiToken(token), token.slice(0, 12), [...new Set(scopes)], expiresAt]);
+
+    res.status(201).json({ ...result.rows[0], token });
+  } catch (err) {
+    console.error('Error creating API token:', err);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+router.delete('/me/tokens/:tokenId', authenticateToken, requireScope('admin'), validate(schemas.revokeToken), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM api_tokens WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.tokenId, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ message: 'API token revoked' });
+  } catch (err) {
+    console.error('Error revoking API token:', err);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
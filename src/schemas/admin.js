@@ -0,0 +1,71 @@
+const { VISIBILITIES } = require('../utils/modelAccess');
+const { PASSWORD, idParams, PAGE_QUERY, operations } = require('./common');
+const { ref, arrayOf } = require('./responses');
+
+const userParams = idParams('id');
+
+module.exports = operations('admin', {
+  listUsers: {
+    summary: 'List all users',
+    query: {
+      type: 'object',
+      properties: { limit: PAGE_QUERY.limit, page: PAGE_QUERY.page }
+    },
+    response: { schema: ref('UserPage') }
+  },
+  suspendUser: {
+    summary: 'Suspend a user and end their sessions',
+    params: userParams,
+    response: { schema: ref('AdminUser') }
+  },
+  unsuspendUser: {
+    summary: 'Lift the suspension of a user',
+    params: userParams,
+    response: { schema: ref('AdminUser') }
+  },
+  setRole: {
+    summary: 'Change the role of a user',
+    params: userParams,
+    body: {
+      type: 'object',
+      required: ['role'],
+      properties: { role: { type: 'string', enum: ['user', 'admin'] } }
+    },
+    response: { schema: ref('AdminUser') }
+  },
+  resetPassword: {
+    summary: 'Set a new password for a user and end their sessions',
+    params: userParams,
+    body: {
+      type: 'object',
+      required: ['password'],
+      properties: { password: PASSWORD }
+    },
+    response: { schema: ref('Message') }
+  },
+  removeUser: {
+    summary: 'Delete a user and their personal models',
+    params: userParams,
+    response: { schema: ref('AccountDeletion') },
+    errors: { 409: 'The user is the last owner of an organization' }
+  },
+  setModelVisibility: {
+    summary: 'Change the visibility of any model',
+    params: idParams('id'),
+    body: {
+      type: 'object',
+      required: ['visibility'],
+      properties: { visibility: { type: 'string', enum: VISIBILITIES } }
+    },
+    response: { schema: ref('ModelRecord') }
+  },
+  removeModel: {
+    summary: 'Delete any model',
+    params: idParams('id'),
+    response: { schema: ref('Message') }
+  },
+  listInvites: {
+    summary: 'List all invites with their redemptions',
+    response: { schema: arrayOf('Invite') }
+  }
+});
@@ -0,0 +1,125 @@
+const { ORG_ROLES } = require('../utils/modelAccess');
+const { USERNAME, EMAIL, PASSWORD, idParams, operations } = require('./common');
+const { ref } = require('./responses');
+
+const TOKEN = { type: 'string', minLength: 1, maxLength: 200 };
+
+module.exports = operations('auth', {
+  register: {
+    summary: 'Create an account',
+    description: 'Needs an invite code in `token` when registration is disabled. Starts a session and sends a verification email.',
+    body: {
+      type: 'object',
+      required: ['username', 'email', 'password'],
+      properties: {
+        username: USERNAME,
+        email: EMAIL,
+        password: PASSWORD,
+        token: { type: 'string', maxLength: 32, description: 'invite code' }
+      }
+    },
+    response: { status: 201, schema: ref('Login') },
+    errors: { 409: 'Username or email already exists' }
+  },
+  registrationEnabled: {
+    summary: 'Check whether registration is open without an invite',
+    response: {
+      schema: { type: 'object', properties: { enabled: { type: 'boolean' } } }
+    }
+  },
+  login: {
+    summary: 'Log in',
+    body: {
+      type: 'object',
+      required: ['username', 'password'],
+      properties: { username: USERNAME, password: PASSWORD }
+    },
+    response: { schema: ref('Login') }
+  },
+  refresh: {
+    summary: 'Exchange a refresh token for a new token pair',
+    body: {
+      type: 'object',
+      required: ['refresh_token'],
+      properties: { refresh_token: TOKEN }
+    },
+    response: { schema: ref('Session') }
+  },
+  logout: {
+    summary: 'End the current session',
+    description: 'The session is identified by the access token or by `refresh_token`.',
+    body: {
+      type: 'object',
+      properties: { refresh_token: TOKEN }
+    },
+    response: { schema: ref('Message') }
+  },
+  logoutAll: {
+    summary: 'End all sessions of the current user',
+    response: {
+      schema: {
+        type: 'object',
+        properties: { message: { type: 'string' }, revoked: { type: 'integer' } }
+      }
+    }
+  },
+  forgotPassword: {
+    summary: 'Email a password reset link',
+    description: 'Answers the same whether or not the address belongs to an account.',
+    body: {
+      type: 'object',
+      required: ['email'],
+      properties: { email: EMAIL }
+    },
+    response: { schema: ref('Message') }
+  },
+  resetPassword: {
+    summary: 'Set a new password with an emailed token',
+    body: {
+      type: 'object',
+      required: ['token', 'password'],
+      properties: { token: TOKEN, password: PASSWORD }
+    },
+    response: { schema: ref('Message') }
+  },
+  verifyEmail: {
+    summary: 'Confirm an email address with an emailed token',
+    body: {
+      type: 'object',
+      required: ['token'],
+      properties: { token: TOKEN }
+    },
+    response: { schema: ref('EmailVerification') }
+  },
+  createInvite: {
+    summary: 'Create an invite',
+    body: {
+      type: 'object',
+      properties: {
+        max_uses: { type: 'integer', minimum: 1, maximum: 1000 },
+        expires_in_days: { type: 'integer', minimum: 1, maximum: 365 },
+        email: { ...EMAIL, nullable: true },
+        org: { type: 'string', nullable: true, maxLength: 50 },
+        org_role: { type: 'string', enum: ORG_ROLES }
+      }
+    },
+    response: { status: 201, schema: ref('Invite') }
+  },
+  listInvites: {
+    summary: 'List your invites and the accounts registered through them',
+    response: { schema: ref('InviteOverview') }
+  },
+  revokeInvite: {
+    summary: 'Revoke an invite',
+    params: idParams('id'),
+    response: { schema: ref('Invite') }
+  },
+  generateInviteToken: {
+    summary: 'Get your current single-use invite link, creating one if needed',
+    response: { schema: ref('InviteLink') }
+  },
+  resetInviteToken: {
+    summary: 'Revoke your invite link and create a new one',
+    response: { schema: ref('InviteLink') }
+  }
+});
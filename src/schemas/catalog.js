@@ -0,0 +1,29 @@
+const { TASK_TYPES } = require('../utils/modelSearch');
+const { operations } = require('./common');
+const { arrayOf } = require('./responses');
+
+const MAX_CATALOG_LIMIT = 200;
+
+const catalogQuery = (extra = {}) => ({
+  type: 'object',
+  properties: {
+    q: { type: 'string', maxLength: 100, description: 'only names containing this text' },
+    ...extra,
+    limit: { type: 'integer', minimum: 1, maximum: MAX_CATALOG_LIMIT, description: 'at most this many (default 50)' }
+  }
+});
+
+module.exports = operations('catalog', {
+  tags: {
+    summary: 'List the tags in use',
+    description: 'Tags of the models the caller can see, with how many models carry each, most used first.',
+    query: catalogQuery(),
+    response: { schema: arrayOf('TagCount') }
+  },
+  classes: {
+    summary: 'List the detected classes',
+    description: 'Class names of the active versions of the models the caller can see, with how many models detect each, most common first.',
+    query: catalogQuery({ task_type: { type: 'string', enum: TASK_TYPES } }),
+    response: { schema: arrayOf('ClassCount') }
+  }
+});
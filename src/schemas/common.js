@@ -0,0 +1,59 @@
+const { DEFAULT_LIMIT, MAX_LIMIT, MAX_PAGE } = require('../utils/pagination');
+
+// Building blocks shared by the route schemas (see middleware/validate.js)
+
+// Postgres SERIAL ids; larger numbers would make the query itself fail
+const ID = { type: 'integer', minimum: 1, maximum: 2147483647 };
+
+const USERNAME = { type: 'string', minLength: 1, maxLength: 50 };
+const EMAIL = { type: 'string', format: 'email', maxLength: 100 };
+// bcrypt only looks at the first 72 bytes; the limit keeps hashing cheap
+const PASSWORD = { type: 'string', minLength: 1, maxLength: 200 };
+
+const idParams = (...names) => ({
+  type: 'object',
+  required: names,
+  properties: Object.fromEntries(names.map(name => [name, ID]))
+});
+
+const PAGE_QUERY = {
+  limit: { type: 'integer', minimum: 1, description: `page size (default ${DEFAULT_LIMIT}, at most ${MAX_LIMIT})` },
+  page: { type: 'integer', minimum: 1, maximum: MAX_PAGE },
+  cursor: { type: 'string', maxLength: 1000 }
+};
+
+const pageQuery = () => ({ type: 'object', properties: { ...PAGE_QUERY } });
+
+/**
+ * Name the route schemas of one router for the API documentation: each gets
+ * an operationId made from the tag and its key (models + list = modelsList).
+ *
+ * Besides params, query, headers and body (plus contentType for bodies that
+ * are not JSON) a route schema describes the route itself:
+ *   summary       one line, required for every route (see tests/openapi.test.js)
+ *   description   longer explanation, optional
+ *   response      { status = 200, schema, description, contentType } of the success response
+ *   errors        { status: description } of route specific error responses
+ *
+ * @param {string} tag
+ * @param {Object<string, Object>} definitions
+ * @returns {Object<string, Object>}
+ */
+const operations = (tag, definitions) => Object.fromEntries(
+  Object.entries(definitions).map(([name, definition]) => [name, {
+    ...definition,
+    tag,
+    operationId: `${tag}${name[0].toUpperCase()}${name.slice(1)}`
+  }])
+);
+
+module.exports = {
+  ID,
+  USERNAME,
+  EMAIL,
+  PASSWORD,
+  idParams,
+  PAGE_QUERY,
+  pageQuery,
+  operations
+};
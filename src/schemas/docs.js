@@ -0,0 +1,8 @@
+const { operations } = require('./common');
+
+module.exports = operations('docs', {
+  openapi: {
+    summary: 'Get this API description as an OpenAPI 3 document',
+    response: { schema: { type: 'object' } }
+  }
+});
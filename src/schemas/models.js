@@ -0,0 +1,298 @@
+const { TASK_TYPES, PRECISIONS, QUANTIZATIONS, SORT_COLUMNS } = require('../utils/modelSearch');
+const { COLLABORATOR_ROLES, VISIBILITIES } = require('../utils/modelAccess');
+const { BUMP_TYPES, MAX_VERSION_LENGTH } = require('../utils/versions');
+const { MAX_TAGS, MAX_TAG_LENGTH } = require('../utils/tags');
+const { MAX_CLASS_NAME_LENGTH } = require('../utils/classIndex');
+const { MAX_STATS_DAYS } = require('../utils/modelStats');
+const { MAX_COMMENT_LENGTH } = require('../utils/modelComments');
+const { ID, USERNAME, idParams, PAGE_QUERY, operations } = require('./common');
+const { ref, arrayOf } = require('./responses');
+
+const ZOOM = { type: 'integer', minimum: 8, maximum: 21 };
+const VERSION = { type: 'string', minLength: 1, maxLength: MAX_VERSION_LENGTH };
+const FILENAME = { type: 'string', minLength: 1, maxLength: 255 };
+
+const NAME = { type: 'string', minLength: 1, maxLength: 100 };
+const DESCRIPTION = { type: 'string', nullable: true, maxLength: 10000 };
+const TAGS = {
+  type: 'array',
+  maxItems: MAX_TAGS,
+  items: {
+    type: 'string',
+    maxLength: MAX_TAG_LENGTH,
+    pattern: '^\\s*[a-z0-9][a-z0-9 _-]*\\s*$',
+    'x-case-insensitive': true,
+    description: 'letters, digits, spaces, dashes or underscores; stored lowercase with dashes'
+  }
+};
+const COMMENT_BODY = { type: 'string', minLength: 1, maxLength: MAX_COMMENT_LENGTH, pattern: '\\S', description: 'text that is not blank' };
+const LICENSE = { type: 'string', nullable: true, maxLength: 100, description: 'e.g. an SPDX identifier such as MIT or CC-BY-4.0' };
+
+// Filters and sorting of model listings (GET /api/models, /api/users/me/models, /api/orgs/:name/models).
+// Combinations, such as sort=relevance needing q, are checked by parseModelSearch.
+const listQuery = {
+  type: 'object',
+  properties: {
+    q: { type: 'string', maxLength: 200, description: 'full-text search in name and description' },
+    task_type: { type: 'string', enum: TASK_TYPES },
+    zoom_min: ZOOM,
+    zoom_max: ZOOM,
+    owner: { type: 'string', maxLength: 50 },
+    precision: { type: 'string', enum: PRECISIONS, 'x-case-insensitive': true },
+    quantization: { type: 'string', enum: Object.values(QUANTIZATIONS), 'x-case-insensitive': true },
+    imgsz: { type: 'string', pattern: '^\\d+(x\\d+)?$', description: 'an image size like 640 or 640x480', 'x-case-insensitive': true },
+    tag: { type: 'string', maxLength: MAX_TAG_LENGTH },
+    class: { type: 'string', maxLength: MAX_CLASS_NAME_LENGTH, description: 'a class the active version detects, case-insensitive' },
+    facets: { type: 'boolean', description: 'also count the matching models by task_type, zoom_level, tag and class' },
+    sort: { type: 'string', enum: [...Object.keys(SORT_COLUMNS), 'relevance'] },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    ...PAGE_QUERY
+  }
+};
+
+const modelParams = idParams('id');
+const commentParams = idParams('id', 'commentId');
+
+const versionParams = {
+  type: 'object',
+  required: ['id', 'version'],
+  properties: { id: ID, version: VERSION }
+};
+
+// Routes that exist with and without a pinned version
+const optionalVersionParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: ID, version: VERSION }
+};
+
+module.exports = operations('models', {
+  list: {
+    summary: 'List and search models',
+    description: 'Public models, plus the private, shared and organization models the caller can see.',
+    query: listQuery,
+    response: { schema: ref('ModelPage') }
+  },
+  get: {
+    summary: 'Get a model',
+    params: modelParams,
+    response: { schema: ref('Model') }
+  },
+  create: {
+    summary: 'Create a model',
+    description: 'The model is owned by the caller, or by `org` if the caller is an owner or maintainer of it. Files are added with the upload route.',
+    body: {
+      type: 'object',
+      required: ['name', 'task_type'],
+      properties: {
+        name: NAME,
+        description: DESCRIPTION,
+        task_type: { type: 'string', enum: TASK_TYPES },
+        zoom_level: ZOOM,
+        visibility: { type: 'string', enum: VISIBILITIES },
+        org: { type: 'string', nullable: true, maxLength: 50 },
+        tags: TAGS,
+        license: LICENSE
+      }
+    },
+    response: { status: 201, schema: ref('ModelRecord') }
+  },
+  update: {
+    summary: 'Edit the details of a model',
+    description: 'Only the given fields change. Edits that change something bump `updated_at` and are recorded in the change log.',
+    params: modelParams,
+    body: {
+      type: 'object',
+      properties: {
+        name: NAME,
+        description: DESCRIPTION,
+        task_type: { type: 'string', enum: TASK_TYPES },
+        zoom_level: ZOOM,
+        tags: TAGS,
+        license: LICENSE
+      }
+    },
+    response: { schema: ref('ModelRecord') }
+  },
+  listChanges: {
+    summary: 'List the change log of a model',
+    params: modelParams,
+    query: {
+      type: 'object',
+      properties: { limit: PAGE_QUERY.limit, page: PAGE_QUERY.page }
+    },
+    response: { schema: ref('ModelChangePage') }
+  },
+  stats: {
+    summary: 'Get download and view statistics of a model',
+    description: 'Downloads and views are counted once per client, model version and day. Statistics of private models are only shown to those who manage them.',
+    params: modelParams,
+    query: {
+      type: 'object',
+      properties: {
+        days: { type: 'integer', minimum: 1, maximum: MAX_STATS_DAYS, description: 'length of the daily series, ending today (default 30)' }
+      }
+    },
+    response: { schema: ref('ModelStats') }
+  },
+  // Multipart form: the files plus these fields. The body is checked by the
+  // route once multer has parsed it.
+  upload: {
+    summary: 'Upload a new model version',
+    description: 'Uploads model.json, its weight shards and metadata.yaml as a new version and makes it the active one. ' +
+      'Without `version` the next version is derived from `bump` (default: patch). ' +
+      'File names are taken without their directory; other files are rejected.',
+    multipart: true,
+    params: modelParams,
+    body: {
+      type: 'object',
+      properties: {
+        files: { type: 'array', items: { type: 'string', format: 'binary' } },
+        version: VERSION,
+        bump: { type: 'string', enum: BUMP_TYPES },
+        created_date: { type: 'string', maxLength: 100 }
+      }
+    },
+    response: { schema: ref('VersionResult') },
+    errors: {
+      409: 'The version already exists',
+      413: 'A file is larger than 100 MB',
+      422: 'The files are not a valid TF.js model'
+    }
+  },
+  listVersions: {
+    summary: 'List the versions of a model',
+    params: modelParams,
+    response: { schema: arrayOf('ModelVersion') }
+  },
+  getVersion: {
+    summary: 'Get a model version with its files',
+    params: versionParams,
+    response: { schema: ref('ModelVersionDetails') }
+  },
+  activateVersion: {
+    summary: 'Make a version the active one',
+    params: versionParams,
+    response: { schema: ref('VersionResult') }
+  },
+  files: {
+    summary: 'List the files of a model version',
+    description: 'Without a version, the files of the active version.',
+    params: optionalVersionParams,
+    response: { schema: { type: 'array', items: { type: 'string' } } }
+  },
+  download: {
+    summary: 'Download a model file',
+    description: 'The ETag is the SHA-256 of the file, so `If-None-Match` is answered with 304 while the file is unchanged. ' +
+      'Files of a pinned version are immutable and may be cached indefinitely; files of the active version must be revalidated. ' +
+      'A single byte `Range` is answered with 206 and the partial content.',
+    params: {
+      type: 'object',
+      required: ['id', 'filename'],
+      properties: { id: ID, version: VERSION, filename: FILENAME }
+    },
+    headers: {
+      type: 'object',
+      properties: {
+        'if-none-match': { type: 'string', description: 'ETags of cached copies' },
+        range: { type: 'string', description: 'a byte range, e.g. bytes=0-1023' },
+        'if-range': { type: 'string', description: 'only send the range if the ETag still matches' }
+      }
+    },
+    response: { contentType: 'application/octet-stream', description: 'The file' },
+    errors: { 416: 'The range lies outside the file' }
+  },
+  downloadAll: {
+    summary: 'Download all files of a model version as a ZIP archive',
+    params: optionalVersionParams,
+    response: { contentType: 'application/zip', description: 'ZIP archive of the version files' }
+  },
+  star: {
+    summary: 'Star a model',
+    params: modelParams,
+    response: { schema: ref('StarResult') }
+  },
+  unstar: {
+    summary: 'Remove your star from a model',
+    params: modelParams,
+    response: { schema: ref('StarResult') }
+  },
+  listComments: {
+    summary: 'List the comments on a model',
+    description: 'Threads are paged by their first comment, oldest first; each includes all its replies.',
+    params: modelParams,
+    query: {
+      type: 'object',
+      properties: { limit: PAGE_QUERY.limit, page: PAGE_QUERY.page }
+    },
+    response: { schema: ref('CommentPage') }
+  },
+  addComment: {
+    summary: 'Comment on a model',
+    description: 'The owner of the model is notified by email.',
+    params: modelParams,
+    body: {
+      type: 'object',
+      required: ['body'],
+      properties: {
+        body: COMMENT_BODY,
+        parent_id: { ...ID, description: 'the comment to reply to' }
+      }
+    },
+    response: { status: 201, schema: ref('Comment') }
+  },
+  editComment: {
+    summary: 'Edit your comment',
+    params: commentParams,
+    body: {
+      type: 'object',
+      required: ['body'],
+      properties: { body: COMMENT_BODY }
+    },
+    response: { schema: ref('Comment') }
+  },
+  deleteComment: {
+    summary: 'Delete a comment',
+    description: 'Authors can delete their comments; those who manage the model can delete any comment on it. Replies are kept.',
+    params: commentParams,
+    response: { schema: ref('Message') }
+  },
+  listCollaborators: {
+    summary: 'List the collaborators of a model',
+    params: modelParams,
+    response: { schema: arrayOf('Collaborator') }
+  },
+  addCollaborator: {
+    summary: 'Share a model with a user, or change their role',
+    params: modelParams,
+    body: {
+      type: 'object',
+      required: ['username'],
+      properties: {
+        username: USERNAME,
+        role: { type: 'string', enum: COLLABORATOR_ROLES }
+      }
+    },
+    response: { status: 201, schema: ref('Collaborator') }
+  },
+  removeCollaborator: {
+    summary: 'Remove a collaborator',
+    params: idParams('id', 'userId'),
+    response: { schema: ref('Message') }
+  },
+  setVisibility: {
+    summary: 'Change the visibility of a model',
+    params: modelParams,
+    body: {
+      type: 'object',
+      required: ['visibility'],
+      properties: { visibility: { type: 'string', enum: VISIBILITIES } }
+    },
+    response: { schema: ref('ModelRecord') }
+  },
+  remove: {
+    summary: 'Delete a model with all its versions',
+    params: modelParams,
+    response: { schema: ref('Message') }
+  }
+});
@@ -0,0 +1,99 @@
+const { ORG_ROLES } = require('../utils/modelAccess');
+const { ID, USERNAME, operations } = require('./common');
+const { ref, arrayOf } = require('./responses');
+const models = require('./models');
+
+const ORG_NAME = { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{1,49}$', description: '2-50 lowercase letters, digits or dashes' };
+const DISPLAY_NAME = { type: 'string', nullable: true, maxLength: 100 };
+const DESCRIPTION = { type: 'string', nullable: true, maxLength: 10000 };
+
+// Existing organizations are looked up by name, so any short string may be tried
+const orgParams = (...ids) => ({
+  type: 'object',
+  required: ['name', ...ids],
+  properties: {
+    name: { type: 'string', maxLength: 50 },
+    ...Object.fromEntries(ids.map(id => [id, ID]))
+  }
+});
+
+module.exports = operations('orgs', {
+  list: {
+    summary: 'List your organizations',
+    response: { schema: arrayOf('Organization') }
+  },
+  create: {
+    summary: 'Create an organization',
+    description: 'The caller becomes its first owner.',
+    body: {
+      type: 'object',
+      required: ['name'],
+      properties: { name: ORG_NAME, display_name: DISPLAY_NAME, description: DESCRIPTION }
+    },
+    response: { status: 201, schema: ref('Organization') },
+    errors: { 409: 'Organization name already exists' }
+  },
+  get: {
+    summary: 'Get an organization you are a member of',
+    params: orgParams(),
+    response: { schema: ref('Organization') }
+  },
+  update: {
+    summary: 'Change the display name or description of an organization',
+    params: orgParams(),
+    body: {
+      type: 'object',
+      properties: { display_name: DISPLAY_NAME, description: DESCRIPTION }
+    },
+    response: { schema: ref('Organization') }
+  },
+  remove: {
+    summary: 'Delete an organization',
+    params: orgParams(),
+    response: { schema: ref('Message') },
+    errors: { 409: 'The organization still owns models' }
+  },
+  listMembers: {
+    summary: 'List the members of an organization',
+    params: orgParams(),
+    response: { schema: arrayOf('Member') }
+  },
+  addMember: {
+    summary: 'Add a member, or change their role',
+    params: orgParams(),
+    body: {
+      type: 'object',
+      required: ['username'],
+      properties: { username: USERNAME, role: { type: 'string', enum: ORG_ROLES } }
+    },
+    response: { status: 201, schema: ref('Member') },
+    errors: { 409: 'An organization needs at least one owner' }
+  },
+  removeMember: {
+    summary: 'Remove a member',
+    params: orgParams('userId'),
+    response: { schema: ref('Message') },
+    errors: { 409: 'An organization needs at least one owner' }
+  },
+  listModels: {
+    summary: 'List the models of an organization',
+    params: orgParams(),
+    query: models.list.query,
+    response: { schema: ref('ModelPage') }
+  },
+  adoptModel: {
+    summary: 'Move one of your models into an organization',
+    params: orgParams('modelId'),
+    response: { schema: ref('ModelRecord') }
+  },
+  transferModel: {
+    summary: 'Transfer an organization model to one of its members',
+    params: orgParams('modelId'),
+    body: {
+      type: 'object',
+      required: ['username'],
+      properties: { username: USERNAME }
+    },
+    response: { schema: ref('ModelRecord') }
+  }
+});
@@ -0,0 +1,431 @@
+const { TASK_TYPES } = require('../utils/modelSearch');
+const { VISIBILITIES, COLLABORATOR_ROLES, ORG_ROLES } = require('../utils/modelAccess');
+const { API_TOKEN_SCOPES } = require('../utils/apiTokens');
+
+// Response bodies, published as the components of the OpenAPI document. Route
+// schemas point at them with ref(); they are not used to check responses.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (name) => ({ type: 'array', items: ref(name) });
+
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+const NULLABLE_TIMESTAMP = { ...TIMESTAMP, nullable: true };
+const NULLABLE_STRING = { type: 'string', nullable: true };
+
+const MODEL_FIELDS = {
+  id: { type: 'integer' },
+  name: { type: 'string' },
+  description: NULLABLE_STRING,
+  task_type: { type: 'string', enum: TASK_TYPES },
+  zoom_level: { type: 'integer' },
+  visibility: { type: 'string', enum: VISIBILITIES },
+  tags: { type: 'array', items: { type: 'string' } },
+  license: NULLABLE_STRING,
+  download_count: { type: 'integer', description: 'downloads, counted once per client, version and day' },
+  view_count: { type: 'integer', description: 'views, counted once per client and day' },
+  star_count: { type: 'integer' },
+  created_at: TIMESTAMP,
+  updated_at: TIMESTAMP
+};
+
+const VERSION_FIELDS = {
+  id: { type: 'integer' },
+  version: { type: 'string' },
+  file_size: { type: 'integer', nullable: true },
+  metadata: { type: 'object', description: 'metadata.yaml contents plus what was read from model.json' },
+  is_active: { type: 'boolean' },
+  created_at: TIMESTAMP
+};
+
+const PAGE_FIELDS = {
+  total: { type: 'integer' },
+  page: { type: 'integer', nullable: true, description: 'null when paging with a cursor' },
+  limit: { type: 'integer' },
+  next: { ...NULLABLE_STRING, description: 'link to the next page' },
+  prev: { ...NULLABLE_STRING, description: 'link to the previous page' }
+};
+
+const INVITE_LINK_FIELDS = {
+  url: { type: 'string', description: 'registration link' },
+  max_uses: { type: 'integer', nullable: true, description: 'null for unlimited' },
+  use_count: { type: 'integer' },
+  expires_at: NULLABLE_TIMESTAMP
+};
+
+const components = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'human readable message' },
+      code: { type: 'string', description: 'machine readable code, e.g. validation_failed or not_found' },
+      details: arrayOf('ErrorDetail')
+    }
+  },
+  ErrorDetail: {
+    type: 'object',
+    required: ['location', 'field', 'code', 'message'],
+    properties: {
+      location: { type: 'string', enum: ['params', 'query', 'body'] },
+      field: { type: 'string' },
+      code: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: { message: { type: 'string' } }
+  },
+  Model: {
+    type: 'object',
+    description: 'A model with its active version',
+    properties: {
+      ...MODEL_FIELDS,
+      owner: { type: 'string', description: 'username or organization name' },
+      org: NULLABLE_STRING,
+      version: NULLABLE_STRING,
+      file_size: { type: 'integer', nullable: true },
+      metadata: { type: 'object' },
+      starred: { type: 'boolean', description: 'whether the caller starred the model (single model responses only)' }
+    }
+  },
+  ModelRecord: {
+    type: 'object',
+    description: 'A model as stored',
+    properties: {
+      ...MODEL_FIELDS,
+      user_id: { type: 'integer', nullable: true },
+      org_id: { type: 'integer', nullable: true }
+    }
+  },
+  ModelPage: {
+    type: 'object',
+    properties: {
+      items: arrayOf('Model'),
+      ...PAGE_FIELDS,
+      next_cursor: NULLABLE_STRING,
+      prev_cursor: NULLABLE_STRING,
+      facets: {
+        type: 'object',
+        description: 'only with facets=true; counts over all matching models, at most 20 tags and classes',
+        properties: {
+          task_type: arrayOf('FacetCount'),
+          zoom_level: arrayOf('FacetCount'),
+          tag: arrayOf('FacetCount'),
+          class: arrayOf('FacetCount')
+        }
+      }
+    }
+  },
+  FacetCount: {
+    type: 'object',
+    properties: {
+      value: { description: 'a task type, zoom level, tag or class name' },
+      count: { type: 'integer', description: 'number of matching models' }
+    }
+  },
+  TagCount: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      model_count: { type: 'integer' }
+    }
+  },
+  ClassCount: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'normalized: lowercase, single spaces' },
+      model_count: { type: 'integer' }
+    }
+  },
+  ModelChange: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      username: { ...NULLABLE_STRING, description: 'null once the account is deleted' },
+      changes: {
+        type: 'object',
+        description: 'the changed fields, e.g. { "name": { "from": "Ships", "to": "Ship detector" } }',
+        additionalProperties: {
+          type: 'object',
+          properties: { from: {}, to: {} }
+        }
+      },
+      created_at: TIMESTAMP
+    }
+  },
+  ModelChangePage: {
+    type: 'object',
+    properties: {
+      items: arrayOf('ModelChange'),
+      ...PAGE_FIELDS
+    }
+  },
+  ModelStats: {
+    type: 'object',
+    properties: {
+      model_id: { type: 'integer' },
+      totals: {
+        type: 'object',
+        properties: { downloads: { type: 'integer' }, views: { type: 'integer' } }
+      },
+      versions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { version: { type: 'string' }, downloads: { type: 'integer' } }
+        }
+      },
+      days: { type: 'integer' },
+      series: {
+        type: 'array',
+        description: 'one entry per day, oldest first, including days without activity',
+        items: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', format: 'date' },
+            downloads: { type: 'integer' },
+            views: { type: 'integer' }
+          }
+        }
+      }
+    }
+  },
+  StarResult: {
+    type: 'object',
+    properties: {
+      starred: { type: 'boolean' },
+      star_count: { type: 'integer' }
+    }
+  },
+  Comment: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      parent_id: { type: 'integer', nullable: true, description: 'the comment this replies to' },
+      user_id: { type: 'integer', nullable: true },
+      username: { ...NULLABLE_STRING, description: 'null once the comment or account is deleted' },
+      body: { ...NULLABLE_STRING, description: 'null once the comment is deleted' },
+      created_at: TIMESTAMP,
+      edited_at: NULLABLE_TIMESTAMP,
+      deleted_at: NULLABLE_TIMESTAMP,
+      replies: { ...arrayOf('Comment'), description: 'only in listings' }
+    }
+  },
+  CommentPage: {
+    type: 'object',
+    properties: {
+      items: arrayOf('Comment'),
+      ...PAGE_FIELDS,
+      total: { type: 'integer', description: 'number of threads' }
+    }
+  },
+  ModelVersion: {
+    type: 'object',
+    properties: VERSION_FIELDS
+  },
+  ModelVersionDetails: {
+    type: 'object',
+    properties: {
+      ...VERSION_FIELDS,
+      model_id: { type: 'integer' },
+      name: { type: 'string' },
+      files: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  VersionResult: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      version: ref('ModelVersion')
+    }
+  },
+  UploadSession: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      model_id: { type: 'integer' },
+      version: { ...NULLABLE_STRING, description: 'null when the version is derived from bump on completion' },
+      bump: NULLABLE_STRING,
+      created_date: NULLABLE_STRING,
+      status: { type: 'string', enum: ['open', 'completing'] },
+      chunk_size: { type: 'integer', description: 'suggested chunk size in bytes' },
+      created_at: TIMESTAMP,
+      expires_at: { ...TIMESTAMP, description: 'extended whenever a chunk arrives' },
+      files: arrayOf('UploadFile')
+    }
+  },
+  UploadFile: {
+    type: 'object',
+    properties: {
+      filename: { type: 'string' },
+      size: { type: 'integer' },
+      sha256: { ...NULLABLE_STRING, description: 'checksum of the whole file, checked on completion' },
+      received: { type: 'integer', description: 'bytes received so far; the offset of the next chunk' }
+    }
+  },
+  UploadProgress: {
+    type: 'object',
+    properties: {
+      filename: { type: 'string' },
+      size: { type: 'integer' },
+      received: { type: 'integer' }
+    }
+  },
+  Collaborator: {
+    type: 'object',
+    properties: {
+      user_id: { type: 'integer' },
+      username: { type: 'string' },
+      role: { type: 'string', enum: COLLABORATOR_ROLES },
+      created_at: TIMESTAMP
+    }
+  },
+  CurrentUser: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      username: { type: 'string' },
+      email: { type: 'string' },
+      email_verified_at: NULLABLE_TIMESTAMP,
+      role: { type: 'string', enum: ['user', 'admin'] },
+      created_at: TIMESTAMP
+    }
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      token: { type: 'string', description: 'access token for the Authorization header' },
+      refresh_token: { type: 'string' },
+      expires_in: { type: 'integer', description: 'access token lifetime in seconds' }
+    }
+  },
+  Login: {
+    type: 'object',
+    properties: {
+      user: {
+        type: 'object',
+        properties: { id: { type: 'integer' }, username: { type: 'string' }, email: { type: 'string' } }
+      },
+      token: { type: 'string' },
+      refresh_token: { type: 'string' },
+      expires_in: { type: 'integer' }
+    }
+  },
+  EmailVerification: {
+    type: 'object',
+    properties: { email: { type: 'string' }, email_verified_at: TIMESTAMP }
+  },
+  Invite: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      code: { type: 'string' },
+      ...INVITE_LINK_FIELDS,
+      email: NULLABLE_STRING,
+      org: NULLABLE_STRING,
+      org_role: { type: 'string', enum: ORG_ROLES },
+      revoked_at: NULLABLE_TIMESTAMP,
+      created_at: TIMESTAMP,
+      status: { type: 'string', enum: ['active', 'used', 'expired', 'revoked'] },
+      redemptions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { user_id: { type: 'integer' }, username: { type: 'string' }, redeemed_at: TIMESTAMP }
+        }
+      }
+    }
+  },
+  InviteTreeNode: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      username: { type: 'string' },
+      created_at: TIMESTAMP,
+      invited: arrayOf('InviteTreeNode')
+    }
+  },
+  InviteOverview: {
+    type: 'object',
+    properties: {
+      invites: arrayOf('Invite'),
+      tree: arrayOf('InviteTreeNode')
+    }
+  },
+  InviteLink: {
+    type: 'object',
+    properties: {
+      token: { type: 'string', description: 'invite code' },
+      ...INVITE_LINK_FIELDS
+    }
+  },
+  ApiToken: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      token_prefix: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: API_TOKEN_SCOPES } },
+      expires_at: NULLABLE_TIMESTAMP,
+      last_used_at: NULLABLE_TIMESTAMP,
+      created_at: TIMESTAMP,
+      token: { type: 'string', description: 'the token itself, only returned when it is created' }
+    }
+  },
+  Organization: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      display_name: NULLABLE_STRING,
+      description: NULLABLE_STRING,
+      created_at: TIMESTAMP,
+      updated_at: TIMESTAMP,
+      role: { type: 'string', enum: ORG_ROLES, description: "the caller's role" }
+    }
+  },
+  Member: {
+    type: 'object',
+    properties: {
+      user_id: { type: 'integer' },
+      username: { type: 'string' },
+      role: { type: 'string', enum: ORG_ROLES },
+      created_at: TIMESTAMP
+    }
+  },
+  AdminUser: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      username: { type: 'string' },
+      email: { type: 'string' },
+      role: { type: 'string', enum: ['user', 'admin'] },
+      suspended_at: NULLABLE_TIMESTAMP,
+      created_at: TIMESTAMP,
+      invited_by: { ...NULLABLE_STRING, description: 'username of the inviter' },
+      model_count: { type: 'integer' }
+    }
+  },
+  UserPage: {
+    type: 'object',
+    properties: {
+      items: arrayOf('AdminUser'),
+      ...PAGE_FIELDS
+    }
+  },
+  AccountDeletion: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      deleted_models: { type: 'integer' }
+    }
+  }
+};
+
+module.exports = {
+  ref,
+  arrayOf,
+  components
+};
@@ -0,0 +1,100 @@
+const { BUMP_TYPES, MAX_VERSION_LENGTH } = require('../utils/versions');
+const { MAX_CHUNK_SIZE, MAX_UPLOAD_FILE_SIZE, MAX_UPLOAD_FILES } = require('../utils/uploadSessions');
+const { ID, operations } = require('./common');
+const { ref } = require('./responses');
+
+// Lowercase only, as issued: the id also names the session's staging directory
+const UPLOAD_ID = { type: 'string', pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$', description: 'a UUID, as returned when the upload was started' };
+const FILENAME = { type: 'string', minLength: 1, maxLength: 255 };
+const SHA256 = { type: 'string', pattern: '^[0-9a-fA-F]{64}$', description: 'a hex SHA-256 digest' };
+
+const uploadParams = {
+  type: 'object',
+  required: ['id', 'uploadId'],
+  properties: { id: ID, uploadId: UPLOAD_ID }
+};
+
+const chunkParams = {
+  type: 'object',
+  required: ['id', 'uploadId', 'filename'],
+  properties: { id: ID, uploadId: UPLOAD_ID, filename: FILENAME }
+};
+
+module.exports = operations('uploads', {
+  create: {
+    summary: 'Start a resumable upload of a new model version',
+    description: 'Declares the files of the version: model.json, metadata.yaml and .bin weight shards, ' +
+      'named without their directory. Each file is then sent in order with ' +
+      '`PUT /api/models/{id}/uploads/{uploadId}/files/{filename}`, and the version is created by completing the upload. ' +
+      'Without `version` the next version is derived from `bump` on completion.',
+    params: { type: 'object', required: ['id'], properties: { id: ID } },
+    body: {
+      type: 'object',
+      required: ['files'],
+      properties: {
+        version: { type: 'string', minLength: 1, maxLength: MAX_VERSION_LENGTH },
+        bump: { type: 'string', enum: BUMP_TYPES },
+        created_date: { type: 'string', maxLength: 100 },
+        files: {
+          type: 'array',
+          minItems: 1,
+          maxItems: MAX_UPLOAD_FILES,
+          items: {
+            type: 'object',
+            required: ['name', 'size'],
+            properties: {
+              name: FILENAME,
+              size: { type: 'integer', minimum: 0, maximum: MAX_UPLOAD_FILE_SIZE },
+              sha256: SHA256
+            }
+          }
+        }
+      }
+    },
+    response: { status: 201, schema: ref('UploadSession') },
+    errors: { 409: 'The version already exists' }
+  },
+  get: {
+    summary: 'Get the progress of a resumable upload',
+    description: 'The `received` size of each file is the offset to resume it from.',
+    params: uploadParams,
+    response: { schema: ref('UploadSession') }
+  },
+  putChunk: {
+    summary: 'Send the next chunk of a file',
+    description: 'Chunks are appended in order: `Upload-Offset` must equal the bytes received so far. ' +
+      `Chunks are at most ${MAX_CHUNK_SIZE} bytes.`,
+    params: chunkParams,
+    headers: {
+      type: 'object',
+      required: ['upload-offset', 'upload-checksum'],
+      properties: {
+        'upload-offset': { type: 'integer', minimum: 0, description: 'position of the chunk in the file' },
+        'upload-checksum': { type: 'string', pattern: '^sha256 [A-Za-z0-9+/]{43}=$', description: '"sha256 " and the base64 SHA-256 digest of the chunk' }
+      }
+    },
+    contentType: 'application/octet-stream',
+    body: { type: 'string', format: 'binary' },
+    response: { schema: ref('UploadProgress') },
+    errors: {
+      409: 'Upload-Offset is not the received size; the response has the expected offset',
+      413: 'The chunk is too large or goes past the end of the file',
+      422: 'The chunk does not match Upload-Checksum'
+    }
+  },
+  complete: {
+    summary: 'Complete a resumable upload',
+    description: 'Once every file is received, checks the files like a multipart upload and creates the version. ' +
+      'The upload is removed afterwards, unless files are still missing.',
+    params: uploadParams,
+    response: { schema: ref('VersionResult') },
+    errors: {
+      409: 'The version already exists, or the upload is already being completed',
+      422: 'The files are not a valid TF.js model or do not match their checksums'
+    }
+  },
+  cancel: {
+    summary: 'Cancel a resumable upload',
+    params: uploadParams
+  }
+});
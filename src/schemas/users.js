@@ -0,0 +1,86 @@
+const { API_TOKEN_SCOPES } = require('../utils/apiTokens');
+const { USERNAME, EMAIL, PASSWORD, idParams, operations } = require('./common');
+const { ref, arrayOf } = require('./responses');
+const models = require('./models');
+
+module.exports = operations('users', {
+  me: {
+    summary: 'Get the current user',
+    response: { schema: ref('CurrentUser') }
+  },
+  update: {
+    summary: 'Change your username or email address',
+    description: 'Changing the email address requires `current_password` and a new verification.',
+    body: {
+      type: 'object',
+      properties: {
+        username: USERNAME,
+        email: EMAIL,
+        current_password: { ...PASSWORD, description: 'required to change the email address' }
+      }
+    },
+    response: { schema: ref('CurrentUser') },
+    errors: { 409: 'Username or email already exists' }
+  },
+  changePassword: {
+    summary: 'Change your password',
+    description: 'Ends all other sessions.',
+    body: {
+      type: 'object',
+      required: ['current_password', 'new_password'],
+      properties: { current_password: PASSWORD, new_password: PASSWORD }
+    },
+    response: { schema: ref('Message') }
+  },
+  sendVerification: {
+    summary: 'Send a new verification email',
+    response: { schema: ref('Message') }
+  },
+  remove: {
+    summary: 'Delete your account and your personal models',
+    body: {
+      type: 'object',
+      required: ['password'],
+      properties: { password: PASSWORD }
+    },
+    response: { schema: ref('AccountDeletion') },
+    errors: { 409: 'You are the last owner of an organization' }
+  },
+  listModels: {
+    ...models.list,
+    summary: 'List your models',
+    description: 'Models you own, collaborate on or that belong to your organizations.'
+  },
+  listStars: {
+    ...models.list,
+    summary: 'List the models you starred',
+    description: 'Starred models you can still see, filtered and sorted like the model listing.'
+  },
+  listTokens: {
+    summary: 'List your personal access tokens',
+    response: { schema: arrayOf('ApiToken') }
+  },
+  createToken: {
+    summary: 'Create a personal access token',
+    description: 'The token is only returned in this response.',
+    body: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        scopes: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string', enum: API_TOKEN_SCOPES }
+        },
+        expires_in_days: { type: 'integer', nullable: true, minimum: 1, maximum: 3650 }
+      }
+    },
+    response: { status: 201, schema: ref('ApiToken') }
+  },
+  revokeToken: {
+    summary: 'Revoke a personal access token',
+    params: idParams('tokenId'),
+    response: { schema: ref('Message') }
+  }
+});
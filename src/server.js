@@ -6,13 +6,19 @@ const path = require('path');
 require('dotenv').config();
 
 const { initializeDatabase } = require('./init');
-const authRoutes = require('./routes/auth');
-const modelRoutes = require('./routes/models');
-const userRoutes = require('./routes/users');
+const { errorEnvelope, errorHandler } = require('./middleware/errors');
+const apiRoutes = require('./routes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, trust it for the client IP so rate limits apply per client
+// (TRUST_PROXY: `true`, a number of hops, or addresses/subnets as accepted by Express)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 app.use(helmet({
   contentSecurityPolicy: {
     directives: {
@@ -29,8 +35,14 @@ app.use(helmet({
   originAgentCluster: false,       // Disable Origin-Agent-Cluster header
   hsts: false,                     // Disable HTTPS strict transport security
 }));
-app.use(compression());
-app.use(cors());
+app.use(compression({
+  // Partial content must be sent exactly as the requested byte range
+  filter: (req, res) => !res.getHeader('Content-Range') && compression.filter(req, res)
+}));
+app.use(cors({
+  // Lets browser clients resume downloads and cache files by ETag
+  exposedHeaders: ['ETag', 'Content-Range', 'Accept-Ranges']
+}));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -39,13 +51,10 @@ app.get('/register', async (req, res) => {
   
   if (token) {
     try {
-      const { pool } = require('./database');
-      const result = await pool.query(
-        'SELECT id FROM users WHERE invite_token = $1 AND invite_token_expires > NOW()',
-        [token]
-      );
+      const { findUsableInvite } = require('./utils/invites');
+      const invite = await findUsableInvite(token);
       
-      if (result.rows.length === 0) {
+      if (!invite) {
         return res.status(400).send(`
           <!DOCTYPE html>
           <html>
@@ -59,7 +68,7 @@ app.get('/register', async (req, res) => {
           <body>
             <div class="error">
               <h2>Invalid or Expired Invite Link</h2>
-              <p>This invite link is either invalid or has expired.</p>
+              <p>This invite link is either invalid, has expired, or has already been used.</p>
               <p>Please request a new invite link from the person who invited you.</p>
             </div>
           </body>
@@ -96,29 +105,27 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Interactive API documentation, built from /api/openapi.json
+app.get('/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/api-docs.html'));
+});
+
 app.use(express.static(path.join(__dirname, '../public')));
 
-app.use('/api/auth', authRoutes);
-app.use('/api/models', modelRoutes);
-app.use('/api/users', userRoutes);
+app.use('/api', errorEnvelope);
+for (const { path: mountPath, router } of apiRoutes) {
+  app.use(mountPath, router);
+}
 
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-app.get('/api/auth/registration-enabled', (req, res) => {
-  // Check new variable first, fall back to old for backward compatibility
-  const disableRegistration = process.env.DISABLE_REGISTRATION_WITHOUT_LINK === 'true' || 
-                               process.env.DISABLE_REGISTRATION === 'true';
-  const registrationEnabled = !disableRegistration;
-  res.json({ enabled: registrationEnabled });
+app.use('/api', (req, res) => {
+  res.status(404).json({ error: 'Not found' });
 });
 
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
-});
+app.use(errorHandler);
 
 app.listen(PORT, '0.0.0.0', async () => {
   console.log(`OSMSAT Model Server running on port ${PORT}`);
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { pool } = require('../database');
+const { sendMail } = require('./mailer');
+
+// Lifetimes of the single-use tokens mailed to users, in minutes
+const ACCOUNT_TOKEN_TTL = {
+  password_reset: 60,
+  email_verification: 48 * 60
+};
+
+const hashAccountToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a single-use token for an account action. Earlier unused tokens for
+ * the same purpose are invalidated so only the latest mailed link works.
+ *
+ * @param {number} userId
+ * @param {'password_reset'|'email_verification'} purpose
+ * @param {string|null} [email] - address the token is bound to (verification)
+ * @returns {Promise<string>} the token; only its hash is stored
+ */
+const createAccountToken = async (userId, purpose, email = null) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ACCOUNT_TOKEN_TTL[purpose] * 60 * 1000);
+
+  await pool.query(
+    'DELETE FROM account_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await pool.query(`
+    INSERT INTO account_tokens (user_id, purpose, token_hash, email, expires_at)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [userId, purpose, hashAccountToken(token), email, expiresAt]);
+
+  return token;
+};
+
+/**
+ * Mark a token as used. The update only matches an unused, unexpired token,
+ * so a token can be consumed once even under concurrent requests.
+ *
+ * @returns {Promise<{ user_id: number, email: string|null }|null>}
+ */
+const consumeAccountToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const result = await pool.query(`
+    UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id, email
+  `, [hashAccountToken(token), purpose]);
+
+  return result.rows[0] || null;
+};
+
+// Helper function to build links to the web interface. APP_URL is preferred
+// over the request's Host header, which clients control.
+const appUrl = (req, query, pathname = '/') => {
+  const base = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}${pathname}?${new URLSearchParams(query)}`;
+};
+
+// Helper function to mail a verification link for the address a user registered or switched to
+const sendVerificationEmail = async (req, user, email) => {
+  const token = await createAccountToken(user.id, 'email_verification', email);
+
+  await sendMail({
+    to: email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease confirm this email address for your OSMSAT Model Server account:\n\n` +
+      `${appUrl(req, { verify_token: token })}\n\nThe link expires in ${ACCOUNT_TOKEN_TTL.email_verification / 60} hours.`
+  });
+};
+
+const sendPasswordResetEmail = async (req, user) => {
+  const token = await createAccountToken(user.id, 'password_reset');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset the password of your OSMSAT Model Server account. ` +
+      `If it was you, choose a new password here:\n\n${appUrl(req, { reset_token: token })}\n\n` +
+      `The link expires in ${ACCOUNT_TOKEN_TTL.password_reset} minutes and can be used once. ` +
+      'If you did not ask for this, you can ignore this email.'
+  });
+};
+
+module.exports = {
+  ACCOUNT_TOKEN_TTL,
+  createAccountToken,
+  consumeAccountToken,
+  appUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// Personal access tokens are recognizable by their prefix, which also lets
+// authenticateToken tell them apart from JWTs without trying to decode them
+const API_TOKEN_PREFIX = 'osm_';
+
+const API_TOKEN_SCOPES = ['read', 'upload', 'admin'];
+
+// Each scope includes the ones below it
+const SCOPE_GRANTS = {
+  read: ['read'],
+  upload: ['read', 'upload'],
+  admin: ['read', 'upload', 'admin']
+};
+
+const generateApiToken = () => `${API_TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+// Tokens carry 192 bits of randomness, so a fast hash is enough and allows lookups by hash
+const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isApiToken = (token) => token.startsWith(API_TOKEN_PREFIX);
+
+// Helper function to check whether a set of token scopes covers a required scope
+const scopesInclude = (scopes, required) => (
+  scopes.some(scope => (SCOPE_GRANTS[scope] || []).includes(required))
+);
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  API_TOKEN_SCOPES,
+  generateApiToken,
+  hashApiToken,
+  isApiToken,
+  scopesInclude
+};
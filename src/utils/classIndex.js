@@ -0,0 +1,43 @@
+// Class names of each model version (metadata.yaml `names`) are copied into
+// model_classes so models can be found by what they detect. Names are stored
+// normalized: trimmed, lowercase, single spaces. The migration in database.js
+// applies the same normalization in SQL when backfilling.
+
+const MAX_CLASS_NAME_LENGTH = 100;
+
+const normalizeClassName = (name) => String(name)
+  .trim()
+  .replace(/\s+/g, ' ')
+  .toLowerCase()
+  .slice(0, MAX_CLASS_NAME_LENGTH);
+
+// Helper function to collect the distinct normalized class names of processed metadata
+const classNamesFromMetadata = (metadata) => {
+  const classList = Array.isArray(metadata && metadata.class_list) ? metadata.class_list : [];
+  return [...new Set(classList.map(normalizeClassName).filter(Boolean))];
+};
+
+/**
+ * Index the class names of a newly created version.
+ *
+ * @param {Object} db - pool, or the client of an open transaction
+ * @param {number} versionId - model_versions.id
+ * @param {Object} metadata - the version's processed metadata
+ */
+const indexVersionClasses = async (db, versionId, metadata) => {
+  const names = classNamesFromMetadata(metadata);
+  if (names.length === 0) return;
+
+  await db.query(`
+    INSERT INTO model_classes (version_id, name)
+    SELECT $1, unnest($2::text[])
+    ON CONFLICT DO NOTHING
+  `, [versionId, names]);
+};
+
+module.exports = {
+  MAX_CLASS_NAME_LENGTH,
+  normalizeClassName,
+  classNamesFromMetadata,
+  indexVersionClasses
+};
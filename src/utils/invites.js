@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { pool } = require('../database');
+const { appUrl } = require('./accountTokens');
+
+const DEFAULT_INVITE_MAX_USES = 1;
+const DEFAULT_INVITE_TTL_DAYS = 7;
+
+// An invite can be redeemed while it is neither revoked, expired nor used up
+const USABLE_INVITE_CONDITION = `revoked_at IS NULL
+  AND (expires_at IS NULL OR expires_at > NOW())
+  AND (max_uses IS NULL OR use_count < max_uses)`;
+
+const generateInviteCode = () => crypto.randomBytes(12).toString('hex');
+
+const inviteUrl = (req, code) => appUrl(req, { token: code }, '/register');
+
+// Helper function to describe where an invite stands, for listings
+const inviteStatus = (invite) => {
+  if (invite.revoked_at) return 'revoked';
+  if (invite.expires_at && new Date(invite.expires_at) <= new Date()) return 'expired';
+  if (invite.max_uses !== null && invite.use_count >= invite.max_uses) return 'used';
+  return 'active';
+};
+
+const findUsableInvite = async (code) => {
+  if (typeof code !== 'string' || !code) return null;
+
+  const result = await pool.query(
+    `SELECT * FROM invites WHERE code = $1 AND ${USABLE_INVITE_CONDITION}`,
+    [code]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Record that a new account used an invite. Must run inside the registration
+ * transaction, after the user row is inserted. The use count is taken with a
+ * conditional update, so concurrent registrations cannot exceed max_uses.
+ *
+ * @param {Object} client - pg client of the open transaction
+ * @param {Object} invite - row returned by findUsableInvite
+ * @param {number} userId - the account that was just created
+ * @returns {Promise<boolean>} false if the invite stopped being usable meanwhile
+ */
+const redeemInvite = async (client, invite, userId) => {
+  const result = await client.query(
+    `UPDATE invites SET use_count = use_count + 1 WHERE id = $1 AND ${USABLE_INVITE_CONDITION} RETURNING id`,
+    [invite.id]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await client.query(
+    'INSERT INTO invite_redemptions (invite_id, user_id) VALUES ($1, $2)',
+    [invite.id, userId]
+  );
+
+  if (invite.org_id) {
+    await client.query(`
+      INSERT INTO organization_members (org_id, user_id, role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (org_id, user_id) DO NOTHING
+    `, [invite.org_id, userId, invite.org_role]);
+  }
+
+  return true;
+};
+
+module.exports = {
+  DEFAULT_INVITE_MAX_USES,
+  DEFAULT_INVITE_TTL_DAYS,
+  USABLE_INVITE_CONDITION,
+  generateInviteCode,
+  inviteUrl,
+  inviteStatus,
+  findUsableInvite,
+  redeemInvite
+};
@@ -0,0 +1,85 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_MAIL_DIR = path.join(__dirname, '../../mail');
+
+// Transports share one interface: send({ from, to, subject, text }) resolves once
+// the message has been handed off
+// Bodies hold password reset and verification links, so they are only logged
+// when MAIL_LOG_BODY=true, e.g. in development
+const createConsoleTransport = (logBody = process.env.MAIL_LOG_BODY === 'true') => ({
+  send: async (message) => {
+    console.log(`Mail to ${message.to}: ${message.subject}${logBody ? `\n${message.text}` : ''}`);
+  }
+});
+
+const createFileTransport = (dir = process.env.MAIL_DIR || DEFAULT_MAIL_DIR) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    // The recipient is user input; keep it from adding directories or odd characters to the name
+    const recipient = String(message.to).replace(/[^\w@.+-]/g, '_');
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}.json`;
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  }
+});
+
+const createSmtpTransport = () => {
+  // Loaded lazily so the console and file transports work without SMTP settings
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+let transport = null;
+
+// Helper function to build the transport selected by MAIL_TRANSPORT (default: console)
+const createTransport = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  switch (name) {
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+      return createFileTransport();
+    case 'smtp':
+      return createSmtpTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+};
+
+// Replace the transport, e.g. with a stub in tests; null restores the configured one
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+/**
+ * Send a plain-text email through the configured transport.
+ *
+ * @param {{ to: string, subject: string, text: string }} message
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text }) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || 'OSMSAT Model Server <no-reply@localhost>',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = {
+  createTransport,
+  setTransport,
+  sendMail
+};
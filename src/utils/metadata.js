@@ -0,0 +1,51 @@
+// Helper function to format image size display
+const formatImageSize = (imgsz) => {
+  if (!imgsz || !Array.isArray(imgsz) || imgsz.length < 2) return null;
+
+  const [width, height] = imgsz;
+  return width === height ? width.toString() : `${width}x${height}`;
+};
+
+// Helper function to process and enhance metadata
+const processMetadata = (metadata) => {
+  const processed = { ...metadata };
+
+  // Calculate the number of classes and class list
+  if (processed.names) {
+    processed.num_classes = Object.keys(processed.names).length;
+    processed.class_list = Object.values(processed.names);
+  }
+
+  // Fall back to the image size of the model graph input (NHWC)
+  if (!processed.imgsz && Array.isArray(processed.input_shape) && processed.input_shape.length === 4) {
+    const [, height, width] = processed.input_shape;
+    if (height > 0 && width > 0) {
+      processed.imgsz = [height, width];
+    }
+  }
+
+  // Format image size display
+  if (processed.imgsz) {
+    processed.image_size_display = formatImageSize(processed.imgsz);
+  }
+
+  // Determine precision from the half-precision flag
+  if (processed.args && processed.args.half !== undefined) {
+    processed.precision = processed.args.half ? 'FP16' : 'FP32';
+  }
+
+  // Determine quantization from int8 flag
+  if (processed.args && processed.args.int8 !== undefined) {
+    processed.quantization = processed.args.int8 ? 'INT8' : 'None';
+  }
+
+  // Set the model format (hardcoded to TF.js for now)
+  processed.model_format = processed.model_format || 'TF.js';
+
+  return processed;
+};
+
+module.exports = {
+  formatImageSize,
+  processMetadata
+};
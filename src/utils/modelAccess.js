@@ -0,0 +1,93 @@
+// SQL conditions deciding who may see and change a model. Each helper appends
+// the user id to params so the caller's placeholders stay in sync; `alias` is
+// the alias of the models table in the caller's query.
+
+const COLLABORATOR_ROLES = ['read', 'write'];
+
+const ORG_ROLES = ['owner', 'maintainer', 'viewer'];
+
+// Organization roles allowed to publish versions and change settings of org models
+const ORG_MANAGER_ROLES = ['owner', 'maintainer'];
+
+const VISIBILITIES = ['private', 'org', 'members', 'public'];
+
+// Helper function to build the condition for membership of the model's organization
+const orgMemberCondition = (alias, userParam, roles) => {
+  const roleCondition = roles ? ` AND om.role IN (${roles.map(role => `'${role}'`).join(', ')})` : '';
+  return `EXISTS (
+    SELECT 1 FROM organization_members om
+    WHERE om.org_id = ${alias}.org_id AND om.user_id = ${userParam}${roleCondition}
+  )`;
+};
+
+/**
+ * Condition matching the models a user may see.
+ *
+ * Organization models with 'org' visibility are visible to every member of
+ * the organization; private organization models only to its owners and
+ * maintainers.
+ *
+ * @param {Object|null} user - req.user, or null for anonymous requests
+ * @param {Array} params - query parameters, extended as needed
+ * @param {string} [alias='m']
+ * @returns {string}
+ */
+const buildAccessCondition = (user, params, alias = 'm') => {
+  if (user) {
+    // Authenticated users can access 'public', 'members', their own, shared and organization models
+    params.push(user.userId);
+    const userParam = `$${params.length}`;
+    return `(${alias}.visibility IN ('public', 'members') OR ${alias}.user_id = ${userParam} OR EXISTS (
+      SELECT 1 FROM model_collaborators c WHERE c.model_id = ${alias}.id AND c.user_id = ${userParam}
+    ) OR (${alias}.visibility = 'org' AND ${orgMemberCondition(alias, userParam)})
+      OR ${orgMemberCondition(alias, userParam, ORG_MANAGER_ROLES)})`;
+  }
+
+  // Anonymous users can only access public models
+  return `${alias}.visibility = 'public'`;
+};
+
+/**
+ * Condition matching the models a user may publish versions to: their own
+ * models, models shared with them in the write role and models of
+ * organizations they maintain.
+ *
+ * @param {Object} user - req.user
+ * @param {Array} params - query parameters, extended as needed
+ * @param {string} [alias='m']
+ * @returns {string}
+ */
+const buildWriteCondition = (user, params, alias = 'm') => {
+  params.push(user.userId);
+  const userParam = `$${params.length}`;
+  return `(${alias}.user_id = ${userParam} OR EXISTS (
+    SELECT 1 FROM model_collaborators c WHERE c.model_id = ${alias}.id AND c.user_id = ${userParam} AND c.role = 'write'
+  ) OR ${orgMemberCondition(alias, userParam, ORG_MANAGER_ROLES)})`;
+};
+
+/**
+ * Condition matching the models whose settings a user may change (visibility,
+ * collaborators), or with orgRoles = ['owner'], delete and transfer: their own
+ * models and models of organizations where they hold one of orgRoles.
+ *
+ * @param {Object} user - req.user
+ * @param {Array} params - query parameters, extended as needed
+ * @param {string} [alias='m']
+ * @param {string[]} [orgRoles=ORG_MANAGER_ROLES]
+ * @returns {string}
+ */
+const buildManageCondition = (user, params, alias = 'm', orgRoles = ORG_MANAGER_ROLES) => {
+  params.push(user.userId);
+  const userParam = `$${params.length}`;
+  return `(${alias}.user_id = ${userParam} OR ${orgMemberCondition(alias, userParam, orgRoles)})`;
+};
+
+module.exports = {
+  COLLABORATOR_ROLES,
+  ORG_ROLES,
+  ORG_MANAGER_ROLES,
+  VISIBILITIES,
+  buildAccessCondition,
+  buildWriteCondition,
+  buildManageCondition
+};
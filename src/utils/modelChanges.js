@@ -0,0 +1,43 @@
+// Change log of model details. Each entry lists the fields an edit changed as
+// { field: { from, to } }, so others can see what changed and who changed it.
+
+// Fields PATCH /api/models/:id can change
+const EDITABLE_MODEL_FIELDS = ['name', 'description', 'task_type', 'zoom_level', 'tags', 'license'];
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Work out which fields an edit actually changes.
+ *
+ * @param {Object} model - the current models row
+ * @param {Object} updates - new values by field; fields left out are unchanged
+ * @returns {Object<string, { from: *, to: * }>} empty when nothing changes
+ */
+const diffModel = (model, updates) => {
+  const changes = {};
+  for (const [field, value] of Object.entries(updates)) {
+    if (!sameValue(model[field], value)) {
+      changes[field] = { from: model[field] === undefined ? null : model[field], to: value };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Add an entry to a model's change log.
+ *
+ * @param {Object} db - pool, or the client of an open transaction
+ * @param {number|string} modelId
+ * @param {number} userId - who made the change
+ * @param {Object} changes - as returned by diffModel
+ */
+const recordModelChange = (db, modelId, userId, changes) => db.query(
+  'INSERT INTO model_changes (model_id, user_id, changes) VALUES ($1, $2, $3)',
+  [modelId, userId, changes]
+);
+
+module.exports = {
+  EDITABLE_MODEL_FIELDS,
+  diffModel,
+  recordModelChange
+};
@@ -0,0 +1,81 @@
+const { pool } = require('../database');
+const { sendMail } = require('./mailer');
+const { ORG_MANAGER_ROLES } = require('./modelAccess');
+
+// Comments on models are threaded: a reply points at its parent. Deleted
+// comments keep their place in the thread but lose their text and author.
+
+const MAX_COMMENT_LENGTH = 5000;
+
+const COMMENT_FIELDS = `
+  c.id, c.parent_id,
+  CASE WHEN c.deleted_at IS NULL THEN c.user_id END as user_id,
+  CASE WHEN c.deleted_at IS NULL THEN u.username END as username,
+  CASE WHEN c.deleted_at IS NULL THEN c.body END as body,
+  c.created_at, c.edited_at, c.deleted_at
+`;
+
+/**
+ * Nest comments under their parents. Rows must be ordered oldest first, and
+ * parents must be among them; comments whose parent is missing become roots.
+ *
+ * @param {Object[]} rows - comment rows with id and parent_id
+ * @returns {Object[]} root comments, each with a replies array
+ */
+const buildCommentTree = (rows) => {
+  const byId = new Map(rows.map(row => [row.id, { ...row, replies: [] }]));
+  const roots = [];
+
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id && byId.get(comment.parent_id);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  }
+
+  return roots;
+};
+
+/**
+ * Email the owner of a model about a new comment: the owning user, or the
+ * owners and maintainers of the owning organization. The commenter is left
+ * out. Best effort, like other notification emails: failures are logged.
+ *
+ * @param {Object} model - { id, name }
+ * @param {Object} comment - the new comment, with body
+ * @param {Object} author - req.user of the commenter
+ */
+const notifyModelOwners = async (model, comment, author) => {
+  try {
+    const recipients = await pool.query(`
+      SELECT u.email FROM models m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.id = $1 AND u.id <> $2 AND u.suspended_at IS NULL
+      UNION
+      SELECT u.email FROM models m
+      JOIN organization_members om ON om.org_id = m.org_id
+      JOIN users u ON u.id = om.user_id
+      WHERE m.id = $1 AND om.role = ANY($3) AND u.id <> $2 AND u.suspended_at IS NULL
+    `, [model.id, author.userId, ORG_MANAGER_ROLES]);
+
+    const what = comment.parent_id ? 'replied to a comment on' : 'commented on';
+    for (const { email } of recipients.rows) {
+      await sendMail({
+        to: email,
+        subject: `${author.username} ${what} ${model.name}`,
+        text: `${author.username} ${what} your model "${model.name}" (id ${model.id}):\n\n${comment.body}`
+      });
+    }
+  } catch (err) {
+    console.error('Comment notification error:', err);
+  }
+};
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  COMMENT_FIELDS,
+  buildCommentTree,
+  notifyModelOwners
+};
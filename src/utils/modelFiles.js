@@ -0,0 +1,473 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+const { getStorage } = require('./storage');
+const { sortVersionsDesc } = require('./versions');
+
+const fsp = fs.promises;
+
+const UPLOADS_ROOT = path.join(__dirname, '../../uploads');
+
+// Staging directories untouched for this long belong to no running upload
+const STAGING_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const BLOB_KEY_PATTERN = /^blobs\/[0-9a-f]{2}\/[0-9a-f]{2}\/([0-9a-f]{64})$/;
+
+// Model files are stored once per content, as blobs named by their SHA-256,
+// however many versions or models contain them. model_files is the manifest
+// of each version (file name -> blob). A trigger keeps blobs.ref_count in step
+// with the manifests, including rows removed by cascading deletes, and
+// collectGarbage removes the blobs no manifest refers to any more. Blobs live
+// in the configured storage backend (see storage.js); uploads are staged on
+// local disk first.
+
+// Helper functions to resolve on-disk locations for staged and legacy model files
+const getModelDir = (modelId) => path.join(UPLOADS_ROOT, 'models', String(modelId));
+const getVersionDir = (modelId, version) => path.join(getModelDir(modelId), 'versions', version);
+const getStagingDir = (uploadId) => path.join(UPLOADS_ROOT, 'tmp', uploadId);
+
+// Helper function to build the storage key of a blob
+const getBlobKey = (sha256) => `blobs/${sha256.slice(0, 2)}/${sha256.slice(2, 4)}/${sha256}`;
+
+// Helper function to list the regular files of a directory (legacy version storage)
+const listVersionFiles = async (dir) => {
+  const entries = await fsp.readdir(dir, { withFileTypes: true });
+  return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+};
+
+// Helper function to compute the SHA-256 and size of a file without reading it into memory
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+    })
+    .on('error', reject)
+    .on('end', () => resolve({ sha256: hash.digest('hex'), size }));
+});
+
+/**
+ * Store files as blobs and add them to the manifest of a version. Only
+ * content the blob store does not have yet is stored; the rest is referenced.
+ *
+ * Must run inside the transaction that creates the version: the blob rows it
+ * upserts stay locked until commit, so collectGarbage cannot remove a blob
+ * that is about to be referenced again. The hashes of the blobs it stores are
+ * appended to stored, so that they can be discarded with discardBlobs if the
+ * transaction is rolled back.
+ *
+ * @param {Object} client - client of an open transaction
+ * @param {number} versionId
+ * @param {{ name: string, path: string }[]} files - staged files, possibly moved into the blob store
+ * @param {string[]} [stored] - extended with the hashes of newly stored blobs
+ * @returns {Promise<{ filename: string, sha256: string, size: number }[]>}
+ */
+const addVersionFiles = async (client, versionId, files, stored = []) => {
+  const entries = [];
+  for (const file of files) {
+    entries.push({ filename: file.name, path: file.path, ...(await hashFile(file.path)) });
+  }
+
+  if (entries.length === 0) {
+    return [];
+  }
+
+  // A version may contain the same content under several names
+  const blobs = new Map(entries.map(entry => [entry.sha256, entry]));
+  const result = await client.query(`
+    INSERT INTO blobs (sha256, size)
+    SELECT * FROM unnest($1::text[], $2::bigint[])
+    ON CONFLICT (sha256) DO UPDATE SET last_referenced_at = CURRENT_TIMESTAMP
+    RETURNING sha256, (xmax = 0) AS inserted
+  `, [[...blobs.keys()], [...blobs.values()].map(entry => entry.size)]);
+
+  // Rows that already existed belong to blobs other versions have stored
+  const storage = getStorage();
+  for (const { sha256 } of result.rows.filter(row => row.inserted)) {
+    await storage.put(getBlobKey(sha256), blobs.get(sha256).path);
+    stored.push(sha256);
+  }
+
+  await client.query(`
+    INSERT INTO model_files (version_id, filename, sha256, size)
+    SELECT $1, * FROM unnest($2::text[], $3::text[], $4::bigint[])
+  `, [
+    versionId,
+    entries.map(entry => entry.filename),
+    entries.map(entry => entry.sha256),
+    entries.map(entry => entry.size)
+  ]);
+
+  return entries.map(({ filename, sha256, size }) => ({ filename, sha256, size }));
+};
+
+// Helper function to read the manifest of a version, by file name
+const getVersionFiles = async (versionId) => {
+  const result = await pool.query(
+    'SELECT filename, sha256, size FROM model_files WHERE version_id = $1 ORDER BY filename',
+    [versionId]
+  );
+  return result.rows;
+};
+
+// Helper function to look up one file of a version's manifest
+const findVersionFile = async (versionId, filename) => {
+  const result = await pool.query(
+    'SELECT filename, sha256, size FROM model_files WHERE version_id = $1 AND filename = $2',
+    [versionId, filename]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Delete the blobs no version refers to any more.
+ *
+ * Files are removed while their rows are still locked by the deleting
+ * transaction, so an upload adding the same content waits and then stores
+ * the file again.
+ *
+ * @returns {Promise<number>} number of blobs removed
+ */
+const collectGarbage = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query('DELETE FROM blobs WHERE ref_count <= 0 RETURNING sha256');
+    const storage = getStorage();
+    for (const { sha256 } of result.rows) {
+      await storage.remove(getBlobKey(sha256));
+    }
+    await client.query('COMMIT');
+    return result.rows.length;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Move versions stored as plain directories (model_versions.file_path) into
+ * the blob store. Files are copied first and the originals only removed once
+ * the manifest is committed. Runs at startup; versions whose directory is
+ * missing are skipped.
+ *
+ * Early uploads kept every version of a model in one directory, which holds
+ * the files of whichever upload wrote them last. A shared directory is
+ * imported into the active version of those referring to it, or else the
+ * latest; the others are left without files, as their own files are gone.
+ *
+ * @returns {Promise<number>} number of directories imported
+ */
+const importLegacyFiles = async () => {
+  const versions = await pool.query(`
+    SELECT mv.id, mv.model_id, mv.version, mv.is_active, mv.created_at, mv.file_path FROM model_versions mv
+    WHERE mv.file_path IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM model_files f WHERE f.version_id = mv.id)
+  `);
+
+  const byPath = new Map();
+  for (const row of versions.rows) {
+    const dir = path.resolve(row.file_path);
+    byPath.set(dir, [...(byPath.get(dir) || []), row]);
+  }
+
+  let imported = 0;
+  for (const [dir, rows] of byPath) {
+    const target = rows.find(row => row.is_active) || sortVersionsDesc(rows)[0];
+
+    let names;
+    try {
+      names = await listVersionFiles(dir);
+    } catch (err) {
+      console.log(`Legacy import: no files for version ${target.id}:`, err.message);
+      continue;
+    }
+
+    const stagingPath = getStagingDir(uuidv4());
+    const stored = [];
+    const client = await pool.connect();
+    try {
+      await fsp.mkdir(stagingPath, { recursive: true });
+      const files = [];
+      for (const name of names) {
+        const copy = path.join(stagingPath, name);
+        await fsp.copyFile(path.join(dir, name), copy);
+        files.push({ name, path: copy });
+      }
+
+      await client.query('BEGIN');
+      await addVersionFiles(client, target.id, files, stored);
+      await client.query('UPDATE model_versions SET file_path = NULL WHERE id = ANY($1)', [rows.map(row => row.id)]);
+      await client.query('COMMIT');
+      imported++;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error(`Legacy import error for version ${target.id}:`, err);
+      await discardBlobs(stored);
+      continue;
+    } finally {
+      client.release();
+      await fsp.rm(stagingPath, { recursive: true, force: true }).catch(() => {});
+    }
+
+    for (const row of rows) {
+      if (row !== target) {
+        console.log(`Legacy import: version ${row.version} of model ${row.model_id} shared its directory with version ${target.version}, which got its files`);
+      }
+    }
+
+    // Every version referring to the directory is handled by now
+    for (const name of names) {
+      await fsp.rm(path.join(dir, name), { force: true });
+    }
+    // Only removes the directory once it is empty
+    await fsp.rmdir(dir).catch(() => {});
+  }
+
+  return imported;
+};
+
+/**
+ * Copy every blob from one storage backend to another, e.g. before switching
+ * STORAGE_DRIVER. Blobs already in the target are skipped, so an interrupted
+ * migration can simply be run again. Each copy is checked against its SHA-256
+ * before it is stored.
+ *
+ * @param {Object} source - storage driver to copy from
+ * @param {Object} target - storage driver to copy to
+ * @param {Object} [options]
+ * @param {boolean} [options.remove] - delete blobs from the source once copied
+ * @returns {Promise<{ copied: number, skipped: number, failed: number }>}
+ */
+const migrateBlobs = async (source, target, { remove = false } = {}) => {
+  const blobs = await pool.query('SELECT sha256 FROM blobs ORDER BY sha256');
+  const counts = { copied: 0, skipped: 0, failed: 0 };
+
+  for (const { sha256 } of blobs.rows) {
+    const key = getBlobKey(sha256);
+    const stagingPath = getStagingDir(uuidv4());
+    try {
+      if (await target.exists(key)) {
+        counts.skipped++;
+      } else {
+        await fsp.mkdir(stagingPath, { recursive: true });
+        const copy = path.join(stagingPath, sha256);
+        await pipeline(await source.open(key), fs.createWriteStream(copy));
+
+        const { sha256: actual } = await hashFile(copy);
+        if (actual !== sha256) {
+          throw new Error(`content does not match its hash (got ${actual})`);
+        }
+        await target.put(key, copy);
+        counts.copied++;
+      }
+
+      if (remove) {
+        await source.remove(key);
+      }
+    } catch (err) {
+      console.error(`Storage migration error for blob ${sha256}:`, err.message);
+      counts.failed++;
+    } finally {
+      await fsp.rm(stagingPath, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  return counts;
+};
+
+// Helper function to list the subdirectories of a directory, none if it is missing
+const listDirs = async (dir) => {
+  try {
+    const entries = await fsp.readdir(dir, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+};
+
+// Helper function to delete a stored object unless a blob row claims it. The
+// placeholder row is inserted to wait for uploads storing the same content
+// (their uncommitted blob row conflicts with it) and keeps new ones waiting
+// until the object is gone.
+const removeUnclaimedBlob = async (storage, sha256) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const claim = await client.query(
+      'INSERT INTO blobs (sha256, size) VALUES ($1, 0) ON CONFLICT (sha256) DO NOTHING RETURNING sha256',
+      [sha256]
+    );
+    if (claim.rows.length > 0) {
+      await storage.remove(getBlobKey(sha256));
+      await client.query('DELETE FROM blobs WHERE sha256 = $1', [sha256]);
+    }
+    await client.query('COMMIT');
+    return claim.rows.length > 0;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Remove blobs stored by a transaction that was rolled back, unless another
+ * upload has stored the same content since. Failures are only logged; blobs
+ * left behind are removed by reconcileFiles at the next start.
+ *
+ * @param {string[]} sha256s - hashes collected by addVersionFiles
+ * @returns {Promise<void>}
+ */
+const discardBlobs = async (sha256s) => {
+  const storage = getStorage();
+  for (const sha256 of sha256s) {
+    try {
+      await removeUnclaimedBlob(storage, sha256);
+    } catch (err) {
+      console.error(`Could not discard blob ${sha256}:`, err.message);
+    }
+  }
+};
+
+/**
+ * Bring the files and the database back in step after crashes or failed
+ * deletes. Runs at startup, after legacy files are imported:
+ *
+ * - staging directories of uploads that are neither open upload sessions nor
+ *   recently active are removed
+ * - legacy directories of deleted models or versions are removed
+ * - versions without any files (no manifest and no legacy directory) are
+ *   reported but kept, so no version history is lost; models left without
+ *   an active version get their latest version with files activated
+ * - stored blobs no blob row refers to are removed; blobs missing from
+ *   storage are only reported, as they cannot be restored
+ *
+ * @returns {Promise<Object>} counts of what was cleaned up, by kind
+ */
+const reconcileFiles = async () => {
+  const counts = { stagingDirs: 0, modelDirs: 0, emptyVersions: 0, activated: 0, blobs: 0, missingBlobs: 0 };
+
+  const sessions = await pool.query('SELECT id::text FROM upload_sessions');
+  const sessionIds = new Set(sessions.rows.map(row => row.id));
+  for (const name of await listDirs(path.join(UPLOADS_ROOT, 'tmp'))) {
+    const dir = path.join(UPLOADS_ROOT, 'tmp', name);
+    const stats = await fsp.stat(dir).catch(() => null);
+    if (stats && !sessionIds.has(name) && Date.now() - stats.mtimeMs > STAGING_MAX_AGE_MS) {
+      await fsp.rm(dir, { recursive: true, force: true });
+      counts.stagingDirs++;
+    }
+  }
+
+  const versionRows = await pool.query('SELECT model_id, file_path FROM model_versions');
+  const models = await pool.query('SELECT id FROM models');
+  const modelIds = new Set(models.rows.map(row => String(row.id)));
+  const legacyPaths = new Set(versionRows.rows.filter(row => row.file_path).map(row => path.resolve(row.file_path)));
+  for (const modelId of await listDirs(path.join(UPLOADS_ROOT, 'models'))) {
+    if (!modelIds.has(modelId)) {
+      await fsp.rm(getModelDir(modelId), { recursive: true, force: true });
+      counts.modelDirs++;
+      continue;
+    }
+    for (const version of await listDirs(path.join(getModelDir(modelId), 'versions'))) {
+      const dir = getVersionDir(modelId, version);
+      if (!legacyPaths.has(path.resolve(dir))) {
+        await fsp.rm(dir, { recursive: true, force: true });
+        counts.modelDirs++;
+      }
+    }
+  }
+
+  const empty = await pool.query(`
+    SELECT mv.id, mv.model_id, mv.version, mv.file_path FROM model_versions mv
+    WHERE NOT EXISTS (SELECT 1 FROM model_files f WHERE f.version_id = mv.id)
+  `);
+  for (const version of empty.rows) {
+    // Legacy directories that cannot be read right now may still hold files
+    if (version.file_path && await fsp.access(version.file_path).then(() => true, () => false)) {
+      continue;
+    }
+    console.log(`Reconcile: version ${version.version} of model ${version.model_id} has no files and cannot be downloaded`);
+    counts.emptyVersions++;
+  }
+
+  const inactive = await pool.query(`
+    SELECT mv.id, mv.model_id, mv.version, mv.created_at FROM model_versions mv
+    WHERE NOT EXISTS (SELECT 1 FROM model_versions a WHERE a.model_id = mv.model_id AND a.is_active = true)
+      AND EXISTS (SELECT 1 FROM model_files f WHERE f.version_id = mv.id)
+  `);
+  const byModel = new Map();
+  for (const row of inactive.rows) {
+    byModel.set(row.model_id, [...(byModel.get(row.model_id) || []), row]);
+  }
+  for (const [modelId, versions] of byModel) {
+    const [latest] = sortVersionsDesc(versions);
+    await pool.query(
+      'UPDATE model_versions SET is_active = true WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM model_versions WHERE model_id = $2 AND is_active = true)',
+      [latest.id, modelId]
+    );
+    console.log(`Reconcile: activated version ${latest.version} of model ${modelId}`);
+    counts.activated++;
+  }
+
+  // Blob rows are read before listing, so every row seen is already stored
+  const blobs = await pool.query('SELECT sha256 FROM blobs');
+  const unseen = new Set(blobs.rows.map(row => row.sha256));
+  const storage = getStorage();
+  for await (const key of storage.list('blobs/')) {
+    const match = BLOB_KEY_PATTERN.exec(key);
+    if (!match) continue;
+    const sha256 = match[1];
+    if (unseen.delete(sha256)) continue;
+    if (await removeUnclaimedBlob(storage, sha256)) {
+      counts.blobs++;
+    }
+  }
+
+  for (const sha256 of unseen) {
+    console.error(`Reconcile: blob ${sha256} is missing from storage`);
+  }
+  counts.missingBlobs = unseen.size;
+
+  return counts;
+};
+
+// Helper function to delete all files of a model once its rows are gone:
+// leftovers of legacy storage, then the blobs no other version shares.
+// Failures are logged, not thrown, since the database row is the source of truth
+const removeModelFiles = async (modelId) => {
+  try {
+    await fsp.rm(getModelDir(modelId), { recursive: true, force: true });
+    await collectGarbage();
+  } catch (err) {
+    console.log('Could not delete model files:', err.message);
+  }
+};
+
+module.exports = {
+  UPLOADS_ROOT,
+  getModelDir,
+  getVersionDir,
+  getStagingDir,
+  getBlobKey,
+  listVersionFiles,
+  hashFile,
+  addVersionFiles,
+  discardBlobs,
+  getVersionFiles,
+  findVersionFile,
+  collectGarbage,
+  importLegacyFiles,
+  migrateBlobs,
+  reconcileFiles,
+  removeModelFiles
+};
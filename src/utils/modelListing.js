@@ -0,0 +1,189 @@
+const { pool } = require('../database');
+const { processMetadata } = require('./metadata');
+const { parseModelSearch, buildSearchClauses, isValidSortValue } = require('./modelSearch');
+const { parsePagination, encodeCursor, pageLink } = require('./pagination');
+const { fieldError } = require('../middleware/errors');
+
+// Largest models.id (SERIAL)
+const MAX_MODEL_ID = 2147483647;
+
+// Helper function to check that a decoded cursor was issued for the requested
+// ordering and holds a position the listing query can compare against
+const isValidCursor = (cursor, search, sortKey) => (
+  cursor.s === search.sort &&
+  cursor.o === search.order &&
+  Number.isInteger(cursor.i) && cursor.i >= 1 && cursor.i <= MAX_MODEL_ID &&
+  isValidSortValue(sortKey.type, cursor.k) &&
+  (cursor.b === undefined || typeof cursor.b === 'boolean')
+);
+
+const MODEL_FROM = `
+  FROM models m
+  LEFT JOIN users u ON m.user_id = u.id
+  LEFT JOIN organizations o ON m.org_id = o.id
+  LEFT JOIN model_versions mv ON m.id = mv.model_id AND mv.is_active = true
+`;
+
+// Number of tags and classes returned as facets; the other facets are small
+const FACET_LIMIT = 20;
+
+// Facet counts of the models matching a listing, for filter sidebars. Each
+// query groups the matching models by one value; tags and classes are arrays
+// per model, so a model is counted once under each of its values.
+const FACET_QUERIES = {
+  task_type: (where) => `
+    SELECT m.task_type as value, COUNT(*)::int as count
+    ${MODEL_FROM}
+    WHERE ${where}
+    GROUP BY m.task_type
+    ORDER BY count DESC, value
+  `,
+  zoom_level: (where) => `
+    SELECT m.zoom_level as value, COUNT(*)::int as count
+    ${MODEL_FROM}
+    WHERE ${where}
+    GROUP BY m.zoom_level
+    ORDER BY value
+  `,
+  tag: (where) => `
+    SELECT t.tag as value, COUNT(*)::int as count
+    ${MODEL_FROM}
+    CROSS JOIN LATERAL unnest(m.tags) AS t(tag)
+    WHERE ${where}
+    GROUP BY t.tag
+    ORDER BY count DESC, value
+    LIMIT ${FACET_LIMIT}
+  `,
+  class: (where) => `
+    SELECT mc.name as value, COUNT(*)::int as count
+    ${MODEL_FROM}
+    JOIN model_classes mc ON mc.version_id = mv.id
+    WHERE ${where}
+    GROUP BY mc.name
+    ORDER BY count DESC, value
+    LIMIT ${FACET_LIMIT}
+  `
+};
+
+// Helper function to count the matching models by each facet
+const countFacets = async (where, params) => {
+  const names = Object.keys(FACET_QUERIES);
+  const results = await Promise.all(names.map(name => pool.query(FACET_QUERIES[name](where), params)));
+  return Object.fromEntries(names.map((name, i) => [name, results[i].rows]));
+};
+
+/**
+ * Run a searched, sorted and paginated model listing for a request.
+ *
+ * Supports offset paging (page/limit) and keyset paging (cursor/limit); the
+ * cursor variant stays stable while new models are uploaded. With facets=true
+ * the page also carries facet counts over all matching models.
+ *
+ * @param {Object} req - request whose query holds search and paging parameters
+ * @param {{ condition: string, params: Array }} scope - SQL condition restricting
+ *   which models may be listed, with the values its placeholders refer to
+ * @returns {Promise<{ errors: Object[] } | { page: Object }>}
+ */
+const listModels = async (req, scope) => {
+  const { errors: searchErrors, search } = parseModelSearch(req.query);
+  const { errors: pageErrors, pagination } = parsePagination(req.query);
+  const errors = [...searchErrors, ...pageErrors];
+
+  const { cursor, limit } = pagination;
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const params = [...scope.params];
+  const { conditions, sortKey, descending } = buildSearchClauses(search, params);
+
+  // Cursors come back from clients, so they are checked before reaching the query
+  if (cursor && !isValidCursor(cursor, search, sortKey)) {
+    return { errors: [fieldError('query', 'cursor', 'cursor is invalid')] };
+  }
+  const where = [scope.condition, ...conditions].join(' AND ');
+  const countParams = [...params];
+
+  // Paging backwards walks the ordering in reverse; rows are flipped back below
+  const backward = Boolean(cursor && cursor.b);
+  const scanDescending = backward ? !descending : descending;
+  const direction = scanDescending ? 'DESC' : 'ASC';
+
+  let cursorCondition = '';
+  if (cursor) {
+    params.push(cursor.k, cursor.i);
+    cursorCondition = ` AND (${sortKey.expr}, m.id) ${scanDescending ? '<' : '>'} (CAST($${params.length - 1} AS ${sortKey.type}), $${params.length})`;
+  }
+
+  const offset = cursor ? 0 : (pagination.page - 1) * limit;
+  // Fetch one extra row to find out whether another page follows
+  params.push(limit + 1, offset);
+
+  const itemsQuery = pool.query(`
+    SELECT 
+      m.id, m.name, m.description, m.task_type, m.zoom_level, m.visibility, m.created_at, m.updated_at,
+      m.tags, m.license, m.download_count, m.view_count, m.star_count, coalesce(u.username, o.name) as owner, o.name as org,
+      mv.version, mv.file_size, mv.metadata,
+      (${sortKey.expr})::text as sort_key
+    ${MODEL_FROM}
+    WHERE ${where}${cursorCondition}
+    ORDER BY ${sortKey.expr} ${direction}, m.id ${direction}
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+
+  const countQuery = pool.query(`SELECT COUNT(*)::int as total ${MODEL_FROM} WHERE ${where}`, countParams);
+
+  const facetsQuery = String(req.query.facets) === 'true' ? countFacets(where, countParams) : null;
+
+  const [itemsResult, countResult, facets] = await Promise.all([itemsQuery, countQuery, facetsQuery]);
+
+  let rows = itemsResult.rows;
+  const hasMore = rows.length > limit;
+  rows = rows.slice(0, limit);
+  if (backward) {
+    rows.reverse();
+  }
+
+  const position = (row, before) => encodeCursor({
+    k: row.sort_key, i: row.id, s: search.sort, o: search.order, b: before
+  });
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const hasNext = backward || hasMore;
+  const hasPrev = backward ? hasMore : Boolean(cursor) || pagination.page > 1;
+
+  const nextCursor = last && hasNext ? position(last, false) : null;
+  const prevCursor = first && hasPrev ? position(first, true) : null;
+
+  let next = null;
+  let prev = null;
+  if (cursor) {
+    next = nextCursor && pageLink(req, { cursor: nextCursor, limit });
+    prev = prevCursor && pageLink(req, { cursor: prevCursor, limit });
+  } else {
+    next = hasNext ? pageLink(req, { page: pagination.page + 1, limit }) : null;
+    prev = pagination.page > 1 ? pageLink(req, { page: pagination.page - 1, limit }) : null;
+  }
+
+  const items = rows.map(({ sort_key, ...model }) => ({
+    ...model,
+    metadata: model.metadata ? processMetadata(model.metadata) : {}
+  }));
+
+  return {
+    page: {
+      items,
+      total: countResult.rows.length > 0 ? countResult.rows[0].total : 0,
+      page: pagination.page,
+      limit,
+      next,
+      prev,
+      next_cursor: nextCursor,
+      prev_cursor: prevCursor,
+      ...(facets && { facets })
+    }
+  };
+};
+
+module.exports = { listModels };
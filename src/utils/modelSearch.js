@@ -0,0 +1,255 @@
+const { fieldError } = require('../middleware/errors');
+const { normalizeTag } = require('./tags');
+const { normalizeClassName } = require('./classIndex');
+
+// Search expressions must match the expression indexes in database.js exactly,
+// otherwise Postgres cannot use them.
+const MODEL_TEXT_VECTOR = "to_tsvector('english', coalesce(m.name, '') || ' ' || coalesce(m.description, ''))";
+const CLASS_LIST_VECTOR = "to_tsvector('english', coalesce(mv.metadata->'class_list', '[]'::jsonb))";
+
+const TASK_TYPES = ['detect', 'obb', 'pose'];
+const PRECISIONS = ['FP16', 'FP32'];
+const QUANTIZATIONS = { int8: 'INT8', none: 'None' };
+
+// Sort keys map to SQL expressions; anything else is rejected, never interpolated.
+// Expressions are non-null so they can double as keyset cursor positions.
+const SORT_COLUMNS = {
+  created: { expr: 'm.created_at', type: 'timestamp' },
+  updated: { expr: 'coalesce(m.updated_at, m.created_at)', type: 'timestamp' },
+  name: { expr: 'lower(m.name)', type: 'text' },
+  size: { expr: 'coalesce(mv.file_size, 0)', type: 'bigint' },
+  downloads: { expr: 'm.download_count', type: 'integer' },
+  stars: { expr: 'm.star_count', type: 'integer' }
+};
+
+const MAX_INTEGER = { integer: 2n ** 31n - 1n, bigint: 2n ** 63n - 1n };
+const MAX_REAL = 3.4e38;
+
+// Helper function to check that a timestamp as Postgres prints it
+// ("2025-01-05 13:45:00.123456") names a real date and time
+const isTimestamp = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?$/.exec(value);
+  if (!match) return false;
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+    date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+};
+
+/**
+ * Check that a value can be cast to the SQL type of a sort key, so positions
+ * read from client-supplied cursors cannot make the listing query fail.
+ *
+ * @param {string} type - type of the sort key (see SORT_COLUMNS)
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isValidSortValue = (type, value) => {
+  if (typeof value !== 'string') return false;
+  switch (type) {
+    case 'timestamp':
+      return isTimestamp(value);
+    case 'integer':
+    case 'bigint':
+      return /^-?\d{1,19}$/.test(value) && BigInt(value) <= MAX_INTEGER[type] && BigInt(value) >= -MAX_INTEGER[type] - 1n;
+    case 'real': {
+      const number = Number(value);
+      return /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value) && Number.isFinite(number) && Math.abs(number) <= MAX_REAL;
+    }
+    case 'text':
+      // Postgres text cannot hold NUL characters
+      return !value.includes('\u0000');
+    default:
+      return false;
+  }
+};
+
+const DEFAULT_ORDER = {
+  created: 'desc',
+  updated: 'desc',
+  name: 'asc',
+  size: 'desc',
+  downloads: 'desc',
+  stars: 'desc',
+  relevance: 'desc'
+};
+
+const parseZoom = (value) => {
+  const zoom = Number(value);
+  return Number.isInteger(zoom) && zoom >= 8 && zoom <= 21 ? zoom : null;
+};
+
+// Helper function to normalize an imgsz filter ('640', '640x640', '640x480')
+// to the image_size_display format produced by processMetadata
+const parseImageSize = (value) => {
+  const match = /^(\d+)(?:x(\d+))?$/i.exec(String(value).trim());
+  if (!match) return null;
+  const [, width, height = width] = match;
+  return Number(width) === Number(height) ? String(Number(width)) : `${Number(width)}x${Number(height)}`;
+};
+
+/**
+ * Parse and validate the search, filter and sort parameters of a model listing.
+ *
+ * @param {Object} query - req.query
+ * @returns {{ errors: Object[], search: Object }}
+ */
+const parseModelSearch = (query) => {
+  const errors = [];
+  const search = {};
+
+  if (query.q !== undefined) {
+    const q = String(query.q).trim();
+    if (q) search.q = q;
+  }
+
+  if (query.task_type !== undefined) {
+    if (TASK_TYPES.includes(query.task_type)) {
+      search.task_type = query.task_type;
+    } else {
+      errors.push(fieldError('query', 'task_type', 'task_type must be detect, obb, or pose'));
+    }
+  }
+
+  for (const key of ['zoom_min', 'zoom_max']) {
+    if (query[key] !== undefined) {
+      const zoom = parseZoom(query[key]);
+      if (zoom === null) {
+        errors.push(fieldError('query', key, `${key} must be an integer between 8 and 21`));
+      } else {
+        search[key] = zoom;
+      }
+    }
+  }
+
+  if (query.owner !== undefined) {
+    search.owner = String(query.owner);
+  }
+
+  if (query.precision !== undefined) {
+    const precision = String(query.precision).toUpperCase();
+    if (PRECISIONS.includes(precision)) {
+      search.precision = precision;
+    } else {
+      errors.push(fieldError('query', 'precision', 'precision must be FP16 or FP32'));
+    }
+  }
+
+  if (query.quantization !== undefined) {
+    const quantization = QUANTIZATIONS[String(query.quantization).toLowerCase()];
+    if (quantization) {
+      search.quantization = quantization;
+    } else {
+      errors.push(fieldError('query', 'quantization', 'quantization must be INT8 or None'));
+    }
+  }
+
+  if (query.imgsz !== undefined) {
+    const imgsz = parseImageSize(query.imgsz);
+    if (imgsz) {
+      search.imgsz = imgsz;
+    } else {
+      errors.push(fieldError('query', 'imgsz', 'imgsz must look like 640 or 640x480'));
+    }
+  }
+
+  if (query.tag !== undefined) {
+    const tag = normalizeTag(String(query.tag));
+    if (tag) search.tag = tag;
+  }
+
+  if (query.class !== undefined) {
+    const className = normalizeClassName(query.class);
+    if (className) search.class = className;
+  }
+
+  const sort = query.sort || (search.q ? 'relevance' : 'created');
+  if (SORT_COLUMNS[sort] || (sort === 'relevance' && search.q)) {
+    search.sort = sort;
+  } else {
+    errors.push(fieldError('query', 'sort', `sort must be one of ${Object.keys(SORT_COLUMNS).join(', ')}${search.q ? ', relevance' : ''}`));
+  }
+
+  const order = query.order ? String(query.order).toLowerCase() : (DEFAULT_ORDER[sort] || 'desc');
+  if (['asc', 'desc'].includes(order)) {
+    search.order = order;
+  } else {
+    errors.push(fieldError('query', 'order', 'order must be asc or desc'));
+  }
+
+  return { errors, search };
+};
+
+/**
+ * Build WHERE conditions and the ordering for a parsed search. Expects
+ * models aliased as m, their owning user as u, their owning organization
+ * as o and the active version as mv.
+ * Values are appended to params.
+ *
+ * @returns {{ conditions: string[], sortKey: { expr: string, type: string }, descending: boolean }}
+ *   rows are ordered by sortKey.expr, then m.id, both in the same direction
+ */
+const buildSearchClauses = (search, params) => {
+  const conditions = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  let rank = null;
+  if (search.q) {
+    const tsquery = `websearch_to_tsquery('english', ${add(search.q)})`;
+    conditions.push(`(${MODEL_TEXT_VECTOR} @@ ${tsquery} OR ${CLASS_LIST_VECTOR} @@ ${tsquery})`);
+    rank = `(ts_rank(${MODEL_TEXT_VECTOR}, ${tsquery}) + ts_rank(${CLASS_LIST_VECTOR}, ${tsquery}))`;
+  }
+
+  if (search.task_type) {
+    conditions.push(`m.task_type = ${add(search.task_type)}`);
+  }
+
+  if (search.zoom_min !== undefined) {
+    conditions.push(`m.zoom_level >= ${add(search.zoom_min)}`);
+  }
+
+  if (search.zoom_max !== undefined) {
+    conditions.push(`m.zoom_level <= ${add(search.zoom_max)}`);
+  }
+
+  if (search.owner) {
+    conditions.push(`coalesce(u.username, o.name) = ${add(search.owner)}`);
+  }
+
+  // Metadata filters use containment so the GIN index on metadata applies
+  const metadataFilters = {
+    precision: search.precision,
+    quantization: search.quantization,
+    image_size_display: search.imgsz
+  };
+  for (const [key, value] of Object.entries(metadataFilters)) {
+    if (value) {
+      conditions.push(`mv.metadata @> ${add(JSON.stringify({ [key]: value }))}::jsonb`);
+    }
+  }
+
+  if (search.tag) {
+    conditions.push(`m.tags @> ARRAY[${add(search.tag)}]::text[]`);
+  }
+
+  if (search.class) {
+    conditions.push(`EXISTS (SELECT 1 FROM model_classes mc WHERE mc.version_id = mv.id AND mc.name = ${add(search.class)})`);
+  }
+
+  const sortKey = search.sort === 'relevance' ? { expr: rank, type: 'real' } : SORT_COLUMNS[search.sort];
+
+  return { conditions, sortKey, descending: search.order !== 'asc' };
+};
+
+module.exports = {
+  TASK_TYPES,
+  PRECISIONS,
+  QUANTIZATIONS,
+  SORT_COLUMNS,
+  isValidSortValue,
+  parseModelSearch,
+  buildSearchClauses
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { pool } = require('../database');
+
+// Usage statistics of models. Every download and view is recorded once per
+// client, model, version and day in model_events; the running totals on
+// models (download_count, view_count) only grow when an event is new, so
+// reloading a page or retrying a download does not inflate them.
+
+const EVENT_COUNTERS = {
+  download: 'download_count',
+  view: 'view_count'
+};
+
+const MAX_STATS_DAYS = 365;
+
+// Helper function to identify the client behind a request: the account when
+// signed in, otherwise address and user agent. Only a hash is stored.
+const clientHash = (req) => {
+  const client = req.user
+    ? `user:${req.user.userId}`
+    : `ip:${req.ip}|${req.get('user-agent') || ''}`;
+  return crypto.createHash('sha256').update(client).digest('hex');
+};
+
+/**
+ * Record a download or view of a model. Statistics are best effort: a failed
+ * insert is logged and never fails the request being counted.
+ *
+ * @param {Object} req - the request being counted
+ * @param {'download'|'view'} event
+ * @param {number|string} modelId
+ * @param {number|null} versionId - the version downloaded or shown, if any
+ */
+const recordModelEvent = async (req, event, modelId, versionId) => {
+  try {
+    await pool.query(`
+      WITH recorded AS (
+        INSERT INTO model_events (model_id, version_id, event, client_hash)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT DO NOTHING
+        RETURNING model_id
+      )
+      UPDATE models SET ${EVENT_COUNTERS[event]} = ${EVENT_COUNTERS[event]} + 1
+      WHERE id IN (SELECT model_id FROM recorded)
+    `, [modelId, versionId || null, event, clientHash(req)]);
+  } catch (err) {
+    console.error(`Error recording model ${event}:`, err);
+  }
+};
+
+module.exports = {
+  MAX_STATS_DAYS,
+  recordModelEvent
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const YAML = require('yamljs');
+const { pool } = require('../database');
+const { validateTfjsModel } = require('./tfjsModel');
+const { nextVersion } = require('./versions');
+const { processMetadata } = require('./metadata');
+const { indexVersionClasses } = require('./classIndex');
+const { addVersionFiles, discardBlobs } = require('./modelFiles');
+const { buildWriteCondition } = require('./modelAccess');
+
+// Publishing a new model version from files staged on local disk, shared by
+// the multipart upload and resumable uploads (routes/uploads.js).
+
+// Helper function to calculate MD5 hash of model files
+const calculateModelHash = async (files) => {
+  const hash = crypto.createHash('md5');
+
+  // Sort files for consistent hashing
+  const sortedFiles = [...files].sort((a, b) => a.originalname.localeCompare(b.originalname));
+
+  for (const file of sortedFiles) {
+    hash.update(file.originalname); // Include filename in hash
+    // Streamed, as resumable uploads may hold files too large to buffer
+    for await (const chunk of createReadStream(file.path)) {
+      hash.update(chunk);
+    }
+  }
+
+  return hash.digest('hex');
+};
+
+// Helper function to check that a user may publish versions of a model:
+// owners, collaborators with the write role and organization maintainers
+const canPublishVersion = async (user, modelId) => {
+  const params = [modelId];
+  const writeCondition = buildWriteCondition(user, params, 'm');
+  const result = await pool.query(
+    `SELECT m.id FROM models m WHERE m.id = $1 AND ${writeCondition}`,
+    params
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Check staged files and publish them as the new active version of a model.
+ *
+ * The caller has checked that the user may write to the model. The version
+ * row, its manifest and its blobs are created in one transaction, so a
+ * version only exists once all of its files are stored.
+ *
+ * @param {number|string} modelId
+ * @param {Object} options
+ * @param {string|null} options.version - normalized semantic version, or null to bump
+ * @param {string} [options.bump] - major, minor or patch when version is null
+ * @param {string} [options.createdDate] - creation date entered in the upload form
+ * @param {{ originalname: string, path: string, size: number }[]} files - staged files, as multer describes them
+ * @returns {Promise<{ status: number, body: Object }>} the response to send
+ */
+const publishVersion = async (modelId, { version, bump, createdDate }, files) => {
+  if (!version) {
+    const existingVersions = await pool.query(
+      'SELECT version FROM model_versions WHERE model_id = $1',
+      [modelId]
+    );
+    version = nextVersion(existingVersions.rows.map(row => row.version), bump);
+  }
+
+  // Versions are immutable once uploaded; clients pin to them
+  const versionCheck = await pool.query(
+    'SELECT id FROM model_versions WHERE model_id = $1 AND version = $2',
+    [modelId, version]
+  );
+
+  if (versionCheck.rows.length > 0) {
+    return { status: 409, body: { error: `Version ${version} already exists` } };
+  }
+
+  // Reject models osmsat would fail to load in the browser
+  const { problems, info: modelInfo } = await validateTfjsModel(files);
+
+  if (problems.length > 0) {
+    return {
+      status: 422,
+      body: { error: 'Uploaded files are not a valid TF.js model', problems }
+    };
+  }
+
+  let totalSize = 0;
+  let metadata = {};
+
+  for (const file of files) {
+    totalSize += file.size;
+
+    if (file.originalname === 'metadata.yaml') {
+      const yamlContent = await fs.readFile(file.path, 'utf8');
+      metadata = YAML.parse(yamlContent);
+    }
+  }
+
+  // Calculate MD5 hash of all uploaded files
+  const modelHash = await calculateModelHash(files);
+
+  // Add form-provided created_date to metadata if provided
+  if (createdDate) {
+    metadata.form_created_date = createdDate;
+  }
+
+  // Add details derived from the model graph
+  metadata.parameter_count = modelInfo.parameter_count;
+  if (modelInfo.input_shape) {
+    metadata.input_shape = modelInfo.input_shape;
+  }
+  if (modelInfo.tfjs_format) {
+    metadata.tfjs_format = modelInfo.tfjs_format;
+  }
+
+  // Add hash and format to metadata
+  metadata.model_hash = modelHash;
+  metadata.model_format = metadata.model_format || 'TF.js';
+
+  // Process metadata to add calculated fields
+  metadata = processMetadata(metadata);
+
+  // Files already in the blob store from other versions are not stored again
+  const client = await pool.connect();
+  const stored = [];
+  let result;
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE model_versions SET is_active = false WHERE model_id = $1',
+      [modelId]
+    );
+
+    result = await client.query(
+      'INSERT INTO model_versions (model_id, version, file_size, metadata) VALUES ($1, $2, $3, $4) RETURNING *',
+      [modelId, version, totalSize, metadata]
+    );
+
+    await addVersionFiles(client, result.rows[0].id, files.map(file => ({ name: file.originalname, path: file.path })), stored);
+    await indexVersionClasses(client, result.rows[0].id, metadata);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    await discardBlobs(stored);
+    // Unique (model_id, version) violation from a concurrent upload of the same version
+    if (err.code === '23505') {
+      return { status: 409, body: { error: 'Version already exists' } };
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return {
+    status: 200,
+    body: {
+      message: 'Model uploaded successfully',
+      version: result.rows[0]
+    }
+  };
+};
+
+module.exports = {
+  calculateModelHash,
+  canPublishVersion,
+  publishVersion
+};
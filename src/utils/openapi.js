@@ -0,0 +1,197 @@
+const { version } = require('../../package.json');
+const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { authRateLimit, downloadRateLimit, checkLoginLockout } = require('../middleware/rateLimit');
+const { components } = require('../schemas/responses');
+
+// The OpenAPI document is generated from the routers themselves: every route
+// contributes its path and method, the request schema it validates against
+// (see middleware/validate.js) and what its auth and rate limit middleware
+// imply. Routes without a schema show up without a summary, which
+// tests/openapi.test.js reports.
+
+const RATE_LIMITERS = [authRateLimit, downloadRateLimit, checkLoginLockout];
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// Express '/:id/files' -> OpenAPI '/{id}/files'
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParamNames = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+const titleCase = (name) => name[0].toUpperCase() + name.slice(1);
+
+/**
+ * List the routes of the mounted routers with the middleware that runs for each.
+ *
+ * @param {Array<{ path: string, router: Object }>} mounts
+ * @returns {Array<{ method: string, path: string, paths: string[], handlers: Function[] }>}
+ *   paths holds all paths registered together (e.g. with and without a version)
+ */
+const listRoutes = (mounts) => {
+  const routes = [];
+
+  for (const { path: mountPath, router } of mounts) {
+    // router.use() middleware without a path applies to every route after it
+    const shared = [];
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        if (layer.regexp.fast_slash) shared.push(layer.handle);
+        continue;
+      }
+
+      const paths = [].concat(layer.route.path).map(path => `${mountPath}${path === '/' ? '' : path}`);
+      const handlers = [...shared, ...layer.route.stack.map(routeLayer => routeLayer.handle)];
+
+      for (const method of Object.keys(layer.route.methods)) {
+        for (const path of paths) {
+          routes.push({ method, path, paths, handlers });
+        }
+      }
+    }
+  }
+
+  return routes;
+};
+
+// Helper function to turn an object schema of path or query values into parameters
+const buildParameters = (location, objectSchema, names) => {
+  const properties = (objectSchema && objectSchema.properties) || {};
+  const required = (objectSchema && objectSchema.required) || [];
+
+  return names.map(name => {
+    const { description, ...schema } = properties[name] || { type: 'string' };
+    return {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      ...(description ? { description } : {}),
+      schema
+    };
+  });
+};
+
+// Helper function to describe one route as an OpenAPI operation
+const buildOperation = (route) => {
+  const validator = route.handlers.find(handler => handler.schema);
+  const schema = validator ? validator.schema : {};
+  const scope = route.handlers.map(handler => handler.scope).find(Boolean);
+  const authRequired = route.handlers.includes(authenticateToken);
+  const authOptional = route.handlers.includes(optionalAuth);
+  const adminOnly = route.handlers.includes(requireAdmin);
+
+  const operation = {};
+  if (schema.tag) operation.tags = [schema.tag];
+  if (schema.summary) operation.summary = schema.summary;
+
+  // Routes registered for several paths share a schema; later paths get their own operationId
+  if (schema.operationId) {
+    const extra = pathParamNames(route.path).filter(name => !pathParamNames(route.paths[0]).includes(name));
+    operation.operationId = schema.operationId + extra.map(name => `By${titleCase(name)}`).join('');
+  }
+
+  const notes = [];
+  if (schema.description) notes.push(schema.description);
+  if (adminOnly) notes.push('Administrators only.');
+  if (scope) notes.push(`Personal access tokens need the \`${scope}\` scope.`);
+  if (notes.length > 0) operation.description = notes.join('\n\n');
+
+  const parameters = [
+    ...buildParameters('path', schema.params, pathParamNames(route.path)),
+    ...buildParameters('query', schema.query, Object.keys((schema.query && schema.query.properties) || {})),
+    ...buildParameters('header', schema.headers, Object.keys((schema.headers && schema.headers.properties) || {}))
+  ];
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (schema.body) {
+    operation.requestBody = {
+      required: (schema.body.required || []).length > 0,
+      content: { [schema.contentType || (schema.multipart ? 'multipart/form-data' : 'application/json')]: { schema: schema.body } }
+    };
+  }
+
+  if (authRequired) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (authOptional) {
+    operation.security = [{}, { bearerAuth: [] }];
+  }
+
+  const success = schema.response || {};
+  const contentType = success.contentType || 'application/json';
+  operation.responses = {
+    [success.status || 200]: {
+      description: success.description || (success.status === 201 ? 'Created' : 'OK'),
+      ...(success.schema || success.contentType
+        ? { content: { [contentType]: { schema: success.schema || { type: 'string', format: 'binary' } } } }
+        : {})
+    }
+  };
+
+  if (schema.params || schema.query || schema.headers || schema.body) {
+    operation.responses[400] = errorResponse('Invalid request');
+  }
+  if (authRequired) {
+    operation.responses[401] = errorResponse('No access token');
+    operation.responses[403] = errorResponse('Invalid or expired token, or not allowed');
+  }
+  if (schema.params) {
+    operation.responses[404] = errorResponse('Not found, or not visible to the caller');
+  }
+  for (const [status, description] of Object.entries(schema.errors || {})) {
+    operation.responses[status] = errorResponse(description);
+  }
+  if (route.handlers.some(handler => RATE_LIMITERS.includes(handler))) {
+    operation.responses[429] = errorResponse('Rate limit exceeded, see the Retry-After header');
+  }
+  operation.responses.default = errorResponse('Unexpected error');
+
+  return operation;
+};
+
+/**
+ * Build the OpenAPI 3 document for the mounted routers.
+ *
+ * @param {Array<{ path: string, router: Object }>} mounts
+ * @returns {Object}
+ */
+const buildOpenApiSpec = (mounts) => {
+  const paths = {};
+  const tags = new Set();
+
+  for (const route of listRoutes(mounts)) {
+    const operation = buildOperation(route);
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = operation;
+    (operation.tags || []).forEach(tag => tags.add(tag));
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'OSMSAT Model Server API',
+      version,
+      description: 'Share TensorFlow.js models between osmsat users. Errors use the envelope described by the Error schema.'
+    },
+    tags: [...tags].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Session access token from login, or a personal access token (osm_...)'
+        }
+      },
+      schemas: components
+    }
+  };
+};
+
+module.exports = {
+  listRoutes,
+  buildOpenApiSpec
+};
@@ -0,0 +1,29 @@
+const { pool } = require('../database');
+
+/**
+ * Find the organizations a user is the only owner of. Such a user cannot be
+ * deleted until someone else owns them or they are deleted.
+ *
+ * @param {number} userId
+ * @param {Object} [db] - pool or the client of an open transaction
+ * @returns {Promise<string[]>} organization names
+ */
+const findSoleOwnerships = async (userId, db = pool) => {
+  const result = await db.query(`
+    SELECT o.name
+    FROM organizations o
+    JOIN organization_members om ON om.org_id = o.id
+    WHERE om.user_id = $1 AND om.role = 'owner'
+      AND NOT EXISTS (
+        SELECT 1 FROM organization_members other
+        WHERE other.org_id = o.id AND other.role = 'owner' AND other.user_id <> $1
+      )
+    ORDER BY o.name
+  `, [userId]);
+
+  return result.rows.map(row => row.name);
+};
+
+module.exports = {
+  findSoleOwnerships
+};
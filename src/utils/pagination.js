@@ -0,0 +1,77 @@
+const { fieldError } = require('../middleware/errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Keeps the OFFSET (page - 1) * limit a safe integer, which Postgres takes as bigint
+const MAX_PAGE = Math.floor(Number.MAX_SAFE_INTEGER / MAX_LIMIT);
+
+const isPositiveInteger = (value) => /^\d+$/.test(String(value)) && Number(value) >= 1;
+
+// Cursors are opaque to clients: base64url-encoded JSON of the position in the ordering
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return position && typeof position === 'object' && !Array.isArray(position) ? position : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Parse page, limit and cursor query parameters. limit is clamped to MAX_LIMIT;
+ * a cursor takes precedence over page.
+ *
+ * @param {Object} query - req.query
+ * @returns {{ errors: Object[], pagination: { page: number|null, limit: number, cursor: Object|null } }}
+ */
+const parsePagination = (query) => {
+  const errors = [];
+  const pagination = { page: 1, limit: DEFAULT_LIMIT, cursor: null };
+
+  if (query.limit !== undefined) {
+    if (isPositiveInteger(query.limit)) {
+      pagination.limit = Math.min(Number(query.limit), MAX_LIMIT);
+    } else {
+      errors.push(fieldError('query', 'limit', 'limit must be a positive integer'));
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    pagination.cursor = decodeCursor(query.cursor);
+    pagination.page = null;
+    if (!pagination.cursor) {
+      errors.push(fieldError('query', 'cursor', 'cursor is invalid'));
+    }
+  } else if (query.page !== undefined) {
+    if (isPositiveInteger(query.page) && Number(query.page) <= MAX_PAGE) {
+      pagination.page = Number(query.page);
+    } else {
+      errors.push(fieldError('query', 'page', `page must be a positive integer of at most ${MAX_PAGE}`));
+    }
+  }
+
+  return { errors, pagination };
+};
+
+// Helper function to build a link to another page of the same listing,
+// keeping the request's filters and replacing its paging parameters
+const pageLink = (req, paging) => {
+  const query = { ...req.query };
+  delete query.page;
+  delete query.cursor;
+  Object.assign(query, paging);
+
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${new URLSearchParams(query)}`;
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  MAX_PAGE,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  pageLink
+};
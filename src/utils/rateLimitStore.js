@@ -0,0 +1,72 @@
+// Rate limit counters live behind a small async interface so the in-memory
+// default can be swapped for a shared backend (e.g. Redis) when running
+// several server instances:
+//
+//   increment(key, windowMs) -> { count, resetAt }  start a window if none is open
+//   get(key)                 -> { count, resetAt } | null
+//   reset(key)
+//
+// resetAt is a timestamp in milliseconds.
+
+// Expired entries are swept every this many increments so the map cannot grow without bound
+const SWEEP_INTERVAL = 1000;
+
+const createMemoryStore = () => {
+  const entries = new Map();
+  let incrementsSinceSweep = 0;
+
+  const live = (key, now) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const sweep = (now) => {
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+
+      if (++incrementsSinceSweep >= SWEEP_INTERVAL) {
+        incrementsSinceSweep = 0;
+        sweep(now);
+      }
+
+      const entry = live(key, now) || { count: 0, resetAt: now + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+
+    get: async (key) => {
+      const entry = live(key, Date.now());
+      return entry ? { ...entry } : null;
+    },
+
+    reset: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+const getRateLimitStore = () => store;
+
+// Plug in another backend implementing the interface above
+const setRateLimitStore = (custom) => {
+  store = custom;
+};
+
+module.exports = {
+  createMemoryStore,
+  getRateLimitStore,
+  setRateLimitStore
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const { pool } = require('../database');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'fallback-secret';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Helper function to build the token pair handed to clients. Refresh tokens
+// are `<session id>.<secret>`; only a hash of the secret is stored.
+const issueTokens = (user, sessionId, secret) => {
+  const token = jwt.sign(
+    { userId: user.id, username: user.username, sid: sessionId },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    refresh_token: `${sessionId}.${secret}`,
+    expires_in: exp - iat
+  };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  return sessionId && secret && isUuid(sessionId) ? { sessionId, secret } : null;
+};
+
+/**
+ * Start a new login session for a user.
+ *
+ * @param {{ id: number, username: string }} user
+ * @param {Object} req - request the login came from (user agent and IP are recorded)
+ * @returns {Promise<{ token: string, refresh_token: string, expires_in: number }>}
+ */
+const createSession = async (user, req) => {
+  const sessionId = uuidv4();
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  // Drop this user's sessions that can no longer be used
+  await pool.query(
+    'DELETE FROM sessions WHERE user_id = $1 AND (expires_at < NOW() OR revoked_at IS NOT NULL)',
+    [user.id]
+  );
+
+  await pool.query(`
+    INSERT INTO sessions (id, user_id, refresh_token_hash, expires_at, user_agent, ip_address)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [sessionId, user.id, hashSecret(secret), refreshExpiry(), (req.get('user-agent') || '').slice(0, 255), req.ip]);
+
+  return issueTokens(user, sessionId, secret);
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The refresh token is rotated:
+ * presenting an already-used one revokes the whole session, since it means
+ * the token was copied.
+ *
+ * @returns {Promise<Object|null>} the new token pair, or null when the refresh token is not valid
+ */
+const rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const result = await pool.query(`
+    SELECT s.id, s.refresh_token_hash, s.expires_at, s.revoked_at, u.id as user_id, u.username, u.suspended_at
+    FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id = $1
+  `, [parsed.sessionId]);
+
+  const session = result.rows[0];
+  if (!session || session.revoked_at || session.suspended_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const presentedHash = hashSecret(parsed.secret);
+  if (presentedHash !== session.refresh_token_hash) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  // Conditional on the old hash so two concurrent refreshes cannot both succeed
+  const update = await pool.query(`
+    UPDATE sessions
+    SET refresh_token_hash = $2, expires_at = $3, last_used_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND refresh_token_hash = $4 AND revoked_at IS NULL
+    RETURNING id
+  `, [session.id, hashSecret(secret), refreshExpiry(), presentedHash]);
+
+  if (update.rows.length === 0) {
+    return null;
+  }
+
+  return issueTokens({ id: session.user_id, username: session.username }, session.id, secret);
+};
+
+// Helper function to resolve a refresh token to its session id without rotating it
+const sessionIdFromRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const result = await pool.query(
+    'SELECT id FROM sessions WHERE id = $1 AND refresh_token_hash = $2',
+    [parsed.sessionId, hashSecret(parsed.secret)]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+const revokeSession = (sessionId) => pool.query(
+  'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+  [sessionId]
+);
+
+// exceptSessionId keeps one session alive, e.g. the one that just changed the password
+const revokeAllSessions = (userId, exceptSessionId = null) => pool.query(
+  'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2',
+  [userId, exceptSessionId]
+);
+
+/**
+ * Verify an access token and check that its session is still live and its
+ * user still exists and is not suspended.
+ *
+ * @returns {Promise<Object|null>} the token payload, or null when it must be rejected
+ */
+const verifyAccessToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (err) {
+    return null;
+  }
+
+  // Tokens issued before sessions existed cannot be revoked, so they are no longer accepted
+  if (!payload.sid || !isUuid(payload.sid)) {
+    return null;
+  }
+
+  const result = await pool.query(`
+    SELECT 1
+    FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+      AND u.suspended_at IS NULL
+  `, [payload.sid, payload.userId]);
+
+  return result.rows.length > 0 ? payload : null;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  sessionIdFromRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken
+};
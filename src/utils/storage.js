@@ -0,0 +1,239 @@
+const path = require('path');
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  paginateListObjectsV2
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const fsp = fs.promises;
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '../../uploads');
+
+// Drivers share one interface over '/'-separated object keys:
+//   put(key, filePath)   store the contents of a local file (the file may be moved)
+//   open(key, { start, end })  readable stream of an object, or of the bytes from
+//                        start to end (inclusive) when given; rejects with code ENOENT if missing
+//   exists(key)          whether an object is stored
+//   remove(key)          delete an object; missing objects are not an error
+//   list(prefix)         async iterable of the keys starting with prefix
+//   downloadUrl(key, { filename })  URL clients can download from directly, or null
+//     when downloads have to be streamed through the server
+
+const createLocalDriver = (root = process.env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR) => {
+  const resolveKey = (key) => path.join(root, ...key.split('/'));
+
+  // Helper function to walk a directory, yielding the keys of the files below it
+  async function* walk(dir, prefix) {
+    let entries;
+    try {
+      entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        yield* walk(path.join(dir, entry.name), key);
+      } else if (entry.isFile()) {
+        yield key;
+      }
+    }
+  }
+
+  return {
+    name: 'local',
+    put: async (key, filePath) => {
+      const target = resolveKey(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fsp.rename(filePath, target);
+      } catch (err) {
+        // Staging areas on another file system cannot be renamed from; the
+        // copy is renamed into place so a partial copy is never visible
+        if (err.code !== 'EXDEV') throw err;
+        const partial = `${target}.${process.pid}.${Date.now()}.partial`;
+        try {
+          await fsp.copyFile(filePath, partial);
+          await fsp.rename(partial, target);
+        } finally {
+          await fsp.rm(partial, { force: true });
+        }
+      }
+    },
+    open: async (key, { start, end } = {}) => {
+      const handle = await fsp.open(resolveKey(key));
+      return handle.createReadStream({ start, end });
+    },
+    exists: (key) => fsp.access(resolveKey(key)).then(() => true, () => false),
+    remove: (key) => fsp.rm(resolveKey(key), { force: true }),
+    list: (prefix = '') => walk(prefix ? resolveKey(prefix) : root, prefix.replace(/\/$/, '')),
+    downloadUrl: async () => null
+  };
+};
+
+// Helper function to read the S3 driver settings from the environment
+const s3ConfigFromEnv = () => ({
+  endpoint: process.env.S3_ENDPOINT,
+  bucket: process.env.S3_BUCKET,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  region: process.env.S3_REGION || 'us-east-1',
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  redirectDownloads: process.env.S3_REDIRECT_DOWNLOADS !== 'false',
+  presignExpires: parseInt(process.env.S3_PRESIGN_EXPIRES || '300', 10)
+});
+
+/**
+ * Create the driver for an S3-compatible object store (AWS S3, MinIO, Ceph, R2…).
+ *
+ * Requests are retried with backoff by the AWS SDK when the store answers
+ * with 5xx, SlowDown or other throttling errors.
+ *
+ * @param {Object} config
+ * @param {string} config.endpoint - e.g. https://s3.eu-central-1.amazonaws.com or http://minio:9000
+ * @param {string} config.bucket
+ * @param {string} config.accessKeyId
+ * @param {string} config.secretAccessKey
+ * @param {string} [config.region] - default us-east-1, which MinIO also uses
+ * @param {boolean} [config.forcePathStyle] - address the bucket in the path
+ *   (http://host/bucket/key) instead of the host name; needed by most
+ *   self-hosted stores
+ * @param {boolean} [config.redirectDownloads] - hand out presigned URLs (default: true)
+ * @param {number} [config.presignExpires] - seconds presigned URLs stay valid
+ */
+const createS3Driver = (config = s3ConfigFromEnv()) => {
+  const {
+    endpoint,
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    region = 'us-east-1',
+    forcePathStyle = false,
+    redirectDownloads = true,
+    presignExpires = 300
+  } = config;
+
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs an endpoint, a bucket and credentials');
+  }
+
+  const client = new S3Client({
+    endpoint,
+    region,
+    forcePathStyle,
+    credentials: { accessKeyId, secretAccessKey },
+    // Checksums are only sent where S3 requires them; many compatible stores
+    // do not understand the chunked uploads that carry them
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED'
+  });
+
+  // Helper function to send a command, giving errors the statusCode of the
+  // response and code ENOENT for missing objects like missing local files
+  const send = async (command) => {
+    try {
+      return await client.send(command);
+    } catch (err) {
+      err.statusCode = err.$metadata && err.$metadata.httpStatusCode;
+      if (err.statusCode === 404) {
+        err.code = 'ENOENT';
+      }
+      throw err;
+    }
+  };
+
+  return {
+    name: 's3',
+    put: async (key, filePath) => {
+      const { size } = await fsp.stat(filePath);
+      await send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: 'application/octet-stream'
+      }));
+    },
+    open: async (key, { start, end } = {}) => {
+      const result = await send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined
+      }));
+      return result.Body;
+    },
+    exists: async (key) => {
+      try {
+        await send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+    remove: async (key) => {
+      try {
+        await send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+    list: async function* (prefix = '') {
+      for await (const page of paginateListObjectsV2({ client }, { Bucket: bucket, Prefix: prefix })) {
+        for (const object of page.Contents || []) {
+          yield object.Key;
+        }
+      }
+    },
+    // Downloads go straight to the object store through short-lived presigned URLs
+    downloadUrl: async (key, { filename } = {}) => {
+      if (!redirectDownloads) return null;
+      return getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: filename ? `attachment; filename="${filename.replace(/"/g, '')}"` : undefined
+      }), { expiresIn: presignExpires });
+    }
+  };
+};
+
+let storage = null;
+
+// Helper function to build the driver selected by STORAGE_DRIVER (default: local)
+const createStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  switch (name) {
+    case 'local':
+      return createLocalDriver();
+    case 's3':
+      return createS3Driver();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+  }
+};
+
+// The driver files are stored with, created on first use
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+// Replace the driver, e.g. with a temporary directory in tests; null restores the configured one
+const setStorage = (custom) => {
+  storage = custom;
+};
+
+module.exports = {
+  createLocalDriver,
+  createS3Driver,
+  createStorage,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,17 @@
+// Free-form model tags are stored lowercase with dashes between words, so
+// "Building Footprints" and "building-footprints" are the same tag
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+// Helper function to normalize a list of tags, dropping duplicates
+const normalizeTags = (tags) => [...new Set(tags.map(normalizeTag))];
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags
+};
@@ -0,0 +1,213 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Bytes per element for the dtypes TF.js writes into weight shards
+const DTYPE_SIZES = {
+  float32: 4,
+  int32: 4,
+  bool: 1,
+  complex64: 8,
+  // Quantized weights are stored using the quantization dtype
+  uint8: 1,
+  uint16: 2,
+  float16: 2
+};
+
+// Weight shards may be named freely by the converter, as long as the name is
+// a plain file name
+const WEIGHT_SHARD_PATTERN = /^\w[\w.-]*\.bin$/;
+const MAX_FILENAME_LENGTH = 255;
+
+const MODEL_FILES_DESCRIPTION = 'model.json, metadata.yaml or .bin weight shards';
+
+/**
+ * Normalize the name of an uploaded file and check that it is part of a
+ * TF.js model: model.json, metadata.yaml or a .bin weight shard. Directory
+ * parts are dropped (browsers send them for folder uploads), so the result
+ * is always a plain file name.
+ *
+ * @param {string} name - file name as sent by the client
+ * @returns {string|null} the file name, or null when it is not allowed
+ */
+const normalizeModelFilename = (name) => {
+  if (typeof name !== 'string') return null;
+  const basename = name.split(/[\\/]/).pop();
+  if (basename.length > MAX_FILENAME_LENGTH) return null;
+  if (basename === 'model.json' || basename === 'metadata.yaml' || WEIGHT_SHARD_PATTERN.test(basename)) {
+    return basename;
+  }
+  return null;
+};
+
+const problem = (code, message, extra = {}) => ({ code, message, ...extra });
+
+const countElements = (shape) => shape.reduce((total, dim) => total * dim, 1);
+
+const isValidShape = (shape) => (
+  Array.isArray(shape) && shape.every(dim => Number.isInteger(dim) && dim >= 0)
+);
+
+// Helper function to parse a TensorShapeProto-style `{ dim: [{ size: '1' }] }` into numbers
+const parseTensorShape = (tensorShape) => {
+  if (!tensorShape || !Array.isArray(tensorShape.dim)) return null;
+  return tensorShape.dim.map(dim => Number(dim.size));
+};
+
+// Helper function to find the model input shape from the graph definition.
+// Graph models describe inputs in their signature (or as Placeholder nodes),
+// layers models in the first layer's batch_input_shape.
+const extractInputShape = (modelJson) => {
+  const topology = modelJson.modelTopology || {};
+
+  if (modelJson.signature && modelJson.signature.inputs) {
+    const [input] = Object.values(modelJson.signature.inputs);
+    const shape = input && parseTensorShape(input.tensorShape);
+    if (shape) return shape;
+  }
+
+  if (Array.isArray(topology.node)) {
+    const placeholder = topology.node.find(node => node.op === 'Placeholder');
+    const shape = placeholder && placeholder.attr && placeholder.attr.shape &&
+      parseTensorShape(placeholder.attr.shape.shape);
+    if (shape) return shape;
+  }
+
+  const modelConfig = topology.model_config || topology;
+  const layers = modelConfig.config && modelConfig.config.layers;
+  if (Array.isArray(layers) && layers.length > 0) {
+    const layerConfig = layers[0].config || {};
+    const shape = layerConfig.batch_input_shape || layerConfig.batch_shape;
+    if (Array.isArray(shape)) return shape.map(dim => (dim === null ? -1 : dim));
+  }
+
+  return null;
+};
+
+// Helper function to compute the expected byte length of one weight entry.
+// Returns null when the size cannot be known up front (string tensors).
+const weightByteLength = (weight) => {
+  const dtype = weight.quantization ? weight.quantization.dtype : weight.dtype;
+  const size = DTYPE_SIZES[dtype];
+  return size === undefined ? null : countElements(weight.shape) * size;
+};
+
+/**
+ * Validate an uploaded TF.js model against its own weights manifest.
+ *
+ * @param {Array} files - multer file objects of the upload
+ * @returns {Promise<{ problems: Array, info: Object }>} problems is empty when the model is loadable;
+ *   info holds details derived from the graph (format, parameter count, input shape)
+ */
+const validateTfjsModel = async (files) => {
+  const problems = [];
+  const info = {};
+
+  const filesByName = new Map(files.map(file => [file.originalname, file]));
+  const modelFile = filesByName.get('model.json');
+
+  if (!modelFile) {
+    problems.push(problem('missing_model_json', 'model.json was not uploaded', { file: 'model.json' }));
+    return { problems, info };
+  }
+
+  let modelJson;
+  try {
+    modelJson = JSON.parse(await fs.readFile(modelFile.path, 'utf8'));
+  } catch (err) {
+    problems.push(problem('invalid_model_json', `model.json is not valid JSON: ${err.message}`, { file: 'model.json' }));
+    return { problems, info };
+  }
+
+  if (!modelJson || typeof modelJson !== 'object' || Array.isArray(modelJson)) {
+    problems.push(problem('invalid_model_json', 'model.json must contain a JSON object', { file: 'model.json' }));
+    return { problems, info };
+  }
+
+  if (!modelJson.modelTopology) {
+    problems.push(problem('missing_model_topology', 'model.json has no modelTopology', { file: 'model.json' }));
+  }
+
+  if (!Array.isArray(modelJson.weightsManifest)) {
+    problems.push(problem('missing_weights_manifest', 'model.json has no weightsManifest array', { file: 'model.json' }));
+    return { problems, info };
+  }
+
+  let parameterCount = 0;
+  let weightsBytes = 0;
+
+  modelJson.weightsManifest.forEach((group, groupIndex) => {
+    if (!group || !Array.isArray(group.paths) || !Array.isArray(group.weights)) {
+      problems.push(problem('invalid_manifest_group', `weightsManifest[${groupIndex}] must have paths and weights arrays`, { group: groupIndex }));
+      return;
+    }
+
+    let expectedBytes = 0;
+    let sizeKnown = true;
+
+    group.weights.forEach((weight, weightIndex) => {
+      const name = (weight && weight.name) || `weights[${weightIndex}]`;
+
+      if (!weight || !isValidShape(weight.shape)) {
+        problems.push(problem('invalid_weight_shape', `Weight ${name} has an invalid shape`, { group: groupIndex, weight: name }));
+        sizeKnown = false;
+        return;
+      }
+
+      parameterCount += countElements(weight.shape);
+
+      const byteLength = weight.dtype === 'string' ? null : weightByteLength(weight);
+      if (byteLength === null) {
+        if (weight.dtype !== 'string') {
+          problems.push(problem('unsupported_dtype', `Weight ${name} has unsupported dtype ${weight.dtype}`, { group: groupIndex, weight: name }));
+        }
+        sizeKnown = false;
+        return;
+      }
+
+      expectedBytes += byteLength;
+    });
+
+    // Shards are stored flat next to model.json
+    let actualBytes = 0;
+    let allShardsPresent = true;
+
+    for (const shardPath of group.paths) {
+      const shardName = path.posix.basename(String(shardPath));
+      const shard = filesByName.get(shardName);
+
+      if (!shard) {
+        problems.push(problem('missing_shard', `Weight shard ${shardPath} listed in model.json was not uploaded`, { group: groupIndex, file: shardPath }));
+        allShardsPresent = false;
+        continue;
+      }
+
+      actualBytes += shard.size;
+    }
+
+    if (sizeKnown && allShardsPresent && actualBytes !== expectedBytes) {
+      problems.push(problem('shard_size_mismatch',
+        `Weight group ${groupIndex} has ${actualBytes} bytes but its manifest requires ${expectedBytes}`,
+        { group: groupIndex, files: group.paths, expected_bytes: expectedBytes, actual_bytes: actualBytes }));
+    }
+
+    weightsBytes += actualBytes;
+  });
+
+  info.tfjs_format = modelJson.format || null;
+  info.parameter_count = parameterCount;
+  info.weights_bytes = weightsBytes;
+
+  const inputShape = extractInputShape(modelJson);
+  if (inputShape) {
+    info.input_shape = inputShape;
+  }
+
+  return { problems, info };
+};
+
+module.exports = {
+  MODEL_FILES_DESCRIPTION,
+  normalizeModelFilename,
+  validateTfjsModel,
+  extractInputShape
+};
@@ -0,0 +1,227 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../database');
+const { getStagingDir } = require('./modelFiles');
+
+const fsp = fs.promises;
+
+// Resumable uploads: a session declares the files of one version, the client
+// sends each file in order as chunks with a SHA-256 checksum, and can ask for
+// the received offsets to resume after losing its connection. Chunks are
+// written to the session's staging directory; completing the session
+// publishes the files like a multipart upload. Sessions expire when no chunk
+// arrives for UPLOAD_SESSION_TTL_HOURS.
+
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_CHUNK_SIZE = 32 * 1024 * 1024;
+const MAX_UPLOAD_FILE_SIZE = 2 * 1024 * 1024 * 1024;
+const MAX_UPLOAD_FILES = 100;
+
+const sessionTtlHours = () => parseInt(process.env.UPLOAD_SESSION_TTL_HOURS || '24', 10);
+
+// Helper function to resolve where a file of a session is assembled. Names are
+// hashed so that whatever the client calls a file, it stays in the directory.
+const getSessionFilePath = (sessionId, filename) => path.join(
+  getStagingDir(sessionId),
+  crypto.createHash('sha256').update(filename).digest('hex')
+);
+
+// Helper function to read an Upload-Checksum header ("sha256 <base64 digest>") as hex
+const parseUploadChecksum = (header) => {
+  const match = /^sha256 ([A-Za-z0-9+/]{43}=)$/.exec(String(header || '').trim());
+  return match ? Buffer.from(match[1], 'base64').toString('hex') : null;
+};
+
+/**
+ * Create a session for the files of a new version.
+ *
+ * @param {Object} options - modelId, userId, version, bump, createdDate
+ * @param {{ name: string, size: number, sha256?: string }[]} files
+ * @returns {Promise<Object>} the session as returned by getUploadSession
+ */
+const createUploadSession = async ({ modelId, userId, version, bump, createdDate }, files) => {
+  const id = uuidv4();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      INSERT INTO upload_sessions (id, model_id, user_id, version, bump, created_date, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + make_interval(hours => $7))
+    `, [id, modelId, userId, version, bump || null, createdDate || null, sessionTtlHours()]);
+    await client.query(`
+      INSERT INTO upload_session_files (session_id, filename, size, sha256)
+      SELECT $1, * FROM unnest($2::text[], $3::bigint[], $4::text[])
+    `, [
+      id,
+      files.map(file => file.name),
+      files.map(file => file.size),
+      files.map(file => (file.sha256 ? file.sha256.toLowerCase() : null))
+    ]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await fsp.mkdir(getStagingDir(id), { recursive: true });
+  return getUploadSession(id, modelId, userId);
+};
+
+/**
+ * Look up an unexpired session of a user with its files.
+ *
+ * @returns {Promise<Object|null>}
+ */
+const getUploadSession = async (sessionId, modelId, userId) => {
+  const result = await pool.query(`
+    SELECT id, model_id, version, bump, created_date, status, created_at, expires_at
+    FROM upload_sessions
+    WHERE id = $1 AND model_id = $2 AND user_id = $3 AND expires_at > CURRENT_TIMESTAMP
+  `, [sessionId, modelId, userId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const files = await pool.query(
+    'SELECT filename, size, sha256, received FROM upload_session_files WHERE session_id = $1 ORDER BY filename',
+    [sessionId]
+  );
+
+  return {
+    ...result.rows[0],
+    chunk_size: UPLOAD_CHUNK_SIZE,
+    files: files.rows.map(file => ({ ...file, size: Number(file.size), received: Number(file.received) }))
+  };
+};
+
+/**
+ * Read a chunk from the request body into a file, hashing it on the way.
+ * Rejects with code CHUNK_TOO_LARGE once more than maxBytes arrive.
+ *
+ * @param {import('stream').Readable} source
+ * @param {string} chunkPath
+ * @param {number} maxBytes
+ * @returns {Promise<{ size: number, sha256: string }>}
+ */
+const receiveChunk = async (source, chunkPath, maxBytes) => {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  await pipeline(
+    source,
+    async function* (chunks) {
+      for await (const chunk of chunks) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          const err = new Error('Chunk is too large');
+          err.code = 'CHUNK_TOO_LARGE';
+          throw err;
+        }
+        hash.update(chunk);
+        yield chunk;
+      }
+    },
+    fs.createWriteStream(chunkPath)
+  );
+
+  return { size, sha256: hash.digest('hex') };
+};
+
+/**
+ * Add a received chunk to a file of a session at the given offset.
+ *
+ * The file row stays locked while the chunk is written, so concurrent
+ * requests for the same file are applied one after the other; a chunk whose
+ * offset is no longer the received size is refused. Bytes left behind by an
+ * attempt that failed after writing are overwritten.
+ *
+ * @returns {Promise<{ received: number, conflict: boolean }|null>} null when the file is not in an open session
+ */
+const appendChunk = async (sessionId, filename, offset, chunk) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const file = await client.query(`
+      SELECT f.received FROM upload_session_files f
+      JOIN upload_sessions s ON s.id = f.session_id
+      WHERE f.session_id = $1 AND f.filename = $2 AND s.status = 'open'
+      FOR UPDATE OF f
+    `, [sessionId, filename]);
+
+    if (file.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const received = Number(file.rows[0].received);
+    if (received !== offset) {
+      await client.query('ROLLBACK');
+      return { received, conflict: true };
+    }
+
+    const filePath = getSessionFilePath(sessionId, filename);
+    await pipeline(
+      fs.createReadStream(chunk.path),
+      fs.createWriteStream(filePath, { flags: offset === 0 ? 'w' : 'r+', start: offset })
+    );
+    await fsp.truncate(filePath, offset + chunk.size);
+
+    await client.query(
+      'UPDATE upload_session_files SET received = $3 WHERE session_id = $1 AND filename = $2',
+      [sessionId, filename, offset + chunk.size]
+    );
+    await client.query(
+      'UPDATE upload_sessions SET expires_at = CURRENT_TIMESTAMP + make_interval(hours => $2) WHERE id = $1',
+      [sessionId, sessionTtlHours()]
+    );
+    await client.query('COMMIT');
+    return { received: offset + chunk.size, conflict: false };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Helper function to delete a session and its staged files
+const removeUploadSession = async (sessionId) => {
+  await pool.query('DELETE FROM upload_sessions WHERE id = $1', [sessionId]);
+  await fsp.rm(getStagingDir(sessionId), { recursive: true, force: true });
+};
+
+/**
+ * Delete expired sessions and their staged files.
+ *
+ * @returns {Promise<number>} number of sessions removed
+ */
+const cleanupExpiredUploads = async () => {
+  const result = await pool.query(
+    'DELETE FROM upload_sessions WHERE expires_at <= CURRENT_TIMESTAMP RETURNING id'
+  );
+  for (const { id } of result.rows) {
+    await fsp.rm(getStagingDir(id), { recursive: true, force: true });
+  }
+  return result.rows.length;
+};
+
+module.exports = {
+  UPLOAD_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  MAX_UPLOAD_FILE_SIZE,
+  MAX_UPLOAD_FILES,
+  getSessionFilePath,
+  parseUploadChecksum,
+  createUploadSession,
+  getUploadSession,
+  receiveChunk,
+  appendChunk,
+  removeUploadSession,
+  cleanupExpiredUploads
+};
@@ -0,0 +1,44 @@
+const semver = require('semver');
+
+const BUMP_TYPES = ['major', 'minor', 'patch'];
+
+// Keep in sync with model_versions.version
+const MAX_VERSION_LENGTH = 64;
+
+// Helper function to validate a version string and return its canonical form
+// ('v1.2.3' becomes '1.2.3'), or null when it is not a valid semantic version
+const normalizeVersion = (version) => {
+  if (typeof version !== 'string' || version.length > MAX_VERSION_LENGTH) return null;
+  return semver.valid(version.trim());
+};
+
+// Helper function to sort version rows by semver precedence, newest first.
+// Rows predating semver enforcement may hold invalid versions; those go last.
+const sortVersionsDesc = (rows) => [...rows].sort((a, b) => {
+  const aValid = semver.valid(a.version);
+  const bValid = semver.valid(b.version);
+
+  if (aValid && bValid) return semver.rcompare(aValid, bValid);
+  if (aValid) return -1;
+  if (bValid) return 1;
+  return new Date(b.created_at) - new Date(a.created_at);
+});
+
+// Helper function to find the highest valid version among existing versions
+const latestVersion = (versions) => {
+  const valid = versions.map(version => semver.valid(version)).filter(Boolean);
+  return valid.length > 0 ? semver.rsort(valid)[0] : null;
+};
+
+// Helper function to derive the next version from the existing ones.
+// A model without versions is bumped from 0.0.0.
+const nextVersion = (versions, bump) => semver.inc(latestVersion(versions) || '0.0.0', bump);
+
+module.exports = {
+  BUMP_TYPES,
+  MAX_VERSION_LENGTH,
+  normalizeVersion,
+  sortVersionsDesc,
+  latestVersion,
+  nextVersion
+};
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../src/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn()
+  }
+}));
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateToken: jest.fn((req, res, next) => {
+    req.user = { userId: 1 };
+    next();
+  }),
+  requireAdmin: jest.fn((req, res, next) => next())
+}));
+
+jest.mock('../src/utils/modelFiles', () => ({
+  removeModelFiles: jest.fn()
+}));
+
+const { pool } = require('../src/database');
+const { removeModelFiles } = require('../src/utils/modelFiles');
+const adminRouter = require('../src/routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRouter);
+
+describe('Admin API', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  // Helper function to answer the statements of a user change: the locked
+  // active admins, the user, then the given results in order
+  const mockChange = (activeAdmins, user, ...results) => {
+    client.query.mockResolvedValueOnce({ rows: [] }); // BEGIN
+    client.query.mockResolvedValueOnce({ rows: activeAdmins.map(id => ({ id })) });
+    client.query.mockResolvedValueOnce({ rows: user ? [user] : [] });
+    for (const rows of results) {
+      client.query.mockResolvedValueOnce({ rows });
+    }
+  };
+
+  // Helper function to list the statements of the user change, by their first word
+  const statements = () => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+
+  describe('GET /users', () => {
+    it('should return a page of users with their inviters', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 2, username: 'bob', role: 'user', invited_by: 'alice' }] })
+        .mockResolvedValueOnce({ rows: [{ total: '3' }] });
+
+      const response = await request(app).get('/api/admin/users?limit=1&page=2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.items[0].invited_by).toBe('alice');
+      expect(response.body.total).toBe(3);
+      expect(response.body.next).toBe('/api/admin/users?limit=1&page=3');
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('LIMIT $1 OFFSET $2'), [1, 1]);
+    });
+  });
+
+  describe('POST /users/:id/suspend', () => {
+    it('should suspend the user and end their sessions', async () => {
+      mockChange([1], { id: 2, username: 'bob', role: 'user', suspended_at: null },
+        [{ id: 2, username: 'bob', suspended_at: '2026-01-01T00:00:00Z' }]);
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).post('/api/admin/users/2/suspend');
+
+      expect(response.status).toBe(200);
+      expect(statements()).toEqual(['BEGIN', 'SELECT', 'SELECT', 'UPDATE', 'COMMIT']);
+      expect(client.release).toHaveBeenCalled();
+      expect(pool.query).toHaveBeenLastCalledWith(expect.stringContaining('UPDATE sessions SET revoked_at'), [2, null]);
+    });
+
+    it('should not suspend the last administrator', async () => {
+      mockChange([2], { id: 2, username: 'root', role: 'admin', suspended_at: null });
+
+      const response = await request(app).post('/api/admin/users/2/suspend');
+
+      expect(response.status).toBe(400);
+      expect(client.query.mock.calls[1][0]).toContain('FOR UPDATE');
+      expect(statements()).toEqual(['BEGIN', 'SELECT', 'SELECT', 'ROLLBACK']);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown users', async () => {
+      mockChange([1], null);
+
+      const response = await request(app).post('/api/admin/users/9/suspend');
+
+      expect(response.status).toBe(404);
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+
+    it('should not let admins suspend themselves', async () => {
+      const response = await request(app).post('/api/admin/users/1/suspend');
+
+      expect(response.status).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /users/:id/role', () => {
+    it('should not demote the last administrator', async () => {
+      mockChange([2], { id: 2, username: 'root', role: 'admin', suspended_at: null });
+
+      const response = await request(app).patch('/api/admin/users/2/role').send({ role: 'user' });
+
+      expect(response.status).toBe(400);
+      expect(statements()).toEqual(['BEGIN', 'SELECT', 'SELECT', 'ROLLBACK']);
+    });
+
+    it('should demote an administrator while another one is left', async () => {
+      mockChange([1, 2], { id: 2, username: 'root', role: 'admin', suspended_at: null },
+        [{ id: 2, username: 'root', role: 'user', suspended_at: null }]);
+
+      const response = await request(app).patch('/api/admin/users/2/role').send({ role: 'user' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.role).toBe('user');
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+  });
+
+  describe('DELETE /users/:id', () => {
+    it('should delete the user and the files of their personal models', async () => {
+      mockChange([1], { id: 2, username: 'bob', role: 'user', suspended_at: null },
+        [], [{ id: 10 }, { id: 11 }], []);
+
+      const response = await request(app).delete('/api/admin/users/2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.deleted_models).toBe(2);
+      expect(statements()).toEqual(['BEGIN', 'SELECT', 'SELECT', 'SELECT', 'SELECT', 'DELETE', 'COMMIT']);
+      expect(removeModelFiles).toHaveBeenCalledWith(10);
+      expect(removeModelFiles).toHaveBeenCalledWith(11);
+    });
+
+    it('should not delete the last owner of an organization', async () => {
+      mockChange([1], { id: 2, username: 'bob', role: 'user', suspended_at: null }, [{ name: 'acme' }]);
+
+      const response = await request(app).delete('/api/admin/users/2');
+
+      expect(response.status).toBe(409);
+      expect(response.body.organizations).toEqual(['acme']);
+      expect(statements()).toEqual(['BEGIN', 'SELECT', 'SELECT', 'SELECT', 'ROLLBACK']);
+      expect(removeModelFiles).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /models/:id/visibility', () => {
+    it('should change the visibility of any model', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 5, visibility: 'private' }] });
+
+      const response = await request(app).patch('/api/admin/models/5/visibility').send({ visibility: 'private' });
+
+      expect(response.status).toBe(200);
+      expect(pool.query).toHaveBeenCalledWith(expect.not.stringContaining('user_id'), ['private', '5']);
+    });
+  });
+});
@@ -0,0 +1,458 @@
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../src/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn()
+  }
+}));
+
+const { pool } = require('../src/database');
+const { authenticateToken, optionalAuth, requireScope, requireAdmin } = require('../src/middleware/auth');
+const { generateApiToken, hashApiToken } = require('../src/utils/apiTokens');
+
+const app = express();
+app.get('/private', authenticateToken, (req, res) => res.json(req.user));
+app.get('/optional', optionalAuth, (req, res) => res.json({ user: req.user || null }));
+app.post('/upload', authenticateToken, requireScope('upload'), (req, res) => res.json({ ok: true }));
+app.get('/admin', authenticateToken, requireAdmin, (req, res) => res.json({ ok: true }));
+
+describe('Auth middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should require a token', async () => {
+    const response = await request(app).get('/private');
+
+    expect(response.status).toBe(401);
+  });
+
+  describe('session access tokens', () => {
+    const sid = '3b241101-e2bb-4255-8caf-4136c566a962';
+
+    it('should accept tokens of live sessions', async () => {
+      const token = jwt.sign({ userId: 1, username: 'alice', sid }, 'fallback-secret');
+      pool.query.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+      const response = await request(app).get('/private').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.userId).toBe(1);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('s.revoked_at IS NULL'), [sid, 1]);
+    });
+
+    it('should reject tokens of revoked sessions or deleted users', async () => {
+      const token = jwt.sign({ userId: 1, username: 'alice', sid }, 'fallback-secret');
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/private').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject tokens issued without a session', async () => {
+      const token = jwt.sign({ userId: 1, username: 'alice' }, 'fallback-secret');
+
+      const response = await request(app).get('/private').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('personal access tokens', () => {
+    const token = generateApiToken();
+
+    it('should look tokens up by hash and record their use', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 7, scopes: ['read'], user_id: 1, username: 'alice' }] });
+
+      const response = await request(app).get('/private').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ userId: 1, username: 'alice', scopes: ['read'], tokenId: 7 });
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('last_used_at = CURRENT_TIMESTAMP'), [hashApiToken(token)]);
+    });
+
+    it('should reject unknown, revoked or expired tokens', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/private').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should ignore invalid tokens on optional routes', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/optional').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user).toBeNull();
+    });
+
+    it('should enforce token scopes', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 7, scopes: ['read'], user_id: 1, username: 'alice' }] });
+
+      const denied = await request(app).post('/upload').set('Authorization', `Bearer ${token}`);
+      expect(denied.status).toBe(403);
+
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 8, scopes: ['admin'], user_id: 1, username: 'alice' }] });
+
+      const allowed = await request(app).post('/upload').set('Authorization', `Bearer ${token}`);
+      expect(allowed.status).toBe(200);
+    });
+  });
+
+  describe('requireAdmin', () => {
+    const sid = '3b241101-e2bb-4255-8caf-4136c566a962';
+    const token = jwt.sign({ userId: 1, username: 'alice', sid }, 'fallback-secret');
+
+    it('should allow administrators', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] })
+        .mockResolvedValueOnce({ rows: [{ role: 'admin' }] });
+
+      const response = await request(app).get('/admin').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(pool.query).toHaveBeenLastCalledWith('SELECT role FROM users WHERE id = $1', [1]);
+    });
+
+    it('should reject other users', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] })
+        .mockResolvedValueOnce({ rows: [{ role: 'user' }] });
+
+      const response = await request(app).get('/admin').set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should require the admin scope for personal access tokens', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 7, scopes: ['upload'], user_id: 1, username: 'alice' }] });
+
+      const response = await request(app).get('/admin').set('Authorization', `Bearer ${generateApiToken()}`);
+
+      expect(response.status).toBe(403);
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe('Auth API - Sessions', () => {
+  const authRouter = require('../src/routes/auth');
+  const sessionId = '3b241101-e2bb-4255-8caf-4136c566a962';
+  const secret = 'a'.repeat(64);
+  const hash = require('crypto').createHash('sha256').update(secret).digest('hex');
+
+  const authApp = express();
+  authApp.use(express.json());
+  authApp.use('/api/auth', authRouter);
+
+  const session = (overrides = {}) => ({
+    id: sessionId,
+    refresh_token_hash: hash,
+    expires_at: new Date(Date.now() + 60 * 1000),
+    revoked_at: null,
+    user_id: 1,
+    username: 'alice',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should rotate the refresh token', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [session()] })
+      .mockResolvedValueOnce({ rows: [{ id: sessionId }] });
+
+    const response = await request(authApp)
+      .post('/api/auth/refresh')
+      .send({ refresh_token: `${sessionId}.${secret}` });
+
+    expect(response.status).toBe(200);
+    expect(response.body.refresh_token).toMatch(new RegExp(`^${sessionId}\\.`));
+    expect(response.body.refresh_token).not.toBe(`${sessionId}.${secret}`);
+    expect(jwt.decode(response.body.token)).toEqual(expect.objectContaining({ userId: 1, sid: sessionId }));
+    expect(pool.query.mock.calls[1][1][3]).toBe(hash);
+  });
+
+  it('should revoke the session when a rotated refresh token is reused', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [session({ refresh_token_hash: 'b'.repeat(64) })] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const response = await request(authApp)
+      .post('/api/auth/refresh')
+      .send({ refresh_token: `${sessionId}.${secret}` });
+
+    expect(response.status).toBe(401);
+    expect(pool.query).toHaveBeenLastCalledWith(expect.stringContaining('SET revoked_at'), [sessionId]);
+  });
+
+  it('should reject refresh tokens of revoked sessions', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [session({ revoked_at: new Date() })] });
+
+    const response = await request(authApp)
+      .post('/api/auth/refresh')
+      .send({ refresh_token: `${sessionId}.${secret}` });
+
+    expect(response.status).toBe(401);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject malformed refresh tokens without a lookup', async () => {
+    const response = await request(authApp)
+      .post('/api/auth/refresh')
+      .send({ refresh_token: 'not-a-token' });
+
+    expect(response.status).toBe(401);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should revoke the session of a refresh token on logout', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: sessionId }] })
+      .mockResolvedValueOnce({ rowCount: 1 });
+
+    const response = await request(authApp)
+      .post('/api/auth/logout')
+      .send({ refresh_token: `${sessionId}.${secret}` });
+
+    expect(response.status).toBe(200);
+    expect(pool.query).toHaveBeenLastCalledWith(expect.stringContaining('SET revoked_at'), [sessionId]);
+  });
+});
+
+describe('Auth API - Password reset and email verification', () => {
+  const authRouter = require('../src/routes/auth');
+  const { setTransport } = require('../src/utils/mailer');
+
+  const authApp = express();
+  authApp.use(express.json());
+  authApp.use('/api/auth', authRouter);
+
+  const sent = [];
+  setTransport({ send: async (message) => { sent.push(message); } });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sent.length = 0;
+  });
+
+  it('should mail a single-use reset link to known addresses', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 1, username: 'alice', email: 'alice@example.com' }] })
+      .mockResolvedValueOnce({ rowCount: 0 })
+      .mockResolvedValueOnce({ rowCount: 1 });
+
+    const response = await request(authApp).post('/api/auth/forgot-password').send({ email: 'alice@example.com' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(response.status).toBe(200);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('alice@example.com');
+
+    const token = sent[0].text.match(/reset_token=([0-9a-f]+)/)[1];
+    const insertParams = pool.query.mock.calls[2][1];
+    expect(insertParams[2]).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    expect(insertParams[2]).not.toBe(token);
+  });
+
+  it('should answer the same way for unknown addresses', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const response = await request(authApp).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(response.status).toBe(200);
+    expect(sent).toHaveLength(0);
+  });
+
+  it('should answer the same way when mailing fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setTransport({ send: async () => { throw new Error('SMTP unavailable'); } });
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 1, username: 'alice', email: 'alice@example.com' }] })
+      .mockResolvedValueOnce({ rowCount: 0 })
+      .mockResolvedValueOnce({ rowCount: 1 });
+
+    try {
+      const response = await request(authApp).post('/api/auth/forgot-password').send({ email: 'alice@example.com' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('If an account uses this email, a password reset link has been sent');
+      expect(console.error).toHaveBeenCalledWith('Password reset email error:', expect.any(Error));
+    } finally {
+      setTransport({ send: async (message) => { sent.push(message); } });
+      console.error.mockRestore();
+    }
+  });
+
+  it('should reset the password and end all sessions', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ user_id: 1, email: null }] })
+      .mockResolvedValueOnce({ rowCount: 1 })
+      .mockResolvedValueOnce({ rowCount: 2 });
+
+    const response = await request(authApp).post('/api/auth/reset-password').send({ token: 'abc', password: 'n3w-secret' });
+
+    expect(response.status).toBe(200);
+    expect(pool.query.mock.calls[0][0]).toContain('used_at IS NULL AND expires_at > NOW()');
+    expect(pool.query).toHaveBeenLastCalledWith(expect.stringContaining('UPDATE sessions SET revoked_at'), [1, null]);
+  });
+
+  it('should reject used or expired reset tokens', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const response = await request(authApp).post('/api/auth/reset-password').send({ token: 'abc', password: 'n3w-secret' });
+
+    expect(response.status).toBe(400);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only verify the address the token was sent to', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ user_id: 1, email: 'old@example.com' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const response = await request(authApp).post('/api/auth/verify-email').send({ token: 'abc' });
+
+    expect(response.status).toBe(400);
+    expect(pool.query).toHaveBeenLastCalledWith(expect.stringContaining('email_verified_at'), [1, 'old@example.com']);
+  });
+});
+
+describe('Auth API - Invites', () => {
+  const authRouter = require('../src/routes/auth');
+  const { setTransport } = require('../src/utils/mailer');
+
+  const authApp = express();
+  authApp.use(express.json());
+  authApp.use('/api/auth', authRouter);
+
+  const invite = (overrides = {}) => ({
+    id: 4,
+    code: 'abc123',
+    created_by: 1,
+    max_uses: 2,
+    use_count: 0,
+    email: null,
+    org_id: null,
+    org_role: 'viewer',
+    ...overrides
+  });
+
+  const client = { query: jest.fn(), release: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setTransport({ send: jest.fn() });
+    pool.connect.mockResolvedValue(client);
+  });
+
+  it('should redeem the invite in the registration transaction', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [invite({ org_id: 3 })] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValue({ rows: [], rowCount: 0 });
+    client.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ id: 9, username: 'bob', email: 'bob@example.com' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+      .mockResolvedValue({});
+
+    const response = await request(authApp)
+      .post('/api/auth/register')
+      .send({ username: 'bob', email: 'bob@example.com', password: 'secret', token: 'abc123' });
+
+    expect(response.status).toBe(201);
+    expect(client.query.mock.calls[1][1]).toEqual(['bob', 'bob@example.com', expect.any(String), 1]);
+    expect(client.query.mock.calls[2][0]).toContain('use_count < max_uses');
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO invite_redemptions'), [4, 9]);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO organization_members'), [3, 9, 'viewer']);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  it('should roll back when the invite was used up meanwhile', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [invite()] })
+      .mockResolvedValueOnce({ rows: [] });
+    client.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ id: 9, username: 'bob', email: 'bob@example.com' }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValue({});
+
+    const response = await request(authApp)
+      .post('/api/auth/register')
+      .send({ username: 'bob', email: 'bob@example.com', password: 'secret', token: 'abc123' });
+
+    expect(response.status).toBe(400);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should reject invites meant for another email address', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [invite({ email: 'carol@example.com' })] });
+
+    const response = await request(authApp)
+      .post('/api/auth/register')
+      .send({ username: 'bob', email: 'bob@example.com', password: 'secret', token: 'abc123' });
+
+    expect(response.status).toBe(403);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  it('should link invites to APP_URL rather than the Host header', async () => {
+    const sid = '3b241101-e2bb-4255-8caf-4136c566a962';
+    const token = jwt.sign({ userId: 1, username: 'alice', sid }, 'fallback-secret');
+    const originalAppUrl = process.env.APP_URL;
+    process.env.APP_URL = 'https://models.example.com/';
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] })
+      .mockResolvedValueOnce({ rows: [invite({ expires_at: new Date() })] });
+
+    try {
+      const response = await request(authApp)
+        .post('/api/auth/invites')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Host', 'attacker.example')
+        .send({});
+
+      expect(response.status).toBe(201);
+      expect(response.body.url).toBe('https://models.example.com/register?token=abc123');
+    } finally {
+      if (originalAppUrl === undefined) {
+        delete process.env.APP_URL;
+      } else {
+        process.env.APP_URL = originalAppUrl;
+      }
+    }
+  });
+
+  it('should list invites with the tree of invited accounts', async () => {
+    const sid = '3b241101-e2bb-4255-8caf-4136c566a962';
+    const token = jwt.sign({ userId: 1, username: 'alice', sid }, 'fallback-secret');
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] })
+      .mockResolvedValueOnce({ rows: [invite({ use_count: 2, redemptions: [] })] })
+      .mockResolvedValueOnce({ rows: [
+        { id: 9, username: 'bob', invited_by: 1 },
+        { id: 10, username: 'carol', invited_by: 9 }
+      ] });
+
+    const response = await request(authApp).get('/api/auth/invites').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.invites[0].status).toBe('used');
+    expect(response.body.tree).toHaveLength(1);
+    expect(response.body.tree[0].invited[0].username).toBe('carol');
+  });
+});
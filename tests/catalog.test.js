@@ -0,0 +1,89 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../src/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+jest.mock('../src/middleware/auth', () => ({
+  optionalAuth: jest.fn((req, res, next) => next())
+}));
+
+const { pool } = require('../src/database');
+const { optionalAuth } = require('../src/middleware/auth');
+const catalogRouter = require('../src/routes/catalog');
+
+const app = express();
+app.use(express.json());
+app.use('/api', catalogRouter);
+
+describe('Catalog API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    optionalAuth.mockImplementation((req, res, next) => {
+      req.user = null;
+      next();
+    });
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('GET /tags', () => {
+    it('should count the tags of public models for anonymous callers', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ name: 'aerial', model_count: 4 }] });
+
+      const response = await request(app).get('/api/tags');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ name: 'aerial', model_count: 4 }]);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain("m.visibility = 'public'");
+      expect(sql).toContain('unnest(m.tags)');
+      expect(params).toEqual([50]);
+    });
+
+    it('should filter by normalized text and include models visible to the caller', async () => {
+      optionalAuth.mockImplementation((req, res, next) => {
+        req.user = { userId: 42 };
+        next();
+      });
+
+      await request(app).get('/api/tags').query({ q: 'Building Foot', limit: 5 });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('strpos(t.tag, $2) > 0');
+      expect(params).toEqual([42, 'building-foot', 5]);
+    });
+
+    it('should reject limits above the maximum', async () => {
+      const response = await request(app).get('/api/tags').query({ limit: 1000 });
+
+      expect(response.status).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /classes', () => {
+    it('should count the classes of active versions', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ name: 'small vehicle', model_count: 2 }] });
+
+      const response = await request(app)
+        .get('/api/classes')
+        .query({ q: ' Small  Veh', task_type: 'obb' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ name: 'small vehicle', model_count: 2 }]);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('mv.is_active = true');
+      expect(sql).toContain('JOIN model_classes mc ON mc.version_id = mv.id');
+      expect(params).toEqual(['small veh', 'obb', 50]);
+    });
+
+    it('should reject unknown task types', async () => {
+      const response = await request(app).get('/api/classes').query({ task_type: 'segment' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { createTransport } = require('../src/utils/mailer');
+
+describe('console mail transport', () => {
+  const originalLogBody = process.env.MAIL_LOG_BODY;
+  const message = { to: 'user@example.com', subject: 'Reset your password', text: 'reset_token=secret' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    if (originalLogBody === undefined) {
+      delete process.env.MAIL_LOG_BODY;
+    } else {
+      process.env.MAIL_LOG_BODY = originalLogBody;
+    }
+  });
+
+  it('should not log message bodies by default', async () => {
+    delete process.env.MAIL_LOG_BODY;
+
+    await createTransport('console').send(message);
+
+    expect(console.log).toHaveBeenCalledWith('Mail to user@example.com: Reset your password');
+  });
+
+  it('should log message bodies when asked to', async () => {
+    process.env.MAIL_LOG_BODY = 'true';
+
+    await createTransport('console').send(message);
+
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('reset_token=secret'));
+  });
+});
+
+describe('file mail transport', () => {
+  let tmpDir;
+  let mailDir;
+  const originalMailDir = process.env.MAIL_DIR;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mailer-'));
+    mailDir = path.join(tmpDir, 'mail');
+    process.env.MAIL_DIR = mailDir;
+  });
+
+  afterEach(async () => {
+    if (originalMailDir === undefined) {
+      delete process.env.MAIL_DIR;
+    } else {
+      process.env.MAIL_DIR = originalMailDir;
+    }
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should write the message to a file named after the recipient', async () => {
+    const message = { from: 'a@example.com', to: 'user+tag@example.com', subject: 'Hi', text: 'Hello' };
+
+    await createTransport('file').send(message);
+
+    const files = await fs.readdir(mailDir);
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatch(/-user\+tag@example\.com\.json$/);
+    expect(JSON.parse(await fs.readFile(path.join(mailDir, files[0]), 'utf8'))).toEqual(message);
+  });
+
+  it('should keep recipients with path separators inside the mail directory', async () => {
+    await createTransport('file').send({ to: '../../escape/x"y@example.com', subject: 'Hi', text: 'Hello' });
+
+    expect(await fs.readdir(tmpDir)).toEqual(['mail']);
+    const files = await fs.readdir(mailDir);
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatch(/-\.\._\.\._escape_x_y@example\.com\.json$/);
+  });
+});
@@ -0,0 +1,382 @@
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn()
+  }
+}));
+
+const { pool } = require('../src/database');
+const { createLocalDriver, setStorage } = require('../src/utils/storage');
+const {
+  UPLOADS_ROOT,
+  getModelDir,
+  getVersionDir,
+  getStagingDir,
+  getBlobKey,
+  addVersionFiles,
+  discardBlobs,
+  collectGarbage,
+  importLegacyFiles,
+  migrateBlobs,
+  reconcileFiles
+} = require('../src/utils/modelFiles');
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('Content-addressed model files', () => {
+  const content = `shared weights ${uuidv4()}`;
+  let storageDir;
+  let stagingPath;
+  let client;
+
+  const stageFile = async (name, data) => {
+    const filePath = path.join(stagingPath, name);
+    await fs.writeFile(filePath, data);
+    return { name, path: filePath };
+  };
+
+  const blobPath = (hash, dir = storageDir) => path.join(dir, getBlobKey(hash));
+
+  // Helper function to answer blob upserts as if the blob store had none of them yet
+  const newBlobs = async (sql, params) => (
+    sql.trim().startsWith('INSERT INTO blobs') ? { rows: params[0].map(hash => ({ sha256: hash, inserted: true })) } : { rows: [] }
+  );
+
+  const writeBlob = async (dir, data) => {
+    await fs.mkdir(path.dirname(blobPath(sha256(data), dir)), { recursive: true });
+    await fs.writeFile(blobPath(sha256(data), dir), data);
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'blobs-'));
+    setStorage(createLocalDriver(storageDir));
+    stagingPath = getStagingDir(uuidv4());
+    await fs.mkdir(stagingPath, { recursive: true });
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  afterEach(async () => {
+    setStorage(null);
+    await fs.rm(stagingPath, { recursive: true, force: true });
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  it('should store identical files once and list each under its own name', async () => {
+    const files = [await stageFile('a.bin', content), await stageFile('b.bin', content)];
+    client.query.mockImplementation(newBlobs);
+    const stored = [];
+
+    const manifest = await addVersionFiles(client, 5, files, stored);
+
+    const hash = sha256(content);
+    expect(manifest).toEqual([
+      { filename: 'a.bin', sha256: hash, size: content.length },
+      { filename: 'b.bin', sha256: hash, size: content.length }
+    ]);
+    expect(await fs.readFile(blobPath(hash), 'utf8')).toBe(content);
+
+    const [blobSql, blobParams] = client.query.mock.calls[0];
+    expect(blobSql).toContain('ON CONFLICT (sha256) DO UPDATE');
+    expect(blobParams).toEqual([[hash], [content.length]]);
+    expect(client.query.mock.calls[1][1]).toEqual([5, ['a.bin', 'b.bin'], [hash, hash], [content.length, content.length]]);
+    expect(stored).toEqual([hash]);
+  });
+
+  it('should not store blobs again that other versions have stored', async () => {
+    const file = await stageFile('a.bin', content);
+    client.query.mockImplementation(async (sql, params) => (
+      sql.trim().startsWith('INSERT INTO blobs') ? { rows: [{ sha256: params[0][0], inserted: false }] } : { rows: [] }
+    ));
+    const put = jest.fn();
+    setStorage({ ...createLocalDriver(storageDir), put });
+    const stored = [];
+
+    await addVersionFiles(client, 5, [file], stored);
+
+    expect(put).not.toHaveBeenCalled();
+    expect(stored).toEqual([]);
+    expect(client.query.mock.calls[1][0]).toContain('INSERT INTO model_files');
+  });
+
+  it('should discard stored blobs that no row claims', async () => {
+    const hash = sha256(content);
+    await writeBlob(storageDir, content);
+    client.query.mockImplementation(async (sql, params) => (
+      sql.startsWith('INSERT INTO blobs') ? { rows: [{ sha256: params[0] }] } : { rows: [] }
+    ));
+
+    await discardBlobs([hash]);
+
+    await expect(fs.access(blobPath(hash))).rejects.toThrow();
+    expect(client.query).toHaveBeenCalledWith('DELETE FROM blobs WHERE sha256 = $1', [hash]);
+  });
+
+  it('should delete unreferenced blobs and their files', async () => {
+    const hash = sha256(content);
+    await writeBlob(storageDir, content);
+    client.query.mockImplementation(async (sql) => (
+      sql.startsWith('DELETE FROM blobs') ? { rows: [{ sha256: hash }] } : { rows: [] }
+    ));
+
+    const removed = await collectGarbage();
+
+    expect(removed).toBe(1);
+    expect(client.query).toHaveBeenCalledWith('DELETE FROM blobs WHERE ref_count <= 0 RETURNING sha256');
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    await expect(fs.access(blobPath(hash))).rejects.toThrow();
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  describe('importLegacyFiles', () => {
+    const modelId = `7${Date.now()}`;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      console.log.mockRestore();
+      await fs.rm(getModelDir(modelId), { recursive: true, force: true });
+    });
+
+    it('should import a directory shared by several versions into the active one only', async () => {
+      client.query.mockImplementation(newBlobs);
+      const dir = getModelDir(modelId);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, 'model.json'), content);
+      pool.query.mockResolvedValueOnce({
+        rows: [
+          { id: 1, model_id: Number(modelId), version: '1.0.0', is_active: false, file_path: dir },
+          { id: 2, model_id: Number(modelId), version: '1.1.0', is_active: true, file_path: dir },
+          { id: 3, model_id: Number(modelId), version: '2.0.0', is_active: false, file_path: `${dir}/` }
+        ]
+      });
+
+      const imported = await importLegacyFiles();
+
+      expect(imported).toBe(1);
+      const manifestCalls = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO model_files'));
+      expect(manifestCalls).toHaveLength(1);
+      expect(manifestCalls[0][1][0]).toBe(2);
+      expect(client.query).toHaveBeenCalledWith('UPDATE model_versions SET file_path = NULL WHERE id = ANY($1)', [[1, 2, 3]]);
+      expect(await fs.readFile(blobPath(sha256(content)), 'utf8')).toBe(content);
+      await expect(fs.access(dir)).rejects.toThrow();
+    });
+
+    it('should import a shared directory into the latest version when none is active', async () => {
+      const dir = getModelDir(modelId);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, 'model.json'), content);
+      pool.query.mockResolvedValueOnce({
+        rows: [
+          { id: 1, model_id: Number(modelId), version: '1.10.0', is_active: false, created_at: '2024-01-01', file_path: dir },
+          { id: 2, model_id: Number(modelId), version: '1.2.0', is_active: false, created_at: '2024-02-01', file_path: dir }
+        ]
+      });
+
+      await importLegacyFiles();
+
+      const manifestCall = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO model_files'));
+      expect(manifestCall[1][0]).toBe(1);
+    });
+  });
+
+  describe('migrateBlobs', () => {
+    let targetDir;
+
+    beforeEach(async () => {
+      targetDir = await fs.mkdtemp(path.join(os.tmpdir(), 'blobs-target-'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      console.error.mockRestore();
+      await fs.rm(targetDir, { recursive: true, force: true });
+    });
+
+    it('should copy missing blobs, skip present ones and report corrupt ones', async () => {
+      const present = 'already migrated';
+      const corrupt = sha256('original');
+      await writeBlob(storageDir, content);
+      await writeBlob(targetDir, present);
+      await fs.mkdir(path.dirname(blobPath(corrupt)), { recursive: true });
+      await fs.writeFile(blobPath(corrupt), 'bit rot');
+      pool.query.mockResolvedValueOnce({
+        rows: [{ sha256: sha256(content) }, { sha256: sha256(present) }, { sha256: corrupt }]
+      });
+
+      const counts = await migrateBlobs(createLocalDriver(storageDir), createLocalDriver(targetDir));
+
+      expect(counts).toEqual({ copied: 1, skipped: 1, failed: 1 });
+      expect(await fs.readFile(blobPath(sha256(content), targetDir), 'utf8')).toBe(content);
+      expect(await fs.readFile(blobPath(sha256(content)), 'utf8')).toBe(content);
+      await expect(fs.access(blobPath(corrupt, targetDir))).rejects.toThrow();
+    });
+
+    it('should remove migrated blobs from the source when asked to', async () => {
+      await writeBlob(storageDir, content);
+      pool.query.mockResolvedValueOnce({ rows: [{ sha256: sha256(content) }] });
+
+      const counts = await migrateBlobs(createLocalDriver(storageDir), createLocalDriver(targetDir), { remove: true });
+
+      expect(counts).toEqual({ copied: 1, skipped: 0, failed: 0 });
+      await expect(fs.access(blobPath(sha256(content)))).rejects.toThrow();
+    });
+  });
+
+  describe('reconcileFiles', () => {
+    const staleId = uuidv4();
+    const sessionId = uuidv4();
+    const deletedModelId = `9${Date.now()}`;
+    const modelId = `8${Date.now()}`;
+    const listDirs = (dir) => fs.readdir(dir).catch(() => []);
+
+    // Directories other than the ones made here count as known, so running
+    // the tests never removes anything else from the uploads directory
+    const answer = async (sql) => {
+      if (sql.includes('FROM upload_sessions')) {
+        const names = await listDirs(path.join(UPLOADS_ROOT, 'tmp'));
+        return { rows: names.filter(name => name !== staleId).map(id => ({ id })) };
+      }
+      if (sql.includes('SELECT id FROM models')) {
+        const ids = await listDirs(path.join(UPLOADS_ROOT, 'models'));
+        return { rows: ids.filter(id => id !== deletedModelId).map(id => ({ id })) };
+      }
+      if (sql.includes('SELECT model_id, file_path')) {
+        const rows = [];
+        for (const id of await listDirs(path.join(UPLOADS_ROOT, 'models'))) {
+          for (const version of await listDirs(path.join(getModelDir(id), 'versions'))) {
+            if (!(id === modelId && version === '0.9.0')) {
+              rows.push({ model_id: id, file_path: getVersionDir(id, version) });
+            }
+          }
+        }
+        return { rows };
+      }
+      if (sql.includes('mv.file_path FROM model_versions')) {
+        return {
+          rows: [
+            { id: 11, model_id: 3, version: '0.1.0', file_path: null },
+            { id: 12, model_id: Number(modelId), version: '1.0.0', file_path: getVersionDir(modelId, '1.0.0') }
+          ]
+        };
+      }
+      if (sql.includes('a.is_active = true')) {
+        return {
+          rows: [
+            { id: 21, model_id: 3, version: '1.10.0', created_at: '2024-01-01' },
+            { id: 22, model_id: 3, version: '1.2.0', created_at: '2024-02-01' }
+          ]
+        };
+      }
+      if (sql.includes('SELECT sha256 FROM blobs')) {
+        return { rows: [{ sha256: sha256(content) }, { sha256: sha256('lost') }] };
+      }
+      return { rows: [] };
+    };
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+      for (const id of [staleId, sessionId]) {
+        await fs.mkdir(getStagingDir(id), { recursive: true });
+        await fs.utimes(getStagingDir(id), lastWeek, lastWeek);
+      }
+      await fs.mkdir(getVersionDir(deletedModelId, '1.0.0'), { recursive: true });
+      await fs.mkdir(getVersionDir(modelId, '1.0.0'), { recursive: true });
+      await fs.mkdir(getVersionDir(modelId, '0.9.0'), { recursive: true });
+      pool.query.mockImplementation(answer);
+    });
+
+    afterEach(async () => {
+      console.log.mockRestore();
+      console.error.mockRestore();
+      for (const id of [staleId, sessionId]) {
+        await fs.rm(getStagingDir(id), { recursive: true, force: true });
+      }
+      for (const id of [deletedModelId, modelId]) {
+        await fs.rm(getModelDir(id), { recursive: true, force: true });
+      }
+    });
+
+    it('should clean up leftovers of interrupted uploads and deletes', async () => {
+      await writeBlob(storageDir, content);
+      await writeBlob(storageDir, 'orphan');
+      client.query.mockImplementation(async (sql, params) => (
+        sql.startsWith('INSERT INTO blobs') ? { rows: [{ sha256: params[0] }] } : { rows: [] }
+      ));
+
+      const counts = await reconcileFiles();
+
+      expect(counts).toEqual({ stagingDirs: 1, modelDirs: 2, emptyVersions: 1, activated: 1, blobs: 1, missingBlobs: 1 });
+      await expect(fs.access(getStagingDir(staleId))).rejects.toThrow();
+      await expect(fs.access(getStagingDir(sessionId))).resolves.toBeUndefined();
+      await expect(fs.access(stagingPath)).resolves.toBeUndefined();
+      await expect(fs.access(getModelDir(deletedModelId))).rejects.toThrow();
+      await expect(fs.access(getVersionDir(modelId, '0.9.0'))).rejects.toThrow();
+      await expect(fs.access(getVersionDir(modelId, '1.0.0'))).resolves.toBeUndefined();
+      expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('DELETE FROM model_versions'), expect.anything());
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('SET is_active = true'), [21, 3]);
+      await expect(fs.access(blobPath(sha256('orphan')))).rejects.toThrow();
+      expect(await fs.readFile(blobPath(sha256(content)), 'utf8')).toBe(content);
+      expect(client.query).toHaveBeenCalledWith('DELETE FROM blobs WHERE sha256 = $1', [sha256('orphan')]);
+    });
+
+    it('should keep legacy versions that shared one directory after importing it', async () => {
+      const dir = getModelDir(modelId);
+      await fs.writeFile(path.join(dir, 'model.json'), content);
+      const versions = [
+        { id: 31, model_id: Number(modelId), version: '1.0.0', is_active: false, created_at: '2024-01-01', file_path: dir },
+        { id: 32, model_id: Number(modelId), version: '1.1.0', is_active: true, created_at: '2024-02-01', file_path: dir }
+      ];
+      const manifests = new Set();
+      client.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('INSERT INTO model_files')) manifests.add(params[0]);
+        if (sql.includes('SET file_path = NULL')) {
+          versions.filter(v => params[0].includes(v.id)).forEach(v => { v.file_path = null; });
+        }
+        return { rows: [] };
+      });
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('NOT EXISTS (SELECT 1 FROM model_files')) {
+          const withoutFiles = versions.filter(v => !manifests.has(v.id));
+          return { rows: sql.includes('file_path IS NOT NULL') ? withoutFiles.filter(v => v.file_path) : withoutFiles };
+        }
+        if (sql.includes('SELECT model_id, file_path')) {
+          return { rows: versions.map(({ model_id, file_path }) => ({ model_id, file_path })) };
+        }
+        if (sql.includes('a.is_active = true')) {
+          return { rows: [] };
+        }
+        return answer(sql);
+      });
+
+      await importLegacyFiles();
+      const counts = await reconcileFiles();
+
+      expect([...manifests]).toEqual([32]);
+      expect(counts.emptyVersions).toBe(1);
+      expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('DELETE FROM model_versions'), expect.anything());
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`version 1.0.0 of model ${modelId} has no files`));
+    });
+
+    it('should keep stored blobs an upload has claimed meanwhile', async () => {
+      await writeBlob(storageDir, 'orphan');
+
+      const counts = await reconcileFiles();
+
+      expect(counts.blobs).toBe(0);
+      expect(await fs.readFile(blobPath(sha256('orphan')), 'utf8')).toBe('orphan');
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+  });
+});
@@ -1,14 +1,19 @@
 const request = require('supertest');
 const express = require('express');
 const path = require('path');
+const os = require('os');
 const fs = require('fs').promises;
+const crypto = require('crypto');
+const http = require('http');
+const { Readable } = require('stream');
 const { v4: uuidv4 } = require('uuid');
 const modelsRouter = require('../src/routes/models');
 
 // Mock database
 jest.mock('../src/database', () => ({
   pool: {
-    query: jest.fn()
+    query: jest.fn(),
+    connect: jest.fn()
   }
 }));
 
@@ -21,84 +26,124 @@ jest.mock('../src/middleware/auth', () => ({
   optionalAuth: jest.fn((req, res, next) => {
     req.user = { userId: 'test-user-id' };
     next();
-  })
+  }),
+  requireScope: jest.fn(() => (req, res, next) => next())
 }));
 
 const { pool } = require('../src/database');
+const { getBlobKey } = require('../src/utils/modelFiles');
+const { createLocalDriver, setStorage } = require('../src/utils/storage');
 const app = express();
 app.use(express.json());
 app.use('/api/models', modelsRouter);
 
+// Model files are stored in a temporary directory
+const storageDir = path.join(os.tmpdir(), `models-test-${uuidv4()}`);
+setStorage(createLocalDriver(storageDir));
+
+afterAll(async () => {
+  await fs.rm(storageDir, { recursive: true, force: true });
+});
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+const blobPath = (hash) => path.join(storageDir, getBlobKey(hash));
+
+// Helper function to put files into the blob store, returning their manifest rows
+const storeBlobs = async (files) => {
+  const manifest = [];
+  for (const [filename, content] of Object.entries(files)) {
+    const filePath = blobPath(sha256(content));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    manifest.push({ filename, sha256: sha256(content), size: Buffer.byteLength(content) });
+  }
+  return manifest;
+};
+
+// Helper function to remove blobs written by a test
+const removeBlobs = async (manifest) => {
+  for (const file of manifest) {
+    await fs.rm(blobPath(file.sha256), { force: true });
+  }
+};
+
 describe('Models API - Bulk Download', () => {
-  const testModelId = 'test-model-123';
-  const testUploadPath = path.join(__dirname, '../uploads/models', testModelId);
-  
-  beforeEach(() => {
+  const testModelId = '123';
+  let manifest;
+
+  // Helper function to mock the model lookup followed by its version's manifest
+  const mockModel = (model, files = manifest) => pool.query
+    .mockResolvedValueOnce({ rows: [{ id: testModelId, version_id: 1, ...model }] })
+    .mockResolvedValueOnce({ rows: files });
+
+  beforeEach(async () => {
     jest.clearAllMocks();
+    pool.query.mockResolvedValue({ rows: [] });
+    manifest = await storeBlobs({
+      'model.json': '{"test": true}',
+      'weights.bin': 'binary data',
+      'metadata.yaml': 'version: 1.0'
+    });
   });
 
   afterEach(async () => {
-    // Clean up test files
-    try {
-      await fs.rm(testUploadPath, { recursive: true });
-    } catch (err) {
-      // Ignore cleanup errors
-    }
+    await removeBlobs(manifest);
   });
 
   describe('GET /:id/download-all', () => {
-    beforeEach(async () => {
-      // Create test directory and files
-      await fs.mkdir(testUploadPath, { recursive: true });
-      await fs.writeFile(path.join(testUploadPath, 'model.json'), '{"test": true}');
-      await fs.writeFile(path.join(testUploadPath, 'weights.bin'), 'binary data');
-      await fs.writeFile(path.join(testUploadPath, 'metadata.yaml'), 'version: 1.0');
-    });
-
     it('should return 404 for non-existent model', async () => {
-      pool.query.mockResolvedValue({ rows: [] });
-
       const response = await request(app)
-        .get('/api/models/non-existent/download-all');
+        .get('/api/models/999/download-all');
 
       expect(response.status).toBe(404);
       expect(response.body.error).toBe('Model not found or unauthorized');
     });
 
     it('should return 404 when model has no files', async () => {
-      pool.query.mockResolvedValue({ 
-        rows: [{ id: testModelId, name: 'Test Model' }] 
-      });
+      mockModel({ name: 'Test Model' }, []);
 
-      // Remove test files to simulate empty directory
-      await fs.rm(testUploadPath, { recursive: true });
-      await fs.mkdir(testUploadPath, { recursive: true });
+      const response = await request(app)
+        .get(`/api/models/${testModelId}/download-all`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('No files available for download');
+    });
+
+    it('should return 404 when model has no version', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: testModelId, name: 'Test Model', version_id: null }] });
 
       const response = await request(app)
         .get(`/api/models/${testModelId}/download-all`);
 
       expect(response.status).toBe(404);
       expect(response.body.error).toBe('No files available for download');
+      expect(pool.query).toHaveBeenCalledTimes(1);
     });
 
     it('should download ZIP archive for valid model', async () => {
-      pool.query.mockResolvedValue({ 
-        rows: [{ id: testModelId, name: 'Test Model' }] 
-      });
+      mockModel({ name: 'Test Model' });
 
       const response = await request(app)
-        .get(`/api/models/${testModelId}/download-all`);
+        .get(`/api/models/${testModelId}/download-all`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
 
       expect(response.status).toBe(200);
       expect(response.headers['content-type']).toBe('application/zip');
       expect(response.headers['content-disposition']).toContain('attachment');
       expect(response.headers['content-disposition']).toContain('Test_Model.zip');
+      for (const file of manifest) {
+        expect(response.body.includes(file.filename)).toBe(true);
+      }
+      expect(pool.query.mock.calls[1]).toEqual([expect.stringContaining('FROM model_files'), [1]]);
     });
 
     it('should handle model name with special characters', async () => {
-      pool.query.mockResolvedValue({ 
-        rows: [{ id: testModelId, name: 'Test Model! @#$%' }] 
-      });
+      mockModel({ name: 'Test Model! @#$%' });
 
       const response = await request(app)
         .get(`/api/models/${testModelId}/download-all`);
@@ -108,9 +153,7 @@ describe('Models API - Bulk Download', () => {
     });
 
     it('should use default filename when model name is null', async () => {
-      pool.query.mockResolvedValue({ 
-        rows: [{ id: testModelId, name: null }] 
-      });
+      mockModel({ name: null });
 
       const response = await request(app)
         .get(`/api/models/${testModelId}/download-all`);
@@ -127,9 +170,7 @@ describe('Models API - Bulk Download', () => {
         next();
       });
 
-      pool.query.mockResolvedValue({ 
-        rows: [{ id: testModelId, name: 'Public Model' }] 
-      });
+      mockModel({ name: 'Public Model' });
 
       const response = await request(app)
         .get(`/api/models/${testModelId}/download-all`);
@@ -141,13 +182,52 @@ describe('Models API - Bulk Download', () => {
       );
     });
 
-    it('should handle missing files gracefully', async () => {
-      pool.query.mockResolvedValue({ 
-        rows: [{ id: testModelId, name: 'Test Model' }] 
+    it('should open one blob at a time and close it when the client aborts', async () => {
+      const opened = [];
+      setStorage({
+        ...createLocalDriver(storageDir),
+        open: async (key) => {
+          // Sends a first chunk, then waits for more to be read
+          const source = new Readable({ read() {} });
+          source.push(crypto.randomBytes(256 * 1024));
+          opened.push({ key, source });
+          return source;
+        }
       });
+      mockModel({ name: 'Test Model' });
+      const server = app.listen(0);
+
+      try {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(() => reject(new Error('no response')), 2000);
+          const done = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+          const req = http.get(`http://127.0.0.1:${server.address().port}/api/models/${testModelId}/download-all`, (res) => {
+            res.once('data', () => {
+              req.destroy();
+              done();
+            });
+          });
+          req.on('error', () => {});
+          req.on('close', done);
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
 
-      // Create directory but remove one file to test file access handling
-      await fs.rm(path.join(testUploadPath, 'model.json'));
+        expect(opened).toHaveLength(1);
+        expect(opened[0].source.destroyed).toBe(true);
+      } finally {
+        setStorage(createLocalDriver(storageDir));
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    it('should handle missing files gracefully', async () => {
+      mockModel({ name: 'Test Model' });
+
+      // Remove one blob to test file access handling
+      await fs.rm(blobPath(manifest[0].sha256));
 
       const response = await request(app)
         .get(`/api/models/${testModelId}/download-all`);
@@ -155,20 +235,1199 @@ describe('Models API - Bulk Download', () => {
       expect(response.status).toBe(200);
       expect(response.headers['content-type']).toBe('application/zip');
     });
+  });
+
+  describe('GET /:id/download/:filename', () => {
+    it('should send the blob of a manifest file under its own name', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId, name: 'Test Model', version_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [manifest[1]] });
 
-    it('should handle missing model directory', async () => {
-      pool.query.mockResolvedValue({ 
-        rows: [{ id: testModelId, name: 'Test Model' }] 
+      const response = await request(app)
+        .get(`/api/models/${testModelId}/download/weights.bin`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toContain('weights.bin');
+      expect(Buffer.from(response.body).toString()).toBe('binary data');
+      expect(pool.query.mock.calls[1][1]).toEqual([1, 'weights.bin']);
+    });
+
+    it('should redirect to the storage backend when it serves downloads itself', async () => {
+      setStorage({
+        ...createLocalDriver(storageDir),
+        downloadUrl: async (key, { filename }) => `https://objects.example/${key}?filename=${filename}`
+      });
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId, name: 'Test Model', version_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [manifest[1]] });
+
+      try {
+        const response = await request(app)
+          .get(`/api/models/${testModelId}/download/weights.bin`);
+
+        expect(response.status).toBe(302);
+        expect(response.headers.location).toBe(`https://objects.example/${getBlobKey(manifest[1].sha256)}?filename=weights.bin`);
+      } finally {
+        setStorage(createLocalDriver(storageDir));
+      }
+    });
+
+    it('should close the stored file when the client aborts the download', async () => {
+      let source;
+      setStorage({
+        ...createLocalDriver(storageDir),
+        open: async () => {
+          // Sends a first chunk, then waits for more to be read
+          source = new Readable({ read() {} });
+          source.push(Buffer.alloc(1024));
+          return source;
+        }
       });
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId, name: 'Test Model', version_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [manifest[1]] });
+      const server = app.listen(0);
+
+      try {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(() => reject(new Error('no response')), 2000);
+          const done = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+          const req = http.get(`http://127.0.0.1:${server.address().port}/api/models/${testModelId}/download/weights.bin`, (res) => {
+            res.once('data', () => {
+              req.destroy();
+              done();
+            });
+          });
+          req.on('error', () => {});
+          req.on('close', done);
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(source.destroyed).toBe(true);
+      } finally {
+        setStorage(createLocalDriver(storageDir));
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
 
-      // Remove test directory
-      await fs.rm(testUploadPath, { recursive: true });
+    it('should return 404 for files that are not in the manifest', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: testModelId, name: 'Test Model', version_id: 1 }] });
 
       const response = await request(app)
-        .get(`/api/models/${testModelId}/download-all`);
+        .get(`/api/models/${testModelId}/download/other.bin`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('File other.bin not found');
+    });
+
+    describe('caching and ranges', () => {
+      const download = (headers = {}, version = null) => {
+        pool.query
+          .mockResolvedValueOnce({ rows: [{ id: testModelId, name: 'Test Model', visibility: version ? 'public' : 'private', version_id: 1 }] })
+          .mockResolvedValueOnce({ rows: [manifest[1]] });
+        const url = version
+          ? `/api/models/${testModelId}/versions/${version}/download/weights.bin`
+          : `/api/models/${testModelId}/download/weights.bin`;
+        return request(app).get(url).set(headers);
+      };
+
+      it('should use the content hash as ETag and revalidate files of the active version', async () => {
+        const response = await download();
+
+        expect(response.status).toBe(200);
+        expect(response.headers.etag).toBe(`"${manifest[1].sha256}"`);
+        expect(response.headers['cache-control']).toBe('private, no-cache');
+        expect(response.headers['accept-ranges']).toBe('bytes');
+      });
+
+      it('should let files of pinned versions be cached for good', async () => {
+        const response = await download({}, '1.0.0');
+
+        expect(response.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+      });
+
+      it('should answer If-None-Match without sending the file', async () => {
+        await fs.rm(blobPath(manifest[1].sha256));
+
+        const response = await download({ 'If-None-Match': `"other", W/"${manifest[1].sha256}"` }, '1.0.0');
+
+        expect(response.status).toBe(304);
+        expect(response.headers.etag).toBe(`"${manifest[1].sha256}"`);
+        expect(response.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+      });
+
+      it('should send the requested byte range', async () => {
+        const response = await download({ Range: 'bytes=2-5' });
+
+        expect(response.status).toBe(206);
+        expect(response.headers['content-range']).toBe('bytes 2-5/11');
+        expect(response.headers['content-length']).toBe('4');
+        expect(Buffer.from(response.body).toString()).toBe('nary');
+      });
+
+      it('should send the end of the file for suffix ranges', async () => {
+        const response = await download({ Range: 'bytes=-4' });
+
+        expect(response.status).toBe(206);
+        expect(Buffer.from(response.body).toString()).toBe('data');
+      });
+
+      it('should refuse ranges outside the file', async () => {
+        const response = await download({ Range: 'bytes=20-30' });
+
+        expect(response.status).toBe(416);
+        expect(response.headers['content-range']).toBe('bytes */11');
+        expect(response.body.error).toBe('Requested range not satisfiable');
+      });
+
+      it('should send the whole file when If-Range names another version of it', async () => {
+        const response = await download({ Range: 'bytes=2-5', 'If-Range': '"0000"' });
+
+        expect(response.status).toBe(200);
+        expect(Buffer.from(response.body).toString()).toBe('binary data');
+      });
+
+      it('should answer HEAD requests with the size only', async () => {
+        pool.query
+          .mockResolvedValueOnce({ rows: [{ id: testModelId, name: 'Test Model', version_id: 1 }] })
+          .mockResolvedValueOnce({ rows: [manifest[1]] });
+
+        const response = await request(app).head(`/api/models/${testModelId}/download/weights.bin`);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-length']).toBe('11');
+        expect(response.headers.etag).toBe(`"${manifest[1].sha256}"`);
+      });
+    });
+
+    it.each([
+      ['..%2F..%2Fpackage.json', '../../package.json'],
+      ['%2e%2e%2f%2e%2e%2fpackage.json', '../../package.json'],
+      ['..%5C..%5Cpackage.json', '..\\..\\package.json'],
+      ['%252e%252e%252fpackage.json', '%2e%2e%2fpackage.json']
+    ])('should only look up %s in the manifest', async (encoded, decoded) => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: testModelId, name: 'Test Model', version_id: 1 }] });
+
+      const response = await request(app)
+        .get(`/api/models/${testModelId}/download/${encoded}`);
+
+      expect(response.status).toBe(404);
+      expect(pool.query.mock.calls[1][1]).toEqual([1, decoded]);
+    });
+
+    it('should only look up traversal attempts in the manifest of a pinned version', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: testModelId, name: 'Test Model', version_id: 1, version: '1.0.0' }] });
+
+      const response = await request(app)
+        .get(`/api/models/${testModelId}/versions/1.0.0/download/..%2F..%2F..%2F.env`);
+
+      expect(response.status).toBe(404);
+      expect(pool.query.mock.calls[1][1]).toEqual([1, '../../../.env']);
+    });
+  });
+});
+
+describe('Models API - Versions', () => {
+  const testModelId = '456';
+  const { optionalAuth } = require('../src/middleware/auth');
+  const validModelJson = JSON.stringify({
+    format: 'graph-model',
+    modelTopology: { node: [] },
+    signature: {
+      inputs: { 'images:0': { name: 'images:0', dtype: 'DT_FLOAT', tensorShape: { dim: [{ size: '1' }, { size: '32' }, { size: '32' }, { size: '3' }] } } }
+    },
+    weightsManifest: [{
+      paths: ['group1-shard1of1.bin'],
+      weights: [{ name: 'conv/kernel', shape: [2, 3], dtype: 'float32' }]
+    }]
+  });
+
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    optionalAuth.mockImplementation((req, res, next) => {
+      req.user = { userId: 'test-user-id' };
+      next();
+    });
+
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  afterEach(async () => {
+    await removeBlobs([{ sha256: sha256(validModelJson) }, { sha256: sha256(Buffer.alloc(24)) }]);
+  });
+
+  // Helper function to answer blob upserts as if the blob store had none of them yet
+  const newBlobs = (params) => ({ rows: [].concat(params[0]).map(hash => ({ sha256: hash, inserted: true })) });
+
+  // Helper function to mock the INSERT of the new version inside the upload transaction
+  const mockInsertedVersion = (row) => client.query.mockImplementation(async (sql, params) => {
+    if (sql.startsWith('INSERT INTO model_versions')) return { rows: [row] };
+    return sql.trim().startsWith('INSERT INTO blobs') ? newBlobs(params) : { rows: [] };
+  });
+
+  // Helper function to find the statement of the upload transaction starting with text
+  const clientCall = (text) => client.query.mock.calls.find(([sql]) => sql.trim().startsWith(text));
+
+  describe('GET /:id/versions', () => {
+    it('should list versions of an accessible model', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 2, version: '2.0.0', metadata: { model_hash: 'abc' }, is_active: true },
+            { id: 1, version: '1.0.0', metadata: null, is_active: false }
+          ]
+        });
+
+      const response = await request(app).get(`/api/models/${testModelId}/versions`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(v => v.version)).toEqual(['2.0.0', '1.0.0']);
+      expect(response.body[0].metadata.model_format).toBe('TF.js');
+    });
+
+    it('should order versions by semver precedence', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 1, version: '1.10.0', metadata: null },
+            { id: 2, version: '1.2.0', metadata: null },
+            { id: 3, version: '2.0.0-rc.1', metadata: null },
+            { id: 4, version: '2.0.0', metadata: null }
+          ]
+        });
+
+      const response = await request(app).get(`/api/models/${testModelId}/versions`);
+
+      expect(response.body.map(v => v.version)).toEqual(['2.0.0', '2.0.0-rc.1', '1.10.0', '1.2.0']);
+    });
+
+    it('should return 404 for inaccessible model', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get(`/api/models/${testModelId}/versions`);
 
       expect(response.status).toBe(404);
-      expect(response.body.error).toBe('Model files not found');
     });
   });
-});
\ No newline at end of file
+
+  describe('GET /:id/versions/:version/download-all', () => {
+    it('should download the files of the requested version', async () => {
+      const manifest = await storeBlobs({ 'model.json': validModelJson });
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId, name: 'Test Model', version_id: 1, version: '1.0.0' }] })
+        .mockResolvedValueOnce({ rows: manifest })
+        .mockResolvedValue({ rows: [] });
+
+      const response = await request(app)
+        .get(`/api/models/${testModelId}/versions/1.0.0/download-all`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toContain('Test_Model-1_0_0.zip');
+      expect(pool.query).toHaveBeenCalledWith(
+        expect.stringContaining('mv.version = $'),
+        [testModelId, 'test-user-id', '1.0.0']
+      );
+    });
+
+    it('should return 404 for unknown version', async () => {
+      pool.query.mockResolvedValue({
+        rows: [{ id: testModelId, name: 'Test Model', version_id: null, version: null }]
+      });
+
+      const response = await request(app)
+        .get(`/api/models/${testModelId}/versions/9.9.9/download-all`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Version 9.9.9 not found');
+    });
+  });
+
+  describe('POST /:id/versions/:version/activate', () => {
+    it('should return 404 when the version is not owned by the user', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/versions/1.0.0/activate`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should make the requested version the only active one', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 1, version: '1.0.0', is_active: true },
+            { id: 2, version: '2.0.0', is_active: false }
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/versions/1.0.0/activate`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.version.version).toBe('1.0.0');
+      expect(pool.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('SET is_active = (id = $2)'),
+        [testModelId, 1]
+      );
+    });
+  });
+
+  describe('POST /:id/upload', () => {
+    it('should refuse uploads to models the user cannot write to before storing files', async () => {
+      const mkdir = jest.spyOn(fs, 'mkdir');
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('version', '2.0.0')
+        .attach('files', Buffer.from(validModelJson), 'model.json');
+
+      expect(response.status).toBe(404);
+      expect(mkdir).not.toHaveBeenCalled();
+      expect(pool.connect).not.toHaveBeenCalled();
+      mkdir.mockRestore();
+    });
+
+    it('should reject files that are not part of a TF.js model', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: testModelId }] });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('version', '2.0.0')
+        .attach('files', Buffer.from(validModelJson), 'model.json')
+        .attach('files', Buffer.from('#!/bin/sh'), '..%2F..%2Finstall.sh')
+        .attach('files', Buffer.from('x'), '.htaccess');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(detail => detail.message)).toEqual([
+        expect.stringContaining('"..%2F..%2Finstall.sh"'),
+        expect.stringContaining('".htaccess"')
+      ]);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should reject files whose names collide once normalized', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: testModelId }] });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('version', '2.0.0')
+        .attach('files', Buffer.from(validModelJson), 'model.json')
+        .attach('files', Buffer.from(validModelJson), 'model.json');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].message).toBe('files must have unique names');
+    });
+
+    it('should reject a version that already exists', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('version', '1.0.0')
+        .attach('files', Buffer.from('{"version": 2}'), 'model.json');
+
+      expect(response.status).toBe(409);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should store the files of a new version as blobs with a manifest', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId }] })
+        .mockResolvedValueOnce({ rows: [] });
+      mockInsertedVersion({ id: 2, version: '2.0.0' });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('version', '2.0.0')
+        .attach('files', Buffer.from(validModelJson), 'model.json')
+        .attach('files', Buffer.alloc(24), 'group1-shard1of1.bin');
+
+      expect(response.status).toBe(200);
+      expect(client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0])).toEqual(
+        ['BEGIN', 'UPDATE', 'INSERT', 'INSERT', 'INSERT', 'COMMIT']
+      );
+      expect(client.release).toHaveBeenCalled();
+
+      const stored = await fs.readFile(blobPath(sha256(validModelJson)), 'utf8');
+      expect(stored).toBe(validModelJson);
+      // multer lists files in the order they finish writing
+      const [versionId, filenames, hashes, sizes] = clientCall('INSERT INTO model_files')[1];
+      const files = filenames.map((filename, i) => ({ filename, sha256: hashes[i], size: sizes[i] }));
+      expect(versionId).toBe(2);
+      expect(files).toEqual(expect.arrayContaining([
+        { filename: 'model.json', sha256: sha256(validModelJson), size: Buffer.byteLength(validModelJson) },
+        { filename: 'group1-shard1of1.bin', sha256: sha256(Buffer.alloc(24)), size: 24 }
+      ]));
+      expect(files).toHaveLength(2);
+      expect(clientCall('INSERT INTO blobs')[1]).toEqual([hashes, sizes]);
+
+      const metadata = clientCall('INSERT INTO model_versions')[1][3];
+      expect(metadata.parameter_count).toBe(6);
+      expect(metadata.input_shape).toEqual([1, 32, 32, 3]);
+      expect(metadata.image_size_display).toBe('32');
+    });
+
+    it('should index the class names of a new version', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId }] })
+        .mockResolvedValueOnce({ rows: [] });
+      mockInsertedVersion({ id: 3, version: '3.0.0' });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('version', '3.0.0')
+        .attach('files', Buffer.from(validModelJson), 'model.json')
+        .attach('files', Buffer.alloc(24), 'group1-shard1of1.bin')
+        .attach('files', Buffer.from('names:\n  0: Small  Vehicle\n  1: ship\n  2: Ship\n'), 'metadata.yaml');
+
+      expect(response.status).toBe(200);
+      expect(clientCall('INSERT INTO model_classes')[1]).toEqual([3, ['small vehicle', 'ship']]);
+      await removeBlobs([{ sha256: sha256('names:\n  0: Small  Vehicle\n  1: ship\n  2: Ship\n') }]);
+    });
+
+    it('should roll back the new version and discard its blobs when storing its files fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId }] })
+        .mockResolvedValueOnce({ rows: [] });
+      client.query.mockImplementation(async (sql, params) => {
+        if (sql.trim().startsWith('INSERT INTO model_files')) {
+          throw new Error('disk full');
+        }
+        if (sql.startsWith('INSERT INTO model_versions')) return { rows: [{ id: 4 }] };
+        return sql.trim().startsWith('INSERT INTO blobs') ? newBlobs(params) : { rows: [] };
+      });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('version', '4.0.0')
+        .attach('files', Buffer.from(validModelJson), 'model.json')
+        .attach('files', Buffer.alloc(24), 'group1-shard1of1.bin');
+
+      expect(response.status).toBe(500);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+      await expect(fs.access(blobPath(sha256(validModelJson)))).rejects.toThrow();
+      await expect(fs.access(blobPath(sha256(Buffer.alloc(24))))).rejects.toThrow();
+      console.error.mockRestore();
+    });
+
+    it('should reject an upload whose weight shards do not match the manifest', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('version', '2.0.0')
+        .attach('files', Buffer.from(validModelJson), 'model.json')
+        .attach('files', Buffer.alloc(10), 'group1-shard1of1.bin');
+
+      expect(response.status).toBe(422);
+      expect(response.body.problems).toEqual([
+        expect.objectContaining({ code: 'shard_size_mismatch', expected_bytes: 24, actual_bytes: 10 })
+      ]);
+      expect(pool.query).toHaveBeenCalledTimes(2);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should derive the next version from the latest one when bumping', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: testModelId }] })
+        .mockResolvedValueOnce({ rows: [{ version: '1.0.0' }, { version: '1.4.2' }, { version: '1.10.0' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      mockInsertedVersion({ id: 3, version: '1.11.0' });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('bump', 'minor')
+        .attach('files', Buffer.from(validModelJson), 'model.json')
+        .attach('files', Buffer.alloc(24), 'group1-shard1of1.bin');
+
+      expect(response.status).toBe(200);
+      expect(clientCall('INSERT INTO model_versions')[1][1]).toBe('1.11.0');
+    });
+
+    it('should reject combining version and bump', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: testModelId }] });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('version', '2.0.0')
+        .field('bump', 'major')
+        .attach('files', Buffer.from('{}'), 'model.json');
+
+      expect(response.status).toBe(400);
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject versions that are not semantic versions', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: testModelId }] });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('version', '1.0')
+        .attach('files', Buffer.from('{}'), 'model.json');
+
+      expect(response.status).toBe(400);
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject versions that are not safe directory names', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: testModelId }] });
+
+      const response = await request(app)
+        .post(`/api/models/${testModelId}/upload`)
+        .field('version', '../../etc')
+        .attach('files', Buffer.from('{}'), 'model.json');
+
+      expect(response.status).toBe(400);
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe('Models API - Listing', () => {
+  const { optionalAuth } = require('../src/middleware/auth');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    optionalAuth.mockImplementation((req, res, next) => {
+      req.user = null;
+      next();
+    });
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  it('should apply search, filters and sort', async () => {
+    const response = await request(app)
+      .get('/api/models')
+      .query({ q: 'airplane', zoom_min: 17, owner: 'alice', precision: 'fp16', imgsz: '640x640', class: ' Ship ', sort: 'name' });
+
+    expect(response.status).toBe(200);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain("m.visibility = 'public'");
+    expect(sql).toContain("websearch_to_tsquery('english', $1)");
+    expect(sql).toContain('m.zoom_level >= $2');
+    expect(sql).toContain('coalesce(u.username, o.name) = $3');
+    expect(sql).toContain('mc.name = $6');
+    expect(sql).toContain('ORDER BY lower(m.name) ASC');
+    expect(params).toEqual([
+      'airplane', 17, 'alice',
+      '{"precision":"FP16"}', '{"image_size_display":"640"}', 'ship',
+      21, 0
+    ]);
+  });
+
+  it('should filter by tag and count facets on request', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ total: 0 }] })
+      .mockResolvedValueOnce({ rows: [{ value: 'detect', count: 3 }] })
+      .mockResolvedValueOnce({ rows: [{ value: 18, count: 3 }] })
+      .mockResolvedValueOnce({ rows: [{ value: 'aerial', count: 2 }] })
+      .mockResolvedValueOnce({ rows: [{ value: 'ship', count: 1 }] });
+
+    const response = await request(app)
+      .get('/api/models')
+      .query({ tag: 'Building Footprints', facets: 'true' });
+
+    expect(response.status).toBe(200);
+    expect(pool.query.mock.calls[0][0]).toContain('m.tags @> ARRAY[$1]::text[]');
+    expect(pool.query.mock.calls[0][1][0]).toBe('building-footprints');
+    expect(pool.query.mock.calls[4][0]).toContain('unnest(m.tags)');
+    expect(pool.query.mock.calls[5][0]).toContain('JOIN model_classes mc');
+    expect(pool.query.mock.calls[5][1]).toEqual(['building-footprints']);
+    expect(response.body.facets).toEqual({
+      task_type: [{ value: 'detect', count: 3 }],
+      zoom_level: [{ value: 18, count: 3 }],
+      tag: [{ value: 'aerial', count: 2 }],
+      class: [{ value: 'ship', count: 1 }]
+    });
+  });
+
+  it('should leave facets out unless asked for', async () => {
+    const response = await request(app).get('/api/models');
+
+    expect(response.status).toBe(200);
+    expect(response.body).not.toHaveProperty('facets');
+    expect(pool.query).toHaveBeenCalledTimes(2);
+  });
+
+  it('should sort by relevance when searching without an explicit sort', async () => {
+    await request(app).get('/api/models').query({ q: 'ships' });
+
+    expect(pool.query.mock.calls[0][0]).toMatch(/ORDER BY \(ts_rank\(.*\)\) DESC/);
+  });
+
+  it('should return a page envelope with totals and links', async () => {
+    const rows = [1, 2, 3].map(id => ({ id, name: `Model ${id}`, metadata: null, sort_key: `2025-01-0${id} 00:00:00` }));
+    pool.query
+      .mockResolvedValueOnce({ rows })
+      .mockResolvedValueOnce({ rows: [{ total: 7 }] });
+
+    const response = await request(app).get('/api/models').query({ page: 2, limit: 2, task_type: 'detect' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.items.map(m => m.id)).toEqual([1, 2]);
+    expect(response.body.items[0]).not.toHaveProperty('sort_key');
+    expect(response.body).toEqual(expect.objectContaining({
+      total: 7,
+      page: 2,
+      limit: 2,
+      next: '/api/models?limit=2&task_type=detect&page=3',
+      prev: '/api/models?limit=2&task_type=detect&page=1'
+    }));
+    expect(pool.query.mock.calls[0][1].slice(-2)).toEqual([3, 2]);
+  });
+
+  it('should clamp limit and reject invalid pages', async () => {
+    await request(app).get('/api/models').query({ limit: 5000 });
+    expect(pool.query.mock.calls[0][1].slice(-2)).toEqual([101, 0]);
+
+    const response = await request(app).get('/api/models').query({ page: 0 });
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject pages whose offset does not fit the query', async () => {
+    const response = await request(app).get('/api/models').query({ page: '10000000000000000000', limit: 100 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0]).toEqual(expect.objectContaining({ field: 'page', code: 'maximum' }));
+    expect(pool.query).toHaveBeenCalledTimes(0);
+  });
+
+  it('should page with opaque cursors', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 5, metadata: null, sort_key: '2025-01-05 00:00:00' }, { id: 4, metadata: null, sort_key: '2025-01-04 00:00:00' }] })
+      .mockResolvedValueOnce({ rows: [{ total: 2 }] });
+
+    const first = await request(app).get('/api/models').query({ limit: 1 });
+    expect(first.body.next_cursor).toEqual(expect.any(String));
+    expect(first.body.prev_cursor).toBeNull();
+
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 4, metadata: null, sort_key: '2025-01-04 00:00:00' }] })
+      .mockResolvedValueOnce({ rows: [{ total: 2 }] });
+
+    const second = await request(app).get('/api/models').query({ limit: 1, cursor: first.body.next_cursor });
+
+    expect(second.status).toBe(200);
+    expect(second.body.page).toBeNull();
+    expect(second.body.next).toBeNull();
+    expect(second.body.prev).toContain('cursor=');
+    const [sql, params] = pool.query.mock.calls[2];
+    expect(sql).toContain('(m.created_at, m.id) < (CAST($1 AS timestamp), $2)');
+    expect(params).toEqual(['2025-01-05 00:00:00', 5, 2, 0]);
+  });
+
+  it('should reject cursors from a different sort order', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 5, metadata: null, sort_key: '2025-01-05 00:00:00' }, { id: 4, metadata: null, sort_key: '2025-01-04 00:00:00' }] })
+      .mockResolvedValueOnce({ rows: [{ total: 2 }] });
+
+    const first = await request(app).get('/api/models').query({ limit: 1 });
+    const response = await request(app).get('/api/models').query({ sort: 'name', cursor: first.body.next_cursor });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details[0].message).toBe('cursor is invalid');
+  });
+
+  it.each([
+    ['a sort value of the wrong type', { k: 'abc', i: 5, s: 'created', o: 'desc' }, {}],
+    ['an impossible date', { k: '2025-02-30 00:00:00', i: 5, s: 'created', o: 'desc' }, {}],
+    ['an id that is not a positive integer', { k: '2025-01-05 00:00:00', i: 'x', s: 'created', o: 'desc' }, {}],
+    ['an id out of range', { k: '2025-01-05 00:00:00', i: 2 ** 31, s: 'created', o: 'desc' }, {}],
+    ['a count out of range', { k: '99999999999', i: 5, s: 'downloads', o: 'desc' }, { sort: 'downloads' }],
+    ['a name with a NUL character', { k: 'a\u0000', i: 5, s: 'name', o: 'asc' }, { sort: 'name' }],
+    ['another order', { k: '2025-01-05 00:00:00', i: 5, s: 'created', o: 'asc' }, {}],
+    ['a list', [1, 2], {}]
+  ])('should reject cursors with %s', async (description, position, query) => {
+    const cursor = Buffer.from(JSON.stringify(position)).toString('base64url');
+
+    const response = await request(app).get('/api/models').query({ ...query, cursor });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([expect.objectContaining({ field: 'cursor', message: 'cursor is invalid' })]);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid filter values', async () => {
+    const response = await request(app)
+      .get('/api/models')
+      .query({ zoom_max: 30, sort: 'popularity', quantization: 'int4' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toHaveLength(3);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('Models API - Collaborators', () => {
+  const { authenticateToken, optionalAuth } = require('../src/middleware/auth');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    optionalAuth.mockImplementation((req, res, next) => {
+      req.user = { userId: 42 };
+      next();
+    });
+    authenticateToken.mockImplementation((req, res, next) => {
+      req.user = { userId: 42 };
+      next();
+    });
+  });
+
+  it('should let collaborators see shared models', async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+
+    await request(app).get('/api/models/7');
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('SELECT 1 FROM model_collaborators c WHERE c.model_id = m.id AND c.user_id = $2');
+    expect(sql).toContain('s.user_id = $3) as starred');
+    expect(params).toEqual(['7', 42, 42]);
+  });
+
+  it('should let write collaborators upload versions', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const response = await request(app)
+      .post('/api/models/7/upload')
+      .field('version', '1.0.0')
+      .attach('files', Buffer.from('{}'), 'model.json');
+
+    expect(response.status).toBe(404);
+    expect(pool.query.mock.calls[0][0]).toContain("c.role = 'write'");
+  });
+
+  it('should share a model with another user', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 43, username: 'bob' }] })
+      .mockResolvedValueOnce({ rows: [{ user_id: 43, role: 'write' }] });
+
+    const response = await request(app)
+      .post('/api/models/7/collaborators')
+      .send({ username: 'bob', role: 'write' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual(expect.objectContaining({ user_id: 43, username: 'bob', role: 'write' }));
+    expect(pool.query.mock.calls[2][1]).toEqual(['7', 43, 'write', 42]);
+  });
+
+  it('should let collaborators list who a model is shared with', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+      .mockResolvedValueOnce({ rows: [{ user_id: 42, username: 'alice', role: 'read' }] });
+
+    const response = await request(app).get('/api/models/7/collaborators');
+
+    expect(response.status).toBe(200);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain(`c.user_id = $${params.length}`);
+    expect(params[params.length - 1]).toBe(42);
+  });
+
+  it('should let collaborators remove themselves', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ user_id: 42 }] });
+
+    const response = await request(app).delete('/api/models/7/collaborators/42');
+
+    expect(response.status).toBe(200);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain(`OR c.user_id = $${params.length})`);
+    expect(params).toEqual(['7', '42', 42, 42]);
+  });
+
+  it('should reject unknown roles and self-sharing', async () => {
+    const badRole = await request(app)
+      .post('/api/models/7/collaborators')
+      .send({ username: 'bob', role: 'admin' });
+    expect(badRole.status).toBe(400);
+
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 7, user_id: 42 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 42, username: 'alice' }] });
+
+    const self = await request(app)
+      .post('/api/models/7/collaborators')
+      .send({ username: 'alice' });
+    expect(self.status).toBe(400);
+  });
+});
+
+describe('Models API - Editing', () => {
+  const { authenticateToken, optionalAuth } = require('../src/middleware/auth');
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authenticateToken.mockImplementation((req, res, next) => {
+      req.user = { userId: 42, username: 'alice' };
+      next();
+    });
+    optionalAuth.mockImplementation((req, res, next) => {
+      req.user = null;
+      next();
+    });
+    client = { query: jest.fn().mockResolvedValue({}), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  const current = {
+    id: 7, name: 'Ships', description: null, task_type: 'detect', zoom_level: 19, tags: ['maritime'], license: null
+  };
+
+  it('should update changed fields and log the change', async () => {
+    client.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [current] })
+      .mockResolvedValueOnce({ rows: [{ ...current, name: 'Ship detector', tags: ['maritime', 'harbor-traffic'] }] });
+
+    const response = await request(app)
+      .patch('/api/models/7')
+      .send({ name: 'Ship detector', task_type: 'detect', tags: ['Maritime', 'Harbor Traffic'] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.name).toBe('Ship detector');
+
+    const [updateSql, updateParams] = client.query.mock.calls[2];
+    expect(updateSql).toContain('SET name = $1, tags = $2, updated_at = CURRENT_TIMESTAMP');
+    expect(updateParams).toEqual(['Ship detector', ['maritime', 'harbor-traffic'], '7']);
+
+    expect(client.query.mock.calls[3][1]).toEqual(['7', 42, {
+      name: { from: 'Ships', to: 'Ship detector' },
+      tags: { from: ['maritime'], to: ['maritime', 'harbor-traffic'] }
+    }]);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should not log or bump updated_at when nothing changes', async () => {
+    client.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [current] });
+
+    const response = await request(app).patch('/api/models/7').send({ name: 'Ships', zoom_level: 19 });
+
+    expect(response.status).toBe(200);
+    expect(client.query).toHaveBeenCalledTimes(3);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  it('should return 404 for models the user cannot edit', async () => {
+    client.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [] });
+
+    const response = await request(app).patch('/api/models/7').send({ name: 'Mine now' });
+
+    expect(response.status).toBe(404);
+    expect(client.query.mock.calls[1][0]).toContain("c.role = 'write'");
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should validate the fields', async () => {
+    const response = await request(app)
+      .patch('/api/models/7')
+      .send({ name: '', zoom_level: 25, tags: ['ok', '#bad'], owner: 'ignored' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.map(detail => detail.field)).toEqual(['name', 'zoom_level', 'tags[1]']);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  it('should list the change log of visible models', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 1, username: 'alice', changes: { name: { from: 'a', to: 'b' } } }] })
+      .mockResolvedValueOnce({ rows: [{ total: 3 }] });
+
+    const response = await request(app).get('/api/models/7/changes').query({ limit: 1 });
+
+    expect(response.status).toBe(200);
+    expect(pool.query.mock.calls[0][0]).toContain("m.visibility = 'public'");
+    expect(response.body).toEqual(expect.objectContaining({
+      total: 3,
+      page: 1,
+      next: '/api/models/7/changes?limit=1&page=2',
+      prev: null
+    }));
+  });
+});
+
+describe('Models API - Statistics', () => {
+  const { optionalAuth } = require('../src/middleware/auth');
+  const testModelId = '789';
+  const manifest = [{ filename: 'model.json', sha256: sha256('{}'), size: 2 }];
+
+  const signIn = (user) => optionalAuth.mockImplementation((req, res, next) => {
+    req.user = user;
+    next();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    signIn(null);
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(async () => {
+    await removeBlobs(manifest);
+  });
+
+  it('should count a bulk download once per client, version and day', async () => {
+    await storeBlobs({ 'model.json': '{}' });
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 789, name: 'Ships', version_id: 12 }] })
+      .mockResolvedValueOnce({ rows: manifest });
+
+    const response = await request(app)
+      .get(`/api/models/${testModelId}/download-all`)
+      .set('User-Agent', 'stats-test');
+
+    expect(response.status).toBe(200);
+    const [sql, params] = pool.query.mock.calls[2];
+    expect(sql).toContain('INSERT INTO model_events');
+    expect(sql).toContain('ON CONFLICT DO NOTHING');
+    expect(sql).toContain('download_count = download_count + 1');
+    expect(params).toEqual([789, 12, 'download', expect.stringMatching(/^[0-9a-f]{64}$/)]);
+  });
+
+  it('should identify signed in clients by account', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 7, name: 'Ships', version_id: 3, metadata: null }] });
+
+    await request(app).get('/api/models/7');
+    signIn({ userId: 42 });
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 7, name: 'Ships', version_id: 3, metadata: null }] });
+    const response = await request(app).get('/api/models/7');
+
+    expect(response.status).toBe(200);
+    expect(response.body).not.toHaveProperty('version_id');
+    const anonymous = pool.query.mock.calls[1][1];
+    const signedIn = pool.query.mock.calls[3][1];
+    expect(pool.query.mock.calls[3][0]).toContain('view_count = view_count + 1');
+    expect(signedIn.slice(0, 3)).toEqual([7, 3, 'view']);
+    expect(signedIn[3]).not.toBe(anonymous[3]);
+  });
+
+  it('should not fail a download when recording it fails', async () => {
+    await storeBlobs({ 'model.json': '{}' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 789, name: 'Ships', version_id: 12 }] })
+      .mockResolvedValueOnce({ rows: manifest })
+      .mockRejectedValueOnce(new Error('connection lost'));
+
+    const response = await request(app).get(`/api/models/${testModelId}/download/model.json`);
+
+    expect(response.status).toBe(200);
+    console.error.mockRestore();
+  });
+
+  it('should return totals, per-version downloads and a daily series', async () => {
+    const series = [
+      { date: '2026-10-18', downloads: 2, views: 5 },
+      { date: '2026-10-19', downloads: 0, views: 1 }
+    ];
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 7, download_count: 9, view_count: 30 }] })
+      .mockResolvedValueOnce({ rows: series })
+      .mockResolvedValueOnce({ rows: [{ version: '1.1.0', downloads: 4 }, { version: '1.0.0', downloads: 5 }] });
+
+    const response = await request(app).get('/api/models/7/stats').query({ days: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      model_id: 7,
+      totals: { downloads: 9, views: 30 },
+      versions: [{ version: '1.1.0', downloads: 4 }, { version: '1.0.0', downloads: 5 }],
+      days: 2,
+      series
+    });
+    expect(pool.query.mock.calls[0][0]).toContain("m.visibility <> 'private' AND m.visibility = 'public'");
+    expect(pool.query.mock.calls[1][1]).toEqual([7, 2]);
+  });
+
+  it('should only show statistics of private models to those who manage them', async () => {
+    signIn({ userId: 42 });
+
+    const response = await request(app).get('/api/models/7/stats');
+
+    expect(response.status).toBe(404);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain("m.visibility <> 'private'");
+    expect(sql).toContain('OR (m.user_id = $3');
+    expect(params).toEqual(['7', 42, 42]);
+  });
+
+  it('should reject series longer than a year', async () => {
+    const response = await request(app).get('/api/models/7/stats').query({ days: 400 });
+
+    expect(response.status).toBe(400);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('Models API - Stars and Comments', () => {
+  const { authenticateToken, optionalAuth } = require('../src/middleware/auth');
+  const { setTransport } = require('../src/utils/mailer');
+  let send;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authenticateToken.mockImplementation((req, res, next) => {
+      req.user = { userId: 42, username: 'bob' };
+      next();
+    });
+    optionalAuth.mockImplementation((req, res, next) => {
+      req.user = null;
+      next();
+    });
+    pool.query.mockResolvedValue({ rows: [] });
+    send = jest.fn();
+    setTransport({ send });
+  });
+
+  afterAll(() => {
+    setTransport(null);
+  });
+
+  it('should star a visible model once', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ star_count: 4 }] });
+
+    const response = await request(app).post('/api/models/7/star');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ starred: true, star_count: 4 });
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT DO NOTHING');
+    expect(sql).toContain('star_count = star_count + (SELECT COUNT(*) FROM added)');
+    expect(params).toEqual(['7', 42, 42]);
+  });
+
+  it('should not star models the user cannot see', async () => {
+    const response = await request(app).post('/api/models/7/star');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should remove a star', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ star_count: 3 }] });
+
+    const response = await request(app).delete('/api/models/7/star');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ starred: false, star_count: 3 });
+    expect(pool.query.mock.calls[0][0]).toContain('DELETE FROM model_stars WHERE model_id = $1 AND user_id = $2');
+  });
+
+  it('should list comments as threads', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 1, parent_id: null, username: 'alice', body: 'Nice model' },
+          { id: 2, parent_id: null, username: null, body: null },
+          { id: 3, parent_id: 1, username: 'bob', body: 'Thanks' },
+          { id: 4, parent_id: 3, username: 'alice', body: 'You are welcome' }
+        ]
+      })
+      .mockResolvedValueOnce({ rows: [{ total: 2 }] });
+
+    const response = await request(app).get('/api/models/7/comments');
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(2);
+    expect(response.body.items.map(comment => comment.id)).toEqual([1, 2]);
+    expect(response.body.items[0].replies[0]).toEqual(expect.objectContaining({
+      id: 3,
+      replies: [expect.objectContaining({ id: 4, replies: [] })]
+    }));
+    expect(pool.query.mock.calls[1][0]).toContain('WITH RECURSIVE');
+  });
+
+  it('should add a reply and notify the model owner', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 7, name: 'Ships' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 5, parent_id: 1, user_id: 42, body: 'Which zoom level?' }] })
+      .mockResolvedValueOnce({ rows: [{ email: 'alice@example.com' }] });
+
+    const response = await request(app)
+      .post('/api/models/7/comments')
+      .send({ body: 'Which zoom level?', parent_id: 1 });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual(expect.objectContaining({ id: 5, username: 'bob' }));
+    expect(pool.query.mock.calls[2][1]).toEqual(['7', 1, 42, 'Which zoom level?']);
+    expect(pool.query.mock.calls[3][1]).toEqual([7, 42, ['owner', 'maintainer']]);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'alice@example.com',
+      subject: 'bob replied to a comment on Ships'
+    }));
+  });
+
+  it('should keep the comment when the notification fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 7, name: 'Ships' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 5, parent_id: null, user_id: 42, body: 'Great' }] })
+      .mockResolvedValueOnce({ rows: [{ email: 'alice@example.com' }] });
+    send.mockRejectedValueOnce(new Error('SMTP down'));
+
+    const response = await request(app).post('/api/models/7/comments').send({ body: 'Great' });
+
+    expect(response.status).toBe(201);
+    console.error.mockRestore();
+  });
+
+  it('should reject blank comments and replies to unknown comments', async () => {
+    const blank = await request(app).post('/api/models/7/comments').send({ body: '   ' });
+    expect(blank.status).toBe(400);
+
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 7, name: 'Ships' }] })
+      .mockResolvedValueOnce({ rows: [] });
+    const orphan = await request(app).post('/api/models/7/comments').send({ body: 'Hi', parent_id: 99 });
+    expect(orphan.status).toBe(404);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('should only let authors edit their comments', async () => {
+    const response = await request(app).patch('/api/models/7/comments/5').send({ body: 'Edited' });
+
+    expect(response.status).toBe(404);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('user_id = $4 AND deleted_at IS NULL');
+    expect(params).toEqual(['Edited', '5', '7', 42]);
+  });
+
+  it('should let authors and model managers delete comments', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 5 }] });
+
+    const response = await request(app).delete('/api/models/7/comments/5');
+
+    expect(response.status).toBe(200);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain("SET body = '', deleted_at = CURRENT_TIMESTAMP");
+    expect(sql).toContain('c.user_id = $3 OR (m.user_id = $4');
+    expect(params).toEqual(['5', '7', 42, 42]);
+  });
+});
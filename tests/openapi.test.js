@@ -0,0 +1,100 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../src/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn()
+  }
+}));
+
+const apiRoutes = require('../src/routes');
+const { listRoutes, buildOpenApiSpec } = require('../src/utils/openapi');
+
+const app = express();
+for (const { path, router } of apiRoutes) {
+  app.use(path, router);
+}
+
+// Every { $ref } anywhere in the document
+const collectRefs = (value, refs = []) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectRefs(item, refs));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.$ref === 'string') refs.push(value.$ref);
+    Object.values(value).forEach(item => collectRefs(item, refs));
+  }
+  return refs;
+};
+
+describe('OpenAPI document', () => {
+  const spec = buildOpenApiSpec(apiRoutes);
+  const routes = listRoutes(apiRoutes);
+  const operations = Object.values(spec.paths).flatMap(methods => Object.values(methods));
+
+  it('should document every route', () => {
+    const undocumented = routes
+      .filter(route => !route.handlers.some(handler => handler.schema && handler.schema.summary))
+      .map(route => `${route.method.toUpperCase()} ${route.path}`);
+
+    // Add validate(schemas.<name>) with a summary to the routes listed here
+    expect(undocumented).toEqual([]);
+  });
+
+  it('should have an entry for every route', () => {
+    for (const route of routes) {
+      const path = route.path.replace(/:(\w+)/g, '{$1}');
+      expect(spec.paths[path]).toBeDefined();
+      expect(spec.paths[path][route.method]).toBeDefined();
+    }
+    expect(operations).toHaveLength(routes.length);
+  });
+
+  it('should give every operation a unique operationId', () => {
+    const ids = operations.map(operation => operation.operationId);
+    expect(ids.every(Boolean)).toBe(true);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('should declare every path parameter in the route schema', () => {
+    for (const route of routes) {
+      const schema = route.handlers.find(handler => handler.schema).schema;
+      for (const [, name] of route.path.matchAll(/:(\w+)/g)) {
+        expect({ route: route.path, declared: Boolean(schema.params && schema.params.properties[name]) })
+          .toEqual({ route: route.path, declared: true });
+      }
+    }
+  });
+
+  it('should only reference defined components', () => {
+    const missing = collectRefs(spec)
+      .map(ref => ref.replace('#/components/schemas/', ''))
+      .filter(name => !spec.components.schemas[name]);
+    expect(missing).toEqual([]);
+  });
+
+  it('should describe authentication and validation', () => {
+    const upload = spec.paths['/api/models/{id}/upload'].post;
+    expect(upload.security).toEqual([{ bearerAuth: [] }]);
+    expect(upload.requestBody.content['multipart/form-data']).toBeDefined();
+    expect(upload.description).toContain('`upload` scope');
+    expect(upload.responses[400]).toBeDefined();
+
+    const list = spec.paths['/api/models'].get;
+    expect(list.security).toEqual([{}, { bearerAuth: [] }]);
+    expect(list.parameters.map(parameter => parameter.name)).toEqual(expect.arrayContaining(['q', 'sort', 'cursor']));
+
+    expect(spec.paths['/api/admin/users'].get.description).toContain('Administrators only');
+    expect(spec.paths['/api/auth/login'].post.responses[429]).toBeDefined();
+    expect(spec.paths['/api/models/{id}/versions/{version}/files'].get.operationId).toBe('modelsFilesByVersion');
+  });
+
+  it('should be served at /api/openapi.json', async () => {
+    const response = await request(app).get('/api/openapi.json');
+
+    expect(response.status).toBe(200);
+    expect(response.body.openapi).toMatch(/^3\./);
+    expect(response.body.paths['/api/openapi.json'].get).toBeDefined();
+    expect(response.body.paths['/api/auth/registration-enabled'].get).toBeDefined();
+  });
+});
@@ -0,0 +1,96 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../src/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn()
+  }
+}));
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateToken: jest.fn((req, res, next) => {
+    req.user = { userId: 1 };
+    next();
+  }),
+  optionalAuth: jest.fn((req, res, next) => next()),
+  requireScope: jest.fn(() => (req, res, next) => next())
+}));
+
+const { pool } = require('../src/database');
+const orgsRouter = require('../src/routes/orgs');
+
+const app = express();
+app.use(express.json());
+app.use('/api/orgs', orgsRouter);
+
+describe('Organizations API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /', () => {
+    it('should create an organization owned by its creator', async () => {
+      const client = { query: jest.fn(), release: jest.fn() };
+      pool.connect.mockResolvedValue(client);
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 3, name: 'mapping-team' }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      const response = await request(app).post('/api/orgs').send({ name: 'mapping-team' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.role).toBe('owner');
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining("'owner'"), [3, 1]);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should reject invalid names', async () => {
+      const response = await request(app).post('/api/orgs').send({ name: 'Mapping Team' });
+
+      expect(response.status).toBe(400);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /:name/members/:userId', () => {
+    it('should not remove the last owner', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, name: 'mapping-team', role: 'owner' }] })
+        .mockResolvedValueOnce({ rows: [{ role: 'owner' }] })
+        .mockResolvedValueOnce({ rows: [{ owners: 1 }] });
+
+      const response = await request(app).delete('/api/orgs/mapping-team/members/1');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should hide organizations from non-members', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).delete('/api/orgs/mapping-team/members/2');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /:name/models/:modelId/transfer', () => {
+    it('should move a model to a member and drop org visibility', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, name: 'mapping-team', role: 'owner' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 9, user_id: 2, org_id: null, visibility: 'private' }] });
+
+      const response = await request(app)
+        .post('/api/orgs/mapping-team/models/9/transfer')
+        .send({ username: 'bob' });
+
+      expect(response.status).toBe(200);
+      expect(pool.query.mock.calls[2][0]).toContain("WHEN visibility = 'org' THEN 'private'");
+      expect(pool.query.mock.calls[2][1]).toEqual([2, '9', 3]);
+    });
+  });
+});
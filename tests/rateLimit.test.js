@@ -0,0 +1,98 @@
+const request = require('supertest');
+const express = require('express');
+
+const { createMemoryStore, setRateLimitStore } = require('../src/utils/rateLimitStore');
+const {
+  rateLimit,
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../src/middleware/rateLimit');
+
+describe('Rate limiting', () => {
+  beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+  });
+
+  describe('rateLimit', () => {
+    const app = express();
+    app.get('/limited', rateLimit({ name: 'test', max: 2, windowMs: 60 * 1000 }), (req, res) => res.json({ ok: true }));
+    app.get('/per-user', (req, res, next) => {
+      req.user = { userId: Number(req.query.user) };
+      next();
+    }, rateLimit({ name: 'test-user', max: 1, windowMs: 60 * 1000, key: (req) => `user:${req.user.userId}` }), (req, res) => res.json({ ok: true }));
+
+    it('should reject requests over budget with Retry-After', async () => {
+      await request(app).get('/limited').expect(200);
+      const second = await request(app).get('/limited');
+      expect(second.status).toBe(200);
+      expect(second.headers['ratelimit-remaining']).toBe('0');
+
+      const third = await request(app).get('/limited');
+      expect(third.status).toBe(429);
+      expect(Number(third.headers['retry-after'])).toBeGreaterThan(0);
+      expect(Number(third.headers['retry-after'])).toBeLessThanOrEqual(60);
+    });
+
+    it('should count each key separately', async () => {
+      await request(app).get('/per-user?user=1').expect(200);
+      await request(app).get('/per-user?user=1').expect(429);
+      await request(app).get('/per-user?user=2').expect(200);
+    });
+
+    it('should start a new window once the old one has passed', async () => {
+      const store = createMemoryStore();
+      const now = Date.now();
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await store.increment('k', 1000);
+      expect((await store.increment('k', 1000)).count).toBe(2);
+
+      spy.mockReturnValue(now + 1001);
+      expect((await store.increment('k', 1000)).count).toBe(1);
+      spy.mockRestore();
+    });
+
+    it('should let requests through when the store fails', async () => {
+      setRateLimitStore({ increment: jest.fn().mockRejectedValue(new Error('down')) });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await request(app).get('/limited').expect(200);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('login lockout', () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/login', checkLoginLockout, (req, res) => res.json({ ok: true }));
+
+    it('should lock an account after repeated failures, longer each time', async () => {
+      for (let i = 0; i < 4; i++) {
+        await recordLoginFailure('Alice');
+      }
+      await request(app).post('/login').send({ username: 'alice' }).expect(200);
+
+      await recordLoginFailure('alice');
+      const locked = await request(app).post('/login').send({ username: 'alice' });
+      expect(locked.status).toBe(429);
+      expect(Number(locked.headers['retry-after'])).toBe(60);
+
+      await recordLoginFailure('alice');
+      const longer = await request(app).post('/login').send({ username: 'alice' });
+      expect(Number(longer.headers['retry-after'])).toBe(120);
+
+      await request(app).post('/login').send({ username: 'bob' }).expect(200);
+    });
+
+    it('should forget failures after a successful login', async () => {
+      for (let i = 0; i < 4; i++) {
+        await recordLoginFailure('alice');
+      }
+      await clearLoginFailures('alice');
+      await recordLoginFailure('alice');
+
+      await request(app).post('/login').send({ username: 'alice' }).expect(200);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { createLocalDriver, createS3Driver } = require('../src/utils/storage');
+
+// Helper function to read a stream to a string
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items.sort();
+};
+
+describe('Storage drivers', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const stage = async (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  };
+
+  // The same behaviour is expected from every driver
+  const exerciseDriver = async (driver) => {
+    await driver.put('blobs/aa/bb/one', await stage('one', 'first'));
+    await driver.put('blobs/aa/cc/two', await stage('two', 'second'));
+    await driver.put('other/three', await stage('three', 'third'));
+
+    expect(await readAll(await driver.open('blobs/aa/bb/one'))).toBe('first');
+    expect(await readAll(await driver.open('blobs/aa/cc/two', { start: 1, end: 3 }))).toBe('eco');
+    expect(await driver.exists('blobs/aa/cc/two')).toBe(true);
+    expect(await driver.exists('blobs/aa/dd/missing')).toBe(false);
+    await expect(driver.open('blobs/aa/dd/missing')).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(await collect(driver.list('blobs/'))).toEqual(['blobs/aa/bb/one', 'blobs/aa/cc/two']);
+
+    await driver.remove('blobs/aa/bb/one');
+    await driver.remove('blobs/aa/bb/one');
+    expect(await driver.exists('blobs/aa/bb/one')).toBe(false);
+  };
+
+  describe('local', () => {
+    it('should store, read, list and remove files below its directory', async () => {
+      const driver = createLocalDriver(path.join(tmpDir, 'store'));
+
+      await exerciseDriver(driver);
+
+      expect(await driver.downloadUrl('blobs/aa/cc/two', { filename: 'two.bin' })).toBeNull();
+      expect(await fs.readFile(path.join(tmpDir, 'store', 'blobs', 'aa', 'cc', 'two'), 'utf8')).toBe('second');
+    });
+  });
+
+  describe('s3', () => {
+    // A stand-in for an S3-compatible store such as MinIO, with path-style
+    // bucket addressing and listings paged by one key
+    let server;
+    let objects;
+    let requests;
+    let slowDowns;
+    let endpoint;
+
+    beforeAll(async () => {
+      server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, url, headers: req.headers });
+        const signed = req.headers.authorization || url.searchParams.get('X-Amz-Signature');
+        if (slowDowns > 0) {
+          slowDowns--;
+          res.writeHead(503);
+          return res.end('<Error><Code>SlowDown</Code></Error>');
+        }
+        if (!signed || !/^\/models(\/|$)/.test(url.pathname)) {
+          res.writeHead(403);
+          return res.end('<Error><Code>AccessDenied</Code></Error>');
+        }
+
+        const key = decodeURIComponent(url.pathname.slice('/models/'.length));
+        if (req.method === 'PUT') {
+          objects.set(key, await readAll(req));
+          res.writeHead(200);
+          return res.end();
+        }
+        if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+          const keys = [...objects.keys()].filter(k => k.startsWith(url.searchParams.get('prefix') || '')).sort();
+          const start = Number(url.searchParams.get('continuation-token') || 0);
+          const page = keys.slice(start, start + 1);
+          const truncated = start + 1 < keys.length;
+          res.writeHead(200, { 'content-type': 'application/xml' });
+          return res.end(`<ListBucketResult>${page.map(k => `<Contents><Key>${escapeXml(k)}</Key></Contents>`).join('')}` +
+            `<IsTruncated>${truncated}</IsTruncated>${truncated ? `<NextContinuationToken>${start + 1}</NextContinuationToken>` : ''}</ListBucketResult>`);
+        }
+        if (req.method === 'DELETE') {
+          objects.delete(key);
+          res.writeHead(204);
+          return res.end();
+        }
+        if (!objects.has(key)) {
+          res.writeHead(404);
+          return res.end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code></Error>');
+        }
+        const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+        const body = range ? objects.get(key).slice(Number(range[1]), Number(range[2]) + 1) : objects.get(key);
+        res.writeHead(range ? 206 : 200, { 'content-length': Buffer.byteLength(body) });
+        res.end(req.method === 'HEAD' ? undefined : body);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      endpoint = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      objects = new Map();
+      requests = [];
+      slowDowns = 0;
+    });
+
+    const createDriver = (options = {}) => createS3Driver({
+      endpoint,
+      bucket: 'models',
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio-secret',
+      forcePathStyle: true,
+      ...options
+    });
+
+    it('should store, read, list and remove objects in the bucket', async () => {
+      await exerciseDriver(createDriver());
+
+      const put = requests.find(r => r.method === 'PUT');
+      expect(put.headers.authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=minio\/\d{8}\/us-east-1\/s3\/aws4_request,/);
+      expect(put.headers['x-amz-content-sha256']).toBe('UNSIGNED-PAYLOAD');
+      expect(requests.filter(r => r.url.searchParams.get('list-type') === '2')).toHaveLength(2);
+    });
+
+    it('should list keys with characters that are escaped in XML', async () => {
+      const driver = createDriver();
+      await driver.put('other/a&b<c>', await stage('one', 'first'));
+
+      expect(await collect(driver.list('other/'))).toEqual(['other/a&b<c>']);
+    });
+
+    it('should retry requests the store asks to slow down', async () => {
+      await createDriver().put('blobs/aa/bb/one', await stage('one', 'first'));
+      slowDowns = 2;
+
+      expect(await readAll(await createDriver().open('blobs/aa/bb/one'))).toBe('first');
+      expect(requests.filter(r => r.method === 'GET')).toHaveLength(3);
+    });
+
+    it('should presign downloads that the store accepts', async () => {
+      await createDriver().put('blobs/aa/bb/one', await stage('one', 'first'));
+
+      const url = await createDriver({ presignExpires: 60 }).downloadUrl('blobs/aa/bb/one', { filename: 'model.json' });
+
+      const parsed = new URL(url);
+      expect(parsed.searchParams.get('X-Amz-Expires')).toBe('60');
+      expect(parsed.searchParams.get('response-content-disposition')).toBe('attachment; filename="model.json"');
+      const body = await new Promise((resolve, reject) => {
+        http.get(url, res => readAll(res).then(resolve, reject)).on('error', reject);
+      });
+      expect(body).toBe('first');
+    });
+
+    it('should stream downloads through the server when redirects are disabled', async () => {
+      expect(await createDriver({ redirectDownloads: false }).downloadUrl('blobs/aa/bb/one')).toBeNull();
+    });
+
+    it('should report errors of the store', async () => {
+      const driver = createDriver({ bucket: 'other' });
+
+      await expect(driver.exists('blobs/aa/bb/one')).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { validateTfjsModel, extractInputShape } = require('../src/utils/tfjsModel');
+
+describe('TF.js model validation', () => {
+  let tmpDir;
+
+  const writeFile = async (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    await fs.writeFile(filePath, content);
+    const { size } = await fs.stat(filePath);
+    return { originalname: name, path: filePath, size };
+  };
+
+  const modelJson = (weightsManifest, extra = {}) => JSON.stringify({
+    format: 'graph-model',
+    modelTopology: { node: [] },
+    weightsManifest,
+    ...extra
+  });
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tfjs-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should accept a model whose shards match the manifest', async () => {
+    const files = [
+      await writeFile('model.json', modelJson([{
+        paths: ['group1-shard1of2.bin', 'group1-shard2of2.bin'],
+        weights: [
+          { name: 'a', shape: [4, 4], dtype: 'float32' },
+          { name: 'b', shape: [8], dtype: 'int32' },
+          { name: 'c', shape: [10], dtype: 'float32', quantization: { dtype: 'uint8', min: 0, scale: 1 } }
+        ]
+      }])),
+      await writeFile('group1-shard1of2.bin', Buffer.alloc(64)),
+      await writeFile('group1-shard2of2.bin', Buffer.alloc(42))
+    ];
+
+    const { problems, info } = await validateTfjsModel(files);
+
+    expect(problems).toEqual([]);
+    expect(info).toEqual(expect.objectContaining({
+      tfjs_format: 'graph-model',
+      parameter_count: 34,
+      weights_bytes: 106
+    }));
+  });
+
+  it('should report a missing model.json', async () => {
+    const files = [await writeFile('group1-shard1of1.bin', Buffer.alloc(4))];
+
+    const { problems } = await validateTfjsModel(files);
+
+    expect(problems.map(p => p.code)).toEqual(['missing_model_json']);
+  });
+
+  it('should report malformed JSON', async () => {
+    const files = [await writeFile('model.json', '{"modelTopology": ')];
+
+    const { problems } = await validateTfjsModel(files);
+
+    expect(problems.map(p => p.code)).toEqual(['invalid_model_json']);
+  });
+
+  it.each(['null', '42', '"model"', '[]'])('should report model.json holding %s instead of an object', async (content) => {
+    const files = [await writeFile('model.json', content)];
+
+    const { problems } = await validateTfjsModel(files);
+
+    expect(problems.map(p => p.code)).toEqual(['invalid_model_json']);
+  });
+
+  it('should report shards that were not uploaded', async () => {
+    const files = [
+      await writeFile('model.json', modelJson([{
+        paths: ['group1-shard1of2.bin', 'group1-shard2of2.bin'],
+        weights: [{ name: 'a', shape: [2], dtype: 'float32' }]
+      }])),
+      await writeFile('group1-shard1of2.bin', Buffer.alloc(8))
+    ];
+
+    const { problems } = await validateTfjsModel(files);
+
+    expect(problems).toEqual([
+      expect.objectContaining({ code: 'missing_shard', file: 'group1-shard2of2.bin' })
+    ]);
+  });
+
+  it('should report truncated shards', async () => {
+    const files = [
+      await writeFile('model.json', modelJson([{
+        paths: ['group1-shard1of1.bin'],
+        weights: [{ name: 'a', shape: [3, 3], dtype: 'float32' }]
+      }])),
+      await writeFile('group1-shard1of1.bin', Buffer.alloc(20))
+    ];
+
+    const { problems } = await validateTfjsModel(files);
+
+    expect(problems).toEqual([
+      expect.objectContaining({ code: 'shard_size_mismatch', expected_bytes: 36, actual_bytes: 20 })
+    ]);
+  });
+
+  it('should report invalid shapes and unknown dtypes', async () => {
+    const files = [
+      await writeFile('model.json', modelJson([{
+        paths: ['group1-shard1of1.bin'],
+        weights: [
+          { name: 'a', shape: [-1, 3], dtype: 'float32' },
+          { name: 'b', shape: [3], dtype: 'float128' }
+        ]
+      }])),
+      await writeFile('group1-shard1of1.bin', Buffer.alloc(12))
+    ];
+
+    const { problems } = await validateTfjsModel(files);
+
+    expect(problems.map(p => p.code)).toEqual(['invalid_weight_shape', 'unsupported_dtype']);
+  });
+
+  describe('extractInputShape', () => {
+    it('should read graph model signatures', () => {
+      const shape = extractInputShape({
+        signature: { inputs: { 'x:0': { tensorShape: { dim: [{ size: '-1' }, { size: '640' }, { size: '640' }, { size: '3' }] } } } }
+      });
+
+      expect(shape).toEqual([-1, 640, 640, 3]);
+    });
+
+    it('should fall back to Placeholder nodes', () => {
+      const shape = extractInputShape({
+        modelTopology: {
+          node: [{ op: 'Placeholder', attr: { shape: { shape: { dim: [{ size: '1' }, { size: '320' }, { size: '320' }, { size: '3' }] } } } }]
+        }
+      });
+
+      expect(shape).toEqual([1, 320, 320, 3]);
+    });
+
+    it('should read layers model batch_input_shape', () => {
+      const shape = extractInputShape({
+        modelTopology: {
+          model_config: { config: { layers: [{ config: { batch_input_shape: [null, 28, 28, 1] } }] } }
+        }
+      });
+
+      expect(shape).toEqual([-1, 28, 28, 1]);
+    });
+  });
+});
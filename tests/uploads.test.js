@@ -0,0 +1,340 @@
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../src/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn()
+  }
+}));
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateToken: jest.fn((req, res, next) => {
+    req.user = { userId: 42, username: 'bob' };
+    next();
+  }),
+  optionalAuth: jest.fn((req, res, next) => next()),
+  requireScope: jest.fn(() => (req, res, next) => next())
+}));
+
+jest.mock('../src/utils/modelUpload', () => ({
+  ...jest.requireActual('../src/utils/modelUpload'),
+  publishVersion: jest.fn()
+}));
+
+const { pool } = require('../src/database');
+const { publishVersion, calculateModelHash } = require('../src/utils/modelUpload');
+const { getStagingDir } = require('../src/utils/modelFiles');
+const { getSessionFilePath } = require('../src/utils/uploadSessions');
+const uploadsRouter = require('../src/routes/uploads');
+
+const app = express();
+app.use(express.json());
+app.use('/api/models', uploadsRouter);
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+const checksum = (content) => `sha256 ${crypto.createHash('sha256').update(content).digest('base64')}`;
+
+describe('Resumable uploads', () => {
+  let uploadId;
+  let client;
+  let session;
+  let files;
+
+  // Answer queries by the first pattern their SQL matches
+  const answer = (responses) => async (sql) => {
+    const match = responses.find(([pattern]) => sql.includes(pattern));
+    return match ? { rows: typeof match[1] === 'function' ? match[1]() : match[1] } : { rows: [] };
+  };
+
+  const mockSession = (extra = []) => {
+    pool.query.mockImplementation(answer([
+      ...extra,
+      ['FROM upload_sessions', () => [session]],
+      ['FROM upload_session_files', () => files],
+      ['FROM models m', [{ id: 7 }]]
+    ]));
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    uploadId = uuidv4();
+    session = { id: uploadId, model_id: 7, version: '2.0.0', bump: null, created_date: null, status: 'open' };
+    files = [{ filename: 'model.json', size: 11, sha256: null, received: 0 }];
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    await fs.mkdir(getStagingDir(uploadId), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(getStagingDir(uploadId), { recursive: true, force: true });
+  });
+
+  describe('POST /:id/uploads', () => {
+    it('should create a session for the declared files', async () => {
+      mockSession();
+
+      const response = await request(app)
+        .post('/api/models/7/uploads')
+        .send({ version: 'v2.0.0', files: [{ name: 'yolo/model.json', size: 11, sha256: sha256('hello world').toUpperCase() }] });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(expect.objectContaining({ id: uploadId, chunk_size: 8 * 1024 * 1024 }));
+      const [, sessionParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO upload_sessions'));
+      expect(sessionParams.slice(1, 6)).toEqual(['7', 42, '2.0.0', null, null]);
+      const [, fileParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO upload_session_files'));
+      expect(fileParams.slice(1)).toEqual([['model.json'], [11], [sha256('hello world')]]);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM upload_sessions WHERE expires_at'));
+      await fs.rm(getStagingDir(sessionParams[0]), { recursive: true, force: true });
+    });
+
+    it('should refuse versions that already exist', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] });
+
+      const response = await request(app)
+        .post('/api/models/7/uploads')
+        .send({ version: '1.0.0', files: [{ name: 'model.json', size: 11 }] });
+
+      expect(response.status).toBe(409);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should reject duplicate file names', async () => {
+      const response = await request(app)
+        .post('/api/models/7/uploads')
+        .send({ files: [{ name: 'yolo/model.json', size: 1 }, { name: 'model.json', size: 2 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0]).toEqual(expect.objectContaining({ field: 'files' }));
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject files that are not part of a TF.js model', async () => {
+      const response = await request(app)
+        .post('/api/models/7/uploads')
+        .send({ files: [{ name: 'model.json', size: 1 }, { name: '../../.ssh/authorized_keys', size: 2 }, { name: '..', size: 0 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(detail => detail.field)).toEqual(['files[1].name', 'files[2].name']);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject files larger than the limit', async () => {
+      const response = await request(app)
+        .post('/api/models/7/uploads')
+        .send({ files: [{ name: 'group1-shard1of1.bin', size: 3 * 1024 * 1024 * 1024 }] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PUT /:id/uploads/:uploadId/files/:filename', () => {
+    const putChunk = (content, offset, headers = {}) => request(app)
+      .put(`/api/models/7/uploads/${uploadId}/files/model.json`)
+      .set('Content-Type', 'application/octet-stream')
+      .set('Upload-Offset', String(offset))
+      .set('Upload-Checksum', checksum(content))
+      .set(headers)
+      .send(Buffer.from(content));
+
+    it('should append chunks in order', async () => {
+      mockSession();
+      client.query.mockImplementation(answer([['SELECT f.received', () => [{ received: files[0].received }]]]));
+
+      const first = await putChunk('hello', 0);
+      files[0].received = 5;
+      const second = await putChunk(' world', 5);
+
+      expect(first.status).toBe(200);
+      expect(first.body).toEqual({ filename: 'model.json', size: 11, received: 5 });
+      expect(second.headers['upload-offset']).toBe('11');
+      expect(await fs.readFile(getSessionFilePath(uploadId, 'model.json'), 'utf8')).toBe('hello world');
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('SET received = $3'),
+        [uploadId, 'model.json', 11]
+      );
+      expect(client.release).toHaveBeenCalledTimes(2);
+    });
+
+    it('should tell the client where to resume when the offset is wrong', async () => {
+      files[0].received = 5;
+      mockSession();
+
+      const response = await putChunk('hello', 0);
+
+      expect(response.status).toBe(409);
+      expect(response.body.offset).toBe(5);
+      expect(response.headers['upload-offset']).toBe('5');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should reject chunks that do not match their checksum', async () => {
+      mockSession();
+
+      const response = await putChunk('hello', 0, { 'Upload-Checksum': checksum('jello') });
+
+      expect(response.status).toBe(422);
+      expect(pool.connect).not.toHaveBeenCalled();
+      await expect(fs.access(getSessionFilePath(uploadId, 'model.json'))).rejects.toThrow();
+    });
+
+    it('should reject chunks going past the end of the file', async () => {
+      mockSession();
+
+      const response = await putChunk('hello world!', 0);
+
+      expect(response.status).toBe(413);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should require the offset and checksum headers', async () => {
+      const response = await request(app)
+        .put(`/api/models/7/uploads/${uploadId}/files/model.json`)
+        .set('Content-Type', 'application/octet-stream')
+        .send(Buffer.from('hello'));
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.map(detail => detail.field).sort()).toEqual(['upload-checksum', 'upload-offset']);
+    });
+
+    it('should only accept upload ids in the form they were issued', async () => {
+      const response = await request(app)
+        .put(`/api/models/7/uploads/${uploadId.toUpperCase()}/files/model.json`)
+        .set('Content-Type', 'application/octet-stream')
+        .set('Upload-Offset', '0')
+        .set('Upload-Checksum', checksum('hello'))
+        .send(Buffer.from('hello'));
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0]).toEqual(expect.objectContaining({ field: 'uploadId', code: 'pattern' }));
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should not accept chunks for expired or foreign sessions', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      const response = await putChunk('hello', 0);
+
+      expect(response.status).toBe(404);
+      expect(pool.query.mock.calls[0][1]).toEqual([uploadId, '7', 42]);
+    });
+  });
+
+  describe('GET /:id/uploads/:uploadId', () => {
+    it('should report the received offsets', async () => {
+      files[0].received = 5;
+      mockSession();
+
+      const response = await request(app).get(`/api/models/7/uploads/${uploadId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.files).toEqual([{ filename: 'model.json', size: 11, sha256: null, received: 5 }]);
+    });
+  });
+
+  describe('POST /:id/uploads/:uploadId/complete', () => {
+    const complete = () => request(app).post(`/api/models/7/uploads/${uploadId}/complete`);
+
+    it('should refuse to complete before every file is received', async () => {
+      files[0].received = 5;
+      mockSession();
+
+      const response = await complete();
+
+      expect(response.status).toBe(400);
+      expect(response.body.files).toEqual([{ filename: 'model.json', size: 11, received: 5 }]);
+      expect(publishVersion).not.toHaveBeenCalled();
+    });
+
+    it('should publish the received files as a new version and remove the session', async () => {
+      files[0] = { ...files[0], received: 11, sha256: sha256('hello world') };
+      await fs.writeFile(getSessionFilePath(uploadId, 'model.json'), 'hello world');
+      mockSession([["SET status = 'completing'", [{ id: uploadId }]]]);
+      publishVersion.mockResolvedValue({ status: 200, body: { message: 'Model uploaded successfully', version: { id: 9 } } });
+
+      const response = await complete();
+
+      expect(response.status).toBe(200);
+      expect(response.body.version.id).toBe(9);
+      expect(publishVersion).toHaveBeenCalledWith('7', { version: '2.0.0', bump: null, createdDate: null }, [
+        { originalname: 'model.json', path: getSessionFilePath(uploadId, 'model.json'), size: 11 }
+      ]);
+      expect(pool.query).toHaveBeenCalledWith('DELETE FROM upload_sessions WHERE id = $1', [uploadId]);
+      await expect(fs.access(getStagingDir(uploadId))).rejects.toThrow();
+    });
+
+    it('should not publish files that do not match their declared checksum', async () => {
+      files[0] = { ...files[0], received: 11, sha256: sha256('hello world') };
+      await fs.writeFile(getSessionFilePath(uploadId, 'model.json'), 'hello wörld');
+      mockSession([["SET status = 'completing'", [{ id: uploadId }]]]);
+
+      const response = await complete();
+
+      expect(response.status).toBe(422);
+      expect(response.body.files).toEqual(['model.json']);
+      expect(publishVersion).not.toHaveBeenCalled();
+    });
+
+    it('should complete a session only once', async () => {
+      files[0].received = 11;
+      mockSession();
+
+      const response = await complete();
+
+      expect(response.status).toBe(409);
+      expect(publishVersion).not.toHaveBeenCalled();
+    });
+
+    it('should reopen the session when publishing fails unexpectedly', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      files[0].received = 11;
+      mockSession([["SET status = 'completing'", [{ id: uploadId }]]]);
+      publishVersion.mockRejectedValue(new Error('connection lost'));
+
+      const response = await complete();
+
+      expect(response.status).toBe(500);
+      expect(pool.query).toHaveBeenCalledWith("UPDATE upload_sessions SET status = 'open' WHERE id = $1", [uploadId]);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('DELETE /:id/uploads/:uploadId', () => {
+    it('should cancel an open session of the user', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: uploadId }] });
+
+      const response = await request(app).delete(`/api/models/7/uploads/${uploadId}`);
+
+      expect(response.status).toBe(200);
+      expect(pool.query.mock.calls[0][1]).toEqual([uploadId, '7', 42]);
+      await expect(fs.access(getStagingDir(uploadId))).rejects.toThrow();
+    });
+  });
+
+  describe('calculateModelHash', () => {
+    it('should hash the files by name without reading them whole', async () => {
+      const staged = [
+        { originalname: 'model.json', path: getSessionFilePath(uploadId, 'model.json') },
+        { originalname: 'group1-shard1of1.bin', path: getSessionFilePath(uploadId, 'group1-shard1of1.bin') }
+      ];
+      await fs.writeFile(staged[0].path, '{"format":"graph-model"}');
+      await fs.writeFile(staged[1].path, Buffer.alloc(200000, 7));
+      const readFile = jest.spyOn(fs, 'readFile');
+
+      const hash = await calculateModelHash(staged);
+
+      const expected = crypto.createHash('md5')
+        .update('group1-shard1of1.bin').update(Buffer.alloc(200000, 7))
+        .update('model.json').update('{"format":"graph-model"}')
+        .digest('hex');
+      expect(hash).toBe(expected);
+      expect(readFile).not.toHaveBeenCalled();
+      readFile.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcrypt');
+
+jest.mock('../src/database', () => ({
+  pool: {
+    query: jest.fn()
+  }
+}));
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateToken: jest.fn((req, res, next) => {
+    req.user = { userId: 1, username: 'alice', sid: 'current-session' };
+    next();
+  }),
+  requireScope: jest.fn(() => (req, res, next) => next())
+}));
+
+jest.mock('../src/utils/modelFiles', () => ({
+  removeModelFiles: jest.fn()
+}));
+
+jest.mock('../src/utils/mailer', () => ({
+  sendMail: jest.fn()
+}));
+
+const { pool } = require('../src/database');
+const { removeModelFiles } = require('../src/utils/modelFiles');
+const { sendMail } = require('../src/utils/mailer');
+const usersRouter = require('../src/routes/users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', usersRouter);
+
+describe('Users API - Account management', () => {
+  let passwordHash;
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash('secret', 4);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('PATCH /me', () => {
+    it('should require the current password to change the email', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ email: 'alice@example.com' }] })
+        .mockResolvedValueOnce({ rows: [{ password_hash: passwordHash }] });
+
+      const response = await request(app)
+        .patch('/api/users/me')
+        .send({ email: 'new@example.com', current_password: 'wrong' });
+
+      expect(response.status).toBe(403);
+      expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reset verification and mail the new address', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ email: 'alice@example.com' }] })
+        .mockResolvedValueOnce({ rows: [{ password_hash: passwordHash }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, username: 'alice', email: 'new@example.com', email_verified_at: null }] })
+        .mockResolvedValue({ rowCount: 1 });
+
+      const response = await request(app)
+        .patch('/api/users/me')
+        .send({ email: 'new@example.com', current_password: 'secret' });
+
+      expect(response.status).toBe(200);
+      expect(pool.query.mock.calls[2][1]).toEqual([null, 'new@example.com', true, 1]);
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'new@example.com' }));
+    });
+  });
+
+  describe('POST /me/password', () => {
+    it('should change the password and end the other sessions', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ password_hash: passwordHash }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rowCount: 3 });
+
+      const response = await request(app)
+        .post('/api/users/me/password')
+        .send({ current_password: 'secret', new_password: 'n3w-secret' });
+
+      expect(response.status).toBe(200);
+      expect(pool.query).toHaveBeenLastCalledWith(expect.stringContaining('id IS DISTINCT FROM $2'), [1, 'current-session']);
+    });
+  });
+
+  describe('DELETE /me', () => {
+    it('should refuse while the user is the last owner of an organization', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ password_hash: passwordHash }] })
+        .mockResolvedValueOnce({ rows: [{ name: 'mapping-team' }] });
+
+      const response = await request(app).delete('/api/users/me').send({ password: 'secret' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.organizations).toEqual(['mapping-team']);
+      expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should delete the account and its personal model files', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ password_hash: passwordHash }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 10 }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await request(app).delete('/api/users/me').send({ password: 'secret' });
+
+      expect(response.status).toBe(200);
+      expect(pool.query).toHaveBeenCalledWith('DELETE FROM users WHERE id = $1', [1]);
+      expect(removeModelFiles).toHaveBeenCalledWith(10);
+    });
+  });
+
+  describe('GET /me/stars', () => {
+    it('should list starred models the user can still see, sortable by stars', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7, name: 'Ships', star_count: 3, metadata: null, sort_key: '3' }] })
+        .mockResolvedValueOnce({ rows: [{ total: 1 }] });
+
+      const response = await request(app).get('/api/users/me/stars').query({ sort: 'stars' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.items).toEqual([expect.objectContaining({ id: 7, star_count: 3 })]);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('SELECT 1 FROM model_stars s WHERE s.model_id = m.id AND s.user_id = $1');
+      expect(sql).toContain("m.visibility IN ('public', 'members')");
+      expect(sql).toContain('ORDER BY m.star_count DESC');
+      expect(params.slice(0, 2)).toEqual([1, 1]);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const request = require('supertest');
+const express = require('express');
+
+const { validate, validateRequest } = require('../src/middleware/validate');
+const { errorEnvelope, errorHandler } = require('../src/middleware/errors');
+const { idParams } = require('../src/schemas/common');
+const modelSchemas = require('../src/schemas/models');
+
+describe('Request validation', () => {
+  describe('validateRequest', () => {
+    it('should accept path and query strings that convert to the declared type', () => {
+      const errors = validateRequest(
+        { params: idParams('id'), query: modelSchemas.list.query },
+        { params: { id: '42' }, query: { zoom_min: '10', precision: 'FP16', limit: '5' } }
+      );
+      expect(errors).toEqual([]);
+    });
+
+    it('should report every invalid field with its location', () => {
+      const errors = validateRequest(modelSchemas.create, {
+        params: {},
+        body: { name: '', task_type: 'segmentation', zoom_level: 30 }
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.objectContaining({ location: 'body', field: 'name', code: 'required' }),
+        expect.objectContaining({ location: 'body', field: 'task_type', code: 'enum' }),
+        expect.objectContaining({ location: 'body', field: 'zoom_level', code: 'maximum' })
+      ]));
+      expect(errors).toHaveLength(3);
+    });
+
+    it('should not coerce JSON bodies', () => {
+      const errors = validateRequest(modelSchemas.create, {
+        body: { name: 'Model', task_type: 'detect', zoom_level: '18' }
+      });
+      expect(errors).toEqual([expect.objectContaining({ field: 'zoom_level', code: 'type' })]);
+    });
+
+    it('should reject bodies that are not objects', () => {
+      const errors = validateRequest(modelSchemas.create, { body: ['name'] });
+      expect(errors).toEqual([expect.objectContaining({ location: 'body', field: 'body', code: 'type' })]);
+    });
+
+    it('should accept null for nullable fields', () => {
+      const errors = validateRequest(modelSchemas.create, {
+        body: { name: 'Model', task_type: 'detect', description: null }
+      });
+      expect(errors).toEqual([]);
+    });
+  });
+
+  describe('error envelope', () => {
+    const app = express();
+    app.use(express.json());
+    app.use(errorEnvelope);
+    app.post('/items/:id', validate({ params: idParams('id') }), (req, res) => res.json({ ok: true }));
+    app.get('/missing', (req, res) => res.status(404).json({ error: 'Item not found' }));
+    app.get('/broken', () => {
+      throw new Error('boom');
+    });
+    app.use(errorHandler);
+
+    it('should answer invalid requests with a 400 listing the fields', async () => {
+      const response = await request(app).post('/items/abc').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: 'Invalid request',
+        code: 'validation_failed',
+        details: [{ location: 'params', field: 'id', code: 'type', message: 'id must be an integer' }]
+      });
+    });
+
+    it('should reject ids outside the database range', async () => {
+      const response = await request(app).post('/items/99999999999').send({});
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].code).toBe('maximum');
+    });
+
+    it('should add a code to route errors', async () => {
+      const response = await request(app).get('/missing');
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Item not found', code: 'not_found' });
+    });
+
+    it('should answer malformed JSON with a 400', async () => {
+      const response = await request(app)
+        .post('/items/1')
+        .set('Content-Type', 'application/json')
+        .send('{"name":');
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('invalid_json');
+    });
+
+    it('should hide unexpected errors behind a 500', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app).get('/broken');
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Something went wrong!', code: 'internal_error' });
+
+      console.error.mockRestore();
+    });
+  });
+});